@@ -0,0 +1,155 @@
+const { ethers } = require('ethers');
+
+const MARKET_ABI = require('./abis/Market.json');
+const ERC1155_ABI = require('./abis/ERC1155.json');
+const CTF_ABI = require('./abis/ConditionalTokens.json');
+
+/**
+ * AMM helpers - Quotes and receipt parsing for fixed product market makers
+ */
+
+const marketIface = new ethers.Interface(MARKET_ABI);
+const erc1155Iface = new ethers.Interface(ERC1155_ABI);
+
+const TOPIC_BUY = marketIface.getEvent('FPMMBuy').topicHash;
+const TOPIC_SELL = marketIface.getEvent('FPMMSell').topicHash;
+const TOPIC_ERC20_TRANSFER = marketIface.getEvent('Transfer').topicHash; // same signature as the collateral's
+const TOPIC_TRANSFER_SINGLE = erc1155Iface.getEvent('TransferSingle').topicHash;
+
+const outcomeTokenCache = new Map(); // market address (lowercase) -> { conditionalTokensAddress, conditionId, collateralToken, tokenIds }
+
+/**
+ * Resolve a market's conditional tokens contract, condition and ERC1155 position IDs
+ * (index 0 = NO, 1 = YES) through the conditional tokens contract.
+ */
+async function getOutcomeTokens(marketContract) {
+  const key = String(marketContract.target).toLowerCase();
+  if (outcomeTokenCache.has(key)) return outcomeTokenCache.get(key);
+
+  const [conditionalTokensAddress, conditionId, collateralToken] = await Promise.all([
+    marketContract.conditionalTokens(),
+    marketContract.conditionIds(0),
+    marketContract.collateralToken()
+  ]);
+  const ctf = new ethers.Contract(conditionalTokensAddress, CTF_ABI, marketContract.runner);
+
+  const tokenIds = [];
+  for (const indexSet of [1n, 2n]) {
+    const collectionId = await ctf.getCollectionId(ethers.ZeroHash, conditionId, indexSet);
+    tokenIds.push(await ctf.getPositionId(collateralToken, collectionId));
+  }
+
+  const result = { conditionalTokensAddress, conditionId, collateralToken, tokenIds };
+  outcomeTokenCache.set(key, result);
+  return result;
+}
+
+/**
+ * Tokens needed to receive `returnAmount`, or null if the pool can't pay it
+ */
+async function tokensForReturn(marketContract, outcomeIndex, returnAmount) {
+  try {
+    return await marketContract.calcSellAmount(returnAmount, outcomeIndex);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Binary-search the largest collateral return we can get for selling at most
+ * `tokens` outcome tokens. Each token pays out at most 1 collateral unit, so the
+ * return is bounded by the token amount.
+ */
+async function quoteSellReturn(marketContract, outcomeIndex, tokens) {
+  const maxTokens = BigInt(tokens);
+  if (maxTokens === 0n) return 0n;
+
+  let lo = 0n;
+  let hi = maxTokens;
+  const tolerance = maxTokens / 100000n > 0n ? maxTokens / 100000n : 1n;
+
+  while (hi - lo > tolerance) {
+    const mid = (lo + hi) / 2n;
+    const needed = await tokensForReturn(marketContract, outcomeIndex, mid);
+    if (needed !== null && needed <= maxTokens) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Read what a buy actually did from the market's FPMMBuy event: collateral spent,
+ * fee and outcome tokens received. Fields are null if the event isn't found.
+ */
+function parseBuyReceipt(receipt, { marketAddress, buyer }) {
+  const market = marketAddress.toLowerCase();
+  const buyerTopic = ethers.zeroPadValue(buyer, 32).toLowerCase();
+
+  for (const log of receipt.logs || []) {
+    if (log.address.toLowerCase() === market && log.topics[0] === TOPIC_BUY && log.topics[1]?.toLowerCase() === buyerTopic) {
+      const parsed = marketIface.parseLog(log);
+      return {
+        investmentAmount: parsed.args.investmentAmount,
+        feeAmount: parsed.args.feeAmount,
+        tokensBought: parsed.args.outcomeTokensBought
+      };
+    }
+  }
+  return { investmentAmount: null, feeAmount: null, tokensBought: null };
+}
+
+/**
+ * Read what a sell actually did from its receipt: collateral received and
+ * outcome tokens burned. Prefers the market's FPMMSell event, falling back to the
+ * collateral and ERC1155 Transfer events.
+ */
+function parseSellReceipt(receipt, { marketAddress, seller, collateralToken = null }) {
+  const market = marketAddress.toLowerCase();
+  const sellerTopic = ethers.zeroPadValue(seller, 32).toLowerCase();
+  const marketTopic = ethers.zeroPadValue(marketAddress, 32).toLowerCase();
+
+  let returnAmount = null;
+  let feeAmount = null;
+  let tokensSold = null;
+
+  for (const log of receipt.logs || []) {
+    const address = log.address.toLowerCase();
+    const topic0 = log.topics[0];
+
+    if (address === market && topic0 === TOPIC_SELL && log.topics[1]?.toLowerCase() === sellerTopic) {
+      const parsed = marketIface.parseLog(log);
+      returnAmount = parsed.args.returnAmount;
+      feeAmount = parsed.args.feeAmount;
+      tokensSold = parsed.args.outcomeTokensSold;
+      break;
+    }
+  }
+
+  if (returnAmount === null && collateralToken) {
+    const collateral = collateralToken.toLowerCase();
+    for (const log of receipt.logs || []) {
+      if (log.address.toLowerCase() === collateral && log.topics[0] === TOPIC_ERC20_TRANSFER &&
+          log.topics[1]?.toLowerCase() === marketTopic && log.topics[2]?.toLowerCase() === sellerTopic) {
+        returnAmount = (returnAmount || 0n) + BigInt(log.data);
+      }
+    }
+  }
+
+  if (tokensSold === null) {
+    for (const log of receipt.logs || []) {
+      if (log.topics[0] === TOPIC_TRANSFER_SINGLE && log.topics[2]?.toLowerCase() === sellerTopic &&
+          log.topics[3]?.toLowerCase() === marketTopic) {
+        tokensSold = (tokensSold || 0n) + erc1155Iface.parseLog(log).args.value;
+      }
+    }
+  }
+
+  return { returnAmount, feeAmount, tokensSold };
+}
+
+module.exports = {
+  getOutcomeTokens,
+  quoteSellReturn,
+  parseBuyReceipt,
+  parseSellReceipt
+};
@@ -0,0 +1,382 @@
+require('dotenv').config();
+const axios = require('axios');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const TradeTracker = require('./tradeTracker');
+const LogDetector = require('./logDetector');
+const { loadTargets } = require('./targets');
+const { planPosition, buildPositionFromTrade, getTradePrice } = require('./strategy');
+const { executeActions, SimulatedExecutor } = require('./executors');
+const { logger, configureLogger } = require('./logger');
+const { loadConfig, targetDefaults, loadConfiguredTargets } = require('./config');
+
+/**
+ * Historical Backtester for Limitless Replication Bot
+ *
+ * Replays the target wallet's past trades in time order through the live bot's
+ * strategy engine, filling our copies at the target's own trade prices and
+ * settling resolved markets at their payouts.
+ *
+ * Usage:
+ *   node src/backtester.js fetch   Download the target's trades (on-chain logs) and
+ *                                  market data into the cache; needs RPC_URL
+ *   node src/backtester.js [run]   Replay offline from the cache
+ *
+ * The wallet is BACKTEST_WALLET, else TARGET_WALLET; it is replayed with the settings
+ * the live bot would give it (its targets entry, else the defaults).
+ */
+
+// ========= Config =========
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  if (require.main !== module) throw e;
+  logger.error('❌', e?.message || String(e));
+  process.exit(1);
+}
+
+const TARGET_WALLET = config.BACKTEST_WALLET || config.TARGET_WALLET || null;
+const RPC_URL = config.RPC_URL;
+const CACHE_DIR = config.BACKTEST_CACHE_DIR;
+const FROM_BLOCK = config.BACKTEST_FROM_BLOCK;
+const TO_BLOCK = config.BACKTEST_TO_BLOCK;
+const LOOKBACK_BLOCKS = config.BACKTEST_LOOKBACK_BLOCKS; // ~7 days on Base
+const LOG_CHUNK_BLOCKS = config.LOG_CHUNK_BLOCKS;
+const STARTING_BALANCE_USDC = config.STARTING_BALANCE_USDC;
+const SCALE_THRESHOLD_PCT = config.SCALE_THRESHOLD_PCT;
+const PRICE_FILTER = {
+  maxGapPct: config.MAX_PRICE_GAP_PCT,
+  gapAction: config.PRICE_GAP_ACTION,
+  minPrice: config.MIN_ENTRY_PRICE,
+  maxPrice: config.MAX_ENTRY_PRICE
+};
+const SLIPPAGE_BPS = config.BACKTEST_SLIPPAGE_BPS; // worse-than-target fill for copies
+
+const TRADES_FILE = path.join('data', 'backtest_trades.json');
+
+function cacheFile(wallet) {
+  return path.join(CACHE_DIR, `${wallet.toLowerCase()}.json`);
+}
+
+function requireWallet() {
+  if (!TARGET_WALLET) throw new Error('No wallet to backtest - set BACKTEST_WALLET or TARGET_WALLET');
+  return TARGET_WALLET;
+}
+
+/**
+ * The target for `wallet` as the live bot resolves it: its entry in the targets config
+ * (sizing, market filters, profile) or, for a wallet not listed there, the defaults
+ */
+function resolveTarget(wallet) {
+  const configured = loadConfiguredTargets(config).find(t => t.key === wallet.toLowerCase());
+  return configured || loadTargets({ targetWallets: wallet, defaults: targetDefaults(config) })[0];
+}
+
+// ========= Dataset (online) =========
+
+/**
+ * Fetch the target's trades since the cached block (or the lookback) plus metadata for
+ * every market traded, and write the dataset to the cache
+ */
+async function fetchDataset() {
+  const wallet = requireWallet();
+  if (!RPC_URL) throw new Error('RPC_URL is required to fetch history');
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const file = cacheFile(wallet);
+  const dataset = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : { wallet, fromBlock: null, toBlock: null, events: [], markets: {} };
+
+  const head = await provider.getBlockNumber();
+  const toBlock = TO_BLOCK ?? head;
+  const fromBlock = dataset.toBlock != null ? dataset.toBlock + 1 : (FROM_BLOCK ?? Math.max(0, toBlock - LOOKBACK_BLOCKS));
+  if (fromBlock > toBlock) {
+    logger.info('ℹ️', `Cache is up to date (block ${dataset.toBlock})`);
+    return dataset;
+  }
+
+  logger.info('📡', `Scanning blocks ${fromBlock} - ${toBlock} for ${wallet} trades...`);
+  const detector = new LogDetector({ provider, targetWallets: [wallet], chunkBlocks: LOG_CHUNK_BLOCKS });
+  const trades = [];
+  detector.on('trade', (trade) => trades.push(trade));
+  detector.on('error', (err) => logger.warn('⚠️', `Log decode error: ${err?.message || err}`));
+  await detector.scan(fromBlock, toBlock, { backfill: true });
+
+  // Block timestamps
+  const blockTimes = new Map();
+  for (const blockNumber of new Set(trades.map(t => t.blockNumber))) {
+    const block = await provider.getBlock(blockNumber);
+    blockTimes.set(blockNumber, block.timestamp);
+  }
+
+  for (const t of trades) {
+    dataset.events.push({
+      timestamp: blockTimes.get(t.blockNumber),
+      blockNumber: t.blockNumber,
+      logIndex: t.logIndex,
+      txHash: t.txHash,
+      side: t.side,
+      marketAddress: t.marketAddress,
+      outcomeIndex: t.outcomeIndex,
+      collateralAmount: t.collateralAmount.toString(),
+      feeAmount: t.feeAmount.toString(),
+      tokens: t.tokens.toString()
+    });
+  }
+
+  // Market metadata; refresh markets that had not resolved yet
+  const addresses = new Set(dataset.events.map(e => e.marketAddress.toLowerCase()));
+  for (const address of addresses) {
+    const cached = dataset.markets[address];
+    if (cached && cached.status === 'RESOLVED') continue;
+    try {
+      const res = await axios.get(`https://api.limitless.exchange/markets/${address}`, { timeout: 15000 });
+      if (res.data?.slug) dataset.markets[address] = res.data;
+    } catch (e) {
+      logger.warn('⚠️', `Failed to fetch market ${address}: ${e?.message || e}`);
+    }
+  }
+
+  dataset.fromBlock = dataset.fromBlock ?? fromBlock;
+  dataset.toBlock = toBlock;
+  dataset.fetchedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(dataset, null, 2));
+  logger.info('💾', `Cached ${trades.length} new trade(s), ${dataset.events.length} total across ${Object.keys(dataset.markets).length} market(s) -> ${file}`);
+  return dataset;
+}
+
+function loadDataset() {
+  const file = cacheFile(requireWallet());
+  if (!fs.existsSync(file)) {
+    throw new Error(`No cached history at ${file} - run "node src/backtester.js fetch" first`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Resolution time (unix seconds) and winning outcome of a resolved market, or null
+ */
+function getResolution(market, lastEventTime) {
+  if (!market || market.status !== 'RESOLVED' || market.winningOutcomeIndex == null) return null;
+  const expiration = Number(market.expirationTimestamp);
+  const time = Number.isFinite(expiration) && expiration > 0 ? Math.floor(expiration / 1000) : lastEventTime;
+  return { timestamp: Math.max(time, lastEventTime), winningOutcome: Number(market.winningOutcomeIndex) };
+}
+
+// ========= Replay (offline) =========
+class Backtester {
+  constructor(dataset) {
+    this.dataset = dataset;
+    this.startingBalance = STARTING_BALANCE_USDC;
+    this.target = resolveTarget(dataset.wallet || requireWallet());
+    this.lastSeen = new Map(); // marketSlug -> target snapshot { outcomeIndex, tokensBalance, cost }
+    this.prices = new Map(); // marketSlug -> [noPrice, yesPrice] from the target's trades
+
+    // Start from a clean trade file so results reflect this run only
+    if (fs.existsSync(TRADES_FILE)) fs.unlinkSync(TRADES_FILE);
+    this.tradeTracker = new TradeTracker(TRADES_FILE);
+    this.executor = new SimulatedExecutor({
+      tradeTracker: this.tradeTracker,
+      startingBalance: STARTING_BALANCE_USDC,
+      slippageBps: SLIPPAGE_BPS,
+      priceFilter: PRICE_FILTER
+    });
+  }
+
+  /**
+   * Target trades and market resolutions in time order
+   */
+  buildTimeline() {
+    const timeline = [];
+    const lastEventTime = {};
+    for (const event of this.dataset.events) {
+      const key = event.marketAddress.toLowerCase();
+      timeline.push({ type: 'TRADE', timestamp: event.timestamp, blockNumber: event.blockNumber, logIndex: event.logIndex ?? 0, event });
+      lastEventTime[key] = Math.max(lastEventTime[key] || 0, event.timestamp);
+    }
+    for (const [key, time] of Object.entries(lastEventTime)) {
+      const resolution = getResolution(this.dataset.markets[key], time);
+      if (resolution) {
+        timeline.push({ type: 'RESOLVE', timestamp: resolution.timestamp, blockNumber: Infinity, logIndex: 0, market: this.dataset.markets[key] });
+      }
+    }
+    return timeline.sort((a, b) => (a.timestamp - b.timestamp) || (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+  }
+
+  /**
+   * Target's open cost across all markets, for portfolio sizing
+   */
+  getTargetPortfolioValue() {
+    let total = 0;
+    for (const seen of this.lastSeen.values()) total += seen.cost || 0;
+    return total;
+  }
+
+  getPrice(slug, outcome) {
+    const prices = this.prices.get(slug) || [null, null];
+    if (prices[outcome] != null) return prices[outcome];
+    return prices[1 - outcome] != null ? 1 - prices[1 - outcome] : null;
+  }
+
+  /**
+   * Replay one target trade through the shared strategy engine
+   */
+  async applyTrade(event) {
+    const market = this.dataset.markets[event.marketAddress.toLowerCase()];
+    if (!market?.slug) return;
+    const slug = market.slug;
+    const decimals = market.collateralToken?.decimals ?? 6;
+    const when = new Date(event.timestamp * 1000).toISOString();
+
+    const price = getTradePrice(event, decimals);
+    const prices = this.prices.get(slug) || [null, null];
+    prices[event.outcomeIndex] = price;
+    this.prices.set(slug, prices);
+
+    // Replay trades as they happened; the market's final status is applied at its resolution
+    const lastSeen = this.lastSeen.get(slug) || null;
+    const position = buildPositionFromTrade({ ...market, status: 'FUNDED', closed: false }, lastSeen, event);
+    const { change, actions, seen } = planPosition({
+      target: this.target,
+      position,
+      lastSeen,
+      ourPosition: this.executor.positions.get(slug) || null,
+      scaleThresholdPct: SCALE_THRESHOLD_PCT,
+      targetPortfolioValue: this.getTargetPortfolioValue(),
+      now: event.timestamp * 1000
+    });
+    const label = change.outcomeIndex === 0 ? 'NO' : 'YES';
+
+    switch (change.type) {
+      case 'OPEN':
+        logger.info('🎯', `${when} [${slug}] Target OPENED ${label} @ ${price?.toFixed(4)}`);
+        break;
+      case 'SWITCH':
+        logger.info('🔄', `${when} [${slug}] Target SWITCHED to ${label}`);
+        break;
+      case 'INCREASE':
+        logger.info('📈', `${when} [${slug}] Target INCREASED ${label} by ${change.changePercent.toFixed(0)}%`);
+        break;
+      case 'REDUCE':
+        logger.info('📉', `${when} [${slug}] Target REDUCED ${label} by ${(change.fraction * 100).toFixed(0)}%`);
+        break;
+      case 'CLOSE':
+        logger.info('🔔', `${when} [${slug}] Target CLOSED ${label}`);
+        break;
+      default:
+        break;
+    }
+
+    await executeActions(actions, this.executor);
+
+    if (seen) this.lastSeen.set(slug, seen);
+    else this.lastSeen.delete(slug);
+  }
+
+  async run() {
+    const { address, sizingMode, multiplier, minBet, maxBet } = this.target;
+    logger.report('Starting backtest', [
+      '\n' + '='.repeat(80),
+      '🎮 STARTING BACKTEST',
+      '='.repeat(80),
+      `Target Wallet:     ${address}`,
+      `History:           blocks ${this.dataset.fromBlock} - ${this.dataset.toBlock} (${this.dataset.events.length} trades, fetched ${this.dataset.fetchedAt})`,
+      `Starting Balance:  ${this.startingBalance.toFixed(2)} USDC`,
+      `Sizing Mode:       ${sizingMode}`,
+      `Bet Multiplier:    ${multiplier}x`,
+      `Min/Max Bet:       ${minBet} - ${maxBet} USDC`,
+      `Scale Threshold:   ${SCALE_THRESHOLD_PCT}%`,
+      `Copy Slippage:     ${SLIPPAGE_BPS / 100}%`,
+      '='.repeat(80) + '\n'
+    ], {
+      targetWallet: address,
+      fromBlock: this.dataset.fromBlock,
+      toBlock: this.dataset.toBlock,
+      trades: this.dataset.events.length,
+      startingBalance: this.startingBalance,
+      sizingMode,
+      betMultiplier: multiplier,
+      minBet,
+      maxBet,
+      scaleThresholdPct: SCALE_THRESHOLD_PCT,
+      slippageBps: SLIPPAGE_BPS
+    });
+
+    for (const item of this.buildTimeline()) {
+      if (item.type === 'TRADE') await this.applyTrade(item.event);
+      else await this.executor.settle({ slug: item.market.slug, market: item.market });
+    }
+
+    // Value what is still open at the last known prices
+    await this.executor.markToMarket((slug, outcome) => this.getPrice(slug, outcome));
+
+    this.printResults();
+  }
+
+  printResults() {
+    const stats = this.tradeTracker.getStats();
+    const openValue = Number(ethers.formatUnits(stats.openValue, this.tradeTracker.decimals));
+    const { balance, positions, skipped } = this.executor;
+    const equity = balance + openValue;
+    const pnl = equity - this.startingBalance;
+    const pnlPercent = (pnl / this.startingBalance) * 100;
+    const pnlSign = pnl >= 0 ? '+' : '';
+
+    logger.report('Backtest results', [
+      '\n' + '='.repeat(80),
+      '📊 BACKTEST RESULTS',
+      '='.repeat(80),
+      `Starting Balance:  ${this.startingBalance.toFixed(2)} USDC`,
+      `Ending Cash:       ${balance.toFixed(2)} USDC`,
+      `Open Value:        ${openValue.toFixed(2)} USDC (${positions.size} position(s) at last trade price)`,
+      `Ending Equity:     ${equity.toFixed(2)} USDC`,
+      `Total PnL:         ${pnlSign}${pnl.toFixed(2)} USDC (${pnlSign}${pnlPercent.toFixed(2)}%)`,
+      `Skipped (balance): ${skipped}`,
+      '='.repeat(80) + '\n'
+    ], {
+      startingBalance: this.startingBalance,
+      endingCash: balance,
+      openValue,
+      openPositions: positions.size,
+      equity,
+      pnl,
+      pnlPercent,
+      skipped
+    });
+
+    this.tradeTracker.printSummary();
+    this.tradeTracker.exportToCSV(path.join('data', 'backtest_trades.csv'));
+  }
+}
+
+// ========= Main =========
+async function main(command = process.argv[2] || 'run') {
+  configureLogger(config);
+  if (command === 'fetch') {
+    await fetchDataset();
+    return;
+  }
+  if (command !== 'run') throw new Error(`Unknown command "${command}" (expected fetch or run)`);
+
+  const backtester = new Backtester(loadDataset());
+  await backtester.run();
+}
+
+module.exports = {
+  Backtester,
+  fetchDataset,
+  loadDataset,
+  getResolution,
+  resolveTarget,
+  main
+};
+
+if (require.main === module) {
+  main().catch((e) => {
+    logger.error('💥', 'Fatal error:', e);
+    process.exit(1);
+  });
+}
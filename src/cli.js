@@ -0,0 +1,347 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+const TradeTracker = require('./tradeTracker');
+const { createTradeStore, toIso } = require('./tradeStore');
+const { readJson, writeJsonAtomic } = require('./persistence');
+const { logger, configureLogger } = require('./logger');
+const { SCHEMA, loadConfig, loadConfiguredTargets } = require('./config');
+
+/**
+ * CLI - Inspect and manage the bot's data without editing its files
+ *
+ * Usage: node src/cli.js <command> [args] [--flags]   (or: npm run cli -- <command> ...)
+ *
+ * Reads the files of the configured EXECUTION_MODE (--mode paper reads the paper ones).
+ * close, approve, revoke and state reset-target change the bot's state or wallet: stop
+ * the bot first (or use the control API while it runs) so the two don't overwrite each other.
+ */
+
+const USAGE = `Usage: node src/cli.js <command> [args] [--flags]
+
+  positions                            Our open positions
+  trades                               Recorded trades, newest first
+  stats                                Trade statistics, overall and per target
+  export [--format csv|json] [--out <file>]
+                                       Write the trades (filters apply) to a file
+  close <slug>                         Sell a position now, the way a copied close does
+  approve <slug> [--usdc <amount>]     Let a market move our outcome tokens (and spend USDC)
+  revoke <slug>                        Take back a market's USDC allowance and token approval
+  state show                           What the state file holds
+  state reset-target <address|label>   Forget a target's last seen positions
+  simulate [--<setting> <value> ...]   Run the simulator with settings overridden,
+                                       e.g. --target 0x... --balance 500 --max-bet-usdc 10
+
+Filters (trades, export): --from <date> --to <date> --target <wallet> --market <slug>
+  --status <OPEN,CLOSED,...> --type <BUY,SELL,SKIP,RECONCILE>; trades also takes
+  --limit <n> (default 20) and --page <n>
+Global: --mode onchain|paper|dry-run  --json (machine-readable output)`;
+
+const BOOLEAN_FLAGS = ['json', 'help'];
+
+// Shorthands for simulate; any other --some-setting sets SOME_SETTING
+const SIMULATE_FLAGS = {
+  target: 'TARGET_WALLET',
+  balance: 'STARTING_BALANCE_USDC',
+  multiplier: 'BET_MULTIPLIER',
+  'sizing-mode': 'SIZING_MODE'
+};
+
+// ========= Config =========
+const { command, args, flags } = parseArgs(process.argv.slice(2));
+// Set in the environment so src/index.js, which loads the config itself, sees them too
+if (flags.mode) process.env.EXECUTION_MODE = flags.mode;
+if (flags.json) process.env.LOG_LEVEL = 'warn'; // keep stdout to the JSON
+
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  console.error(`❌ ${e?.message || e}`);
+  process.exit(1);
+}
+
+const EXECUTION_MODE = config.EXECUTION_MODE;
+const STATE_FILE = config.STATE_FILE;
+const TRADES_FILE = config.TRADES_FILE;
+const TRADE_STORE = config.TRADE_STORE; // json | sqlite
+const TRADES_DB = config.TRADES_DB;
+const STATE_BACKUPS = config.STATE_BACKUPS;
+
+/**
+ * `<command> [args] --name value --name=value --json` -> { command, args, flags }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    if (eq > 0) {
+      parsed[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (BOOLEAN_FLAGS.includes(arg.slice(2)) || argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      parsed[arg.slice(2)] = true;
+    } else {
+      parsed[arg.slice(2)] = argv[++i];
+    }
+  }
+  return { command: positional[0] || null, args: positional.slice(1), flags: parsed };
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v), 2));
+}
+
+const side = (outcomeIndex) => (outcomeIndex === 0 ? 'NO' : 'YES');
+const usdc = (raw, decimals = 6) => (raw != null ? Number(ethers.formatUnits(BigInt(raw), decimals)).toFixed(2) : '-');
+
+// ========= Local data =========
+function readState() {
+  return readJson(STATE_FILE, { backups: STATE_BACKUPS }) || {};
+}
+
+// The stats' totals are at the collateral's decimals, which the recorded trades carry
+function openTracker() {
+  const store = createTradeStore(TRADE_STORE, { filePath: TRADES_FILE, dbPath: TRADES_DB, backups: STATE_BACKUPS });
+  const tracker = new TradeTracker(TRADES_FILE, { store });
+  tracker.decimals = store.query({ type: ['BUY', 'SELL'] }).find(t => t.collateralDecimals != null)?.collateralDecimals ?? tracker.decimals;
+  return tracker;
+}
+
+// The trade filter from --from, --to, --target, --market, --status and --type; bad dates fail
+// here, before any trade is read
+function tradeFilter() {
+  const list = (value) => (value ? String(value).toUpperCase().split(',') : undefined);
+  const date = (flag, options) => {
+    try {
+      return toIso(flags[flag], options) || undefined;
+    } catch (e) {
+      throw new Error(`--${flag}: ${e.message}`);
+    }
+  };
+  return {
+    from: date('from'),
+    to: date('to', { endOfDay: true }),
+    sourceWallet: flags.target,
+    marketSlug: flags.market,
+    status: list(flags.status),
+    type: list(flags.type)
+  };
+}
+
+// A target's state key from its address or, through the targets config, its label
+function resolveTargetKey(nameOrAddress) {
+  if (ethers.isAddress(nameOrAddress)) return nameOrAddress.toLowerCase();
+  let targets = [];
+  try {
+    targets = loadConfiguredTargets(config);
+  } catch (e) {
+    throw new Error(`Can't look up target labels (${e?.message || e}) - pass the target's address`);
+  }
+  const target = targets.find(t => t.label === nameOrAddress);
+  if (!target) throw new Error(`No target labelled ${nameOrAddress}`);
+  return target.key;
+}
+
+// ========= Commands =========
+function showPositions() {
+  const state = readState();
+  const paper = EXECUTION_MODE === 'paper';
+  const entries = (paper ? state.paper?.positions : state.ourPositions) || [];
+  if (flags.json) return printJson(entries.map(([slug, pos]) => ({ slug, ...pos })));
+  if (entries.length === 0) return console.log(`No open positions (${STATE_FILE})`);
+
+  console.log(`${entries.length} open position(s) (${STATE_FILE}):`);
+  for (const [slug, pos] of entries) {
+    const details = paper
+      ? `cost ${pos.invested.toFixed(2)} USDC, ${pos.tokens.toFixed(2)} tokens`
+      : `cost ${usdc(pos.amount, pos.decimals)} USDC, ${pos.tokens ? usdc(pos.tokens, pos.decimals) : '?'} tokens${pos.markValue != null ? `, worth ${usdc(pos.markValue, pos.decimals)} USDC` : ''}`;
+    console.log(`  ${slug} ${side(pos.outcomeIndex)}${pos.venue === 'clob' ? ' (CLOB)' : ''} - ${details}${pos.sourceWallet ? ` for ${pos.sourceWallet}` : ''}`);
+  }
+}
+
+function showTrades() {
+  const filter = tradeFilter();
+  const tracker = openTracker();
+  try {
+    const result = tracker.getTradesPage({
+      ...filter,
+      page: parseInt(flags.page || '1', 10) || 1,
+      pageSize: parseInt(flags.limit || '20', 10) || 20
+    });
+    if (flags.json) return printJson(result);
+    if (result.total === 0) return console.log('No matching trades');
+
+    for (const t of result.trades) {
+      const amount = t.type === 'SELL' ? `returned ${t.returnAmountFormatted || '-'} USDC`
+        : t.type === 'RECONCILE' ? t.drift
+        : `${t.investmentAmountFormatted || '-'} USDC`;
+      const pnl = t.pnlAmount ? `, PnL ${Number(t.pnlAmount) >= 0 ? '+' : ''}${usdc(t.pnlAmount, t.collateralDecimals)}` : '';
+      const reason = t.skipReason || t.resolution || '';
+      console.log(`${t.timestamp}  ${t.type.padEnd(9)} ${String(t.status).padEnd(10)} ${t.marketSlug || '-'} ${t.outcomeLabel || ''} - ${amount}${pnl}${reason ? ` (${reason})` : ''}`);
+    }
+    console.log(`Page ${result.page}/${result.pages} (${result.total} trade(s))`);
+  } finally {
+    tracker.close();
+  }
+}
+
+function showStats() {
+  const tracker = openTracker();
+  try {
+    if (flags.json) return printJson({ ...tracker.getStats(), byTarget: tracker.getStatsByTarget() });
+    tracker.printSummary();
+  } finally {
+    tracker.close();
+  }
+}
+
+function exportTrades() {
+  const format = flags.format || 'csv';
+  if (!['csv', 'json'].includes(format)) throw new Error('--format must be csv or json');
+  const out = flags.out || `${TRADES_FILE.replace(/\.json$/, '')}-export.${format}`;
+  const filter = tradeFilter();
+  const tracker = openTracker();
+  try {
+    const ok = format === 'csv' ? tracker.exportToCSV(out, filter) : tracker.exportToJSON(out, filter);
+    if (!ok) throw new Error(`Export to ${out} failed`);
+  } finally {
+    tracker.close();
+  }
+}
+
+function showState() {
+  const state = readState();
+  if (flags.json) return printJson(state);
+
+  console.log(`State file: ${STATE_FILE}`);
+  const seen = (state.lastSeenPositions || []).filter(([, value]) => Array.isArray(value));
+  console.log(`Targets with last seen positions: ${seen.length}`);
+  for (const [key, positions] of seen) {
+    console.log(`  ${key}: ${positions.length} position(s)${positions.length ? ` - ${positions.map(([slug, p]) => `${slug} ${side(p.outcomeIndex)}`).join(', ')}` : ''}`);
+  }
+  console.log(`Our open positions: ${(state.ourPositions || []).length}`);
+  if (state.paper) console.log(`Paper wallet: ${Number(state.paper.balance).toFixed(2)} USDC, ${(state.paper.positions || []).length} open position(s)`);
+  console.log(`Pending transactions: ${(state.pendingTxs || []).length}`);
+  for (const tx of state.pendingTxs || []) console.log(`  ${tx.label} (nonce ${tx.nonce}) ${tx.hashes?.[tx.hashes.length - 1] || ''}`);
+  console.log(`Last scanned block: ${state.detectorLastBlock ?? '-'}`);
+  if (state.risk?.peakPnL != null) console.log(`Risk: peak PnL ${state.risk.peakPnL ?? '-'}, day ${state.risk.day ?? '-'} started at ${state.risk.dayStartPnL ?? '-'}`);
+}
+
+function resetTarget(nameOrAddress) {
+  if (!nameOrAddress) throw new Error('Usage: state reset-target <address|label>');
+  const key = resolveTargetKey(nameOrAddress);
+  const state = readState();
+  const seen = state.lastSeenPositions || [];
+  const index = seen.findIndex(([k, value]) => k === key && Array.isArray(value));
+  if (index < 0) throw new Error(`No last seen positions for ${nameOrAddress} in ${STATE_FILE}`);
+
+  const count = seen[index][1].length;
+  seen.splice(index, 1);
+  writeJsonAtomic(STATE_FILE, state, { backups: STATE_BACKUPS });
+  console.log(`🧹 Forgot ${count} last seen position(s) of ${nameOrAddress} - the bot takes its current positions as the baseline on the next start`);
+}
+
+// close, approve and revoke load the bot itself (src/index.js) with the same config
+async function withBot(fn) {
+  const bot = require('./index');
+  const { provider, wallet, unfinished } = await bot.connect();
+  try {
+    if (unfinished.length > 0) logger.warn('📓', `${unfinished.length} trade(s) from the last run are still unreconciled - the bot settles them on its next start`);
+    return await fn(bot, provider, wallet);
+  } finally {
+    await bot.disconnect();
+    provider.destroy();
+  }
+}
+
+async function findMarket(bot, slug) {
+  const market = await bot.fetchMarket(slug);
+  if (!market?.slug) throw new Error(`Market ${slug} not found`);
+  return market;
+}
+
+function requireOnchain(name) {
+  if (EXECUTION_MODE !== 'onchain') throw new Error(`${name} works on the real wallet - use EXECUTION_MODE=onchain`);
+}
+
+async function closePosition(slug) {
+  if (!slug) throw new Error('Usage: close <slug>');
+  await withBot(async (bot, provider, wallet) => {
+    if (!bot.heldPositions().has(slug)) throw new Error(`No open position in ${slug}`);
+    const closed = await bot.forceClose(provider, wallet, slug, 'CLI');
+    if (!closed) throw new Error(`${slug} is still open - see the log above`);
+    console.log(`✅ Closed ${slug}`);
+  });
+}
+
+async function approve(slug) {
+  if (!slug) throw new Error('Usage: approve <slug> [--usdc <amount>]');
+  requireOnchain('approve');
+  const amount = flags.usdc !== undefined ? Number(flags.usdc) : 0;
+  if (!(amount >= 0)) throw new Error('--usdc must be a positive amount');
+  await withBot(async (bot, provider, wallet) => {
+    const market = await findMarket(bot, slug);
+    const ok = await bot.approveMarket(wallet, market, amount);
+    const allowances = await bot.getAllowances(wallet, market);
+    if (flags.json) printJson(allowances);
+    else console.log(`${ok ? '✅' : '⚠️'} ${slug}: USDC allowance ${allowances.usdc}, outcome tokens ${allowances.outcomeTokens ? 'approved' : 'not approved'} (spender ${allowances.spender})`);
+    if (!ok) process.exitCode = 1;
+  });
+}
+
+async function revoke(slug) {
+  if (!slug) throw new Error('Usage: revoke <slug>');
+  requireOnchain('revoke');
+  await withBot(async (bot, provider, wallet) => {
+    const market = await findMarket(bot, slug);
+    const ok = await bot.revokeMarket(wallet, market);
+    const allowances = await bot.getAllowances(wallet, market);
+    if (flags.json) printJson(allowances);
+    else console.log(`${ok ? '✅' : '⚠️'} ${slug}: USDC allowance ${allowances.usdc}, outcome tokens ${allowances.outcomeTokens ? 'approved' : 'not approved'} (spender ${allowances.spender})`);
+    if (!ok) process.exitCode = 1;
+  });
+}
+
+// Flags become environment variables the simulator reads at load
+function simulate() {
+  for (const [name, value] of Object.entries(flags)) {
+    if (name === 'mode' || name === 'json') continue;
+    const key = SIMULATE_FLAGS[name] || name.toUpperCase().replace(/-/g, '_');
+    if (!SCHEMA[key]) throw new Error(`Unknown setting --${name} (${key})`);
+    process.env[key] = String(value);
+    logger.info('⚙️', `${key}=${value}`);
+  }
+  require('./simulator');
+}
+
+// ========= Main =========
+async function main() {
+  configureLogger(config);
+  if (!command || command === 'help' || flags.help) return console.log(USAGE);
+
+  switch (command) {
+    case 'positions': return showPositions();
+    case 'trades': return showTrades();
+    case 'stats': return showStats();
+    case 'export': return exportTrades();
+    case 'close': return closePosition(args[0]);
+    case 'approve': return approve(args[0]);
+    case 'revoke': return revoke(args[0]);
+    case 'simulate': return simulate();
+    case 'state':
+      if (args[0] === 'show') return showState();
+      if (args[0] === 'reset-target') return resetTarget(args[1]);
+      throw new Error('Usage: state show | state reset-target <address|label>');
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main().catch((e) => {
+  logger.error('❌', e?.message || String(e));
+  process.exitCode = 1;
+});
@@ -0,0 +1,327 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+
+/**
+ * CLOB Client - Places signed EIP-712 orders on the Limitless order book
+ *
+ * The HTTP client is injectable (anything with an axios-style `request(config)`),
+ * and `baseUrl` can point at a local mock server for testing.
+ */
+
+const ORDER_TYPES = {
+  Order: [
+    { name: 'salt', type: 'uint256' },
+    { name: 'maker', type: 'address' },
+    { name: 'signer', type: 'address' },
+    { name: 'taker', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'makerAmount', type: 'uint256' },
+    { name: 'takerAmount', type: 'uint256' },
+    { name: 'expiration', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'feeRateBps', type: 'uint256' },
+    { name: 'side', type: 'uint8' },
+    { name: 'signatureType', type: 'uint8' }
+  ]
+};
+
+const SIDE_BUY = 0;
+const SIDE_SELL = 1;
+const SIGNATURE_TYPE_EOA = 0;
+
+const PRICE_SCALE = 1000000n; // prices are expressed with 6 decimals internally
+const TICK = 0.001;
+
+const FILLED_STATUSES = ['FILLED', 'MATCHED'];
+const DONE_STATUSES = ['FILLED', 'MATCHED', 'CANCELLED', 'CANCELED', 'KILLED', 'EXPIRED', 'REJECTED'];
+
+/**
+ * Token ID for an outcome of a CLOB market (0 = NO, 1 = YES)
+ */
+function getClobTokenId(market, outcomeIndex) {
+  const tokens = market?.tokens;
+  if (!tokens) return null;
+  const id = outcomeIndex === 0 ? tokens.no : tokens.yes;
+  return id ? String(id) : null;
+}
+
+/**
+ * Exchange contract that verifies orders for a CLOB market
+ */
+function getExchangeAddress(market) {
+  return market?.venue?.exchange || null;
+}
+
+/**
+ * Whether a market trades on the order book rather than through an AMM contract
+ */
+function isClobMarket(market) {
+  return !market?.address && !!getClobTokenId(market, 1) && !!getExchangeAddress(market);
+}
+
+function roundToTick(price, direction) {
+  const ticks = price / TICK;
+  const rounded = direction === 'up' ? Math.ceil(ticks - 1e-9) : Math.floor(ticks + 1e-9);
+  return Math.min(1 - TICK, Math.max(TICK, rounded * TICK));
+}
+
+function toPriceUnits(price) {
+  return BigInt(Math.round(price * Number(PRICE_SCALE)));
+}
+
+class ClobClient {
+  constructor({
+    wallet,
+    http = axios.create(),
+    baseUrl = 'https://api.limitless.exchange',
+    chainId = 8453,
+    feeRateBps = 0,
+    timeoutMs = 15000
+  }) {
+    this.wallet = wallet;
+    this.http = http;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.chainId = chainId;
+    this.feeRateBps = feeRateBps;
+    this.timeoutMs = timeoutMs;
+    this.sessionCookie = null;
+    this.ownerId = null;
+  }
+
+  /**
+   * Log in with a wallet signature and keep the session cookie
+   */
+  async authenticate() {
+    const msgRes = await this.http.request({
+      method: 'GET',
+      url: `${this.baseUrl}/auth/signing-message`,
+      timeout: this.timeoutMs
+    });
+    const message = typeof msgRes.data === 'string' ? msgRes.data : msgRes.data?.message;
+    if (!message) throw new Error('CLOB auth: empty signing message');
+
+    const signature = await this.wallet.signMessage(message);
+    const loginRes = await this.http.request({
+      method: 'POST',
+      url: `${this.baseUrl}/auth/login`,
+      headers: {
+        'x-account': this.wallet.address,
+        'x-signing-message': ethers.hexlify(ethers.toUtf8Bytes(message)),
+        'x-signature': signature
+      },
+      data: { client: 'eoa' },
+      timeout: this.timeoutMs
+    });
+
+    const setCookie = loginRes.headers?.['set-cookie'];
+    const cookies = Array.isArray(setCookie) ? setCookie : (setCookie ? [setCookie] : []);
+    this.sessionCookie = cookies.map(c => c.split(';')[0]).join('; ') || null;
+    this.ownerId = loginRes.data?.id ?? null;
+    return this.ownerId;
+  }
+
+  /**
+   * Authenticated request; logs in on first use and retries once on 401
+   */
+  async request(method, urlPath, data, { auth = true, retry = true } = {}) {
+    if (auth && !this.sessionCookie) await this.authenticate();
+    try {
+      const res = await this.http.request({
+        method,
+        url: `${this.baseUrl}${urlPath}`,
+        data,
+        headers: auth && this.sessionCookie ? { cookie: this.sessionCookie } : {},
+        timeout: this.timeoutMs
+      });
+      return res.data;
+    } catch (e) {
+      if (auth && retry && e?.response?.status === 401) {
+        this.sessionCookie = null;
+        return this.request(method, urlPath, data, { auth, retry: false });
+      }
+      const detail = e?.response?.data ? ` ${JSON.stringify(e.response.data)}` : '';
+      throw new Error(`CLOB ${method} ${urlPath} failed: ${e?.message || e}${detail}`);
+    }
+  }
+
+  /**
+   * Best bid/ask for a market (prices 0-1)
+   */
+  async getBestPrices(marketSlug) {
+    const book = await this.request('GET', `/markets/${marketSlug}/orderbook`, undefined, { auth: false });
+    const bids = (book?.bids || []).map(b => Number(b.price)).filter(Number.isFinite);
+    const asks = (book?.asks || []).map(a => Number(a.price)).filter(Number.isFinite);
+    return {
+      bestBid: bids.length ? Math.max(...bids) : null,
+      bestAsk: asks.length ? Math.min(...asks) : null
+    };
+  }
+
+  /**
+   * Build an unsigned order
+   */
+  buildOrder({ tokenId, side, makerAmount, takerAmount, expiration = 0n }) {
+    return {
+      salt: BigInt(ethers.hexlify(ethers.randomBytes(6))),
+      maker: this.wallet.address,
+      signer: this.wallet.address,
+      taker: ethers.ZeroAddress,
+      tokenId: BigInt(tokenId),
+      makerAmount: BigInt(makerAmount),
+      takerAmount: BigInt(takerAmount),
+      expiration: BigInt(expiration),
+      nonce: 0n,
+      feeRateBps: BigInt(this.feeRateBps),
+      side,
+      signatureType: SIGNATURE_TYPE_EOA
+    };
+  }
+
+  /**
+   * Sign an order for the market's exchange contract
+   */
+  async signOrder(order, exchangeAddress) {
+    const domain = {
+      name: 'Limitless CTF Exchange',
+      version: '1',
+      chainId: this.chainId,
+      verifyingContract: exchangeAddress
+    };
+    const signature = await this.wallet.signTypedData(domain, ORDER_TYPES, order);
+    return { ...order, signature };
+  }
+
+  /**
+   * Submit a signed order. Returns the API's order object.
+   */
+  async placeOrder({ marketSlug, signedOrder, orderType = 'FOK', price }) {
+    if (!this.ownerId) await this.authenticate();
+    const order = {};
+    for (const [k, v] of Object.entries(signedOrder)) {
+      order[k] = typeof v === 'bigint' ? v.toString() : v;
+    }
+    if (price != null) order.price = price;
+    return this.request('POST', '/orders', { order, ownerId: this.ownerId, orderType, marketSlug });
+  }
+
+  async getOrder(orderId) {
+    return this.request('GET', `/orders/${orderId}`);
+  }
+
+  async cancelOrder(orderId) {
+    return this.request('DELETE', `/orders/${orderId}`);
+  }
+
+  /**
+   * Poll an order until it is done or the timeout passes; cancels whatever is
+   * still resting at the timeout. Returns the normalized fill.
+   */
+  async waitForFill(placed, signedOrder, { timeoutMs = 30000, pollMs = 1500 } = {}) {
+    const orderId = placed?.id ?? placed?.order?.id ?? null;
+    let current = placed?.order ?? placed;
+    const deadline = Date.now() + timeoutMs;
+
+    while (orderId && !DONE_STATUSES.includes(String(current?.status || '').toUpperCase()) && Date.now() < deadline) {
+      await new Promise(res => setTimeout(res, pollMs));
+      try {
+        current = await this.getOrder(orderId);
+      } catch (_) {
+        // keep polling until the deadline
+      }
+    }
+
+    let cancelled = false;
+    const status = String(current?.status || '').toUpperCase();
+    if (orderId && !DONE_STATUSES.includes(status)) {
+      try {
+        await this.cancelOrder(orderId);
+        cancelled = true;
+      } catch (_) {}
+    }
+
+    return { orderId, cancelled, ...this.normalizeFill(current, signedOrder) };
+  }
+
+  /**
+   * Reduce the API's order object to filled maker/taker amounts
+   */
+  normalizeFill(order, signedOrder) {
+    const status = String(order?.status || '').toUpperCase();
+    const makerAmount = BigInt(signedOrder.makerAmount);
+    const takerAmount = BigInt(signedOrder.takerAmount);
+
+    let filledMaker = null;
+    let filledTaker = null;
+    if (order?.filledMakerAmount != null) filledMaker = BigInt(order.filledMakerAmount);
+    if (order?.filledTakerAmount != null) filledTaker = BigInt(order.filledTakerAmount);
+
+    if (filledMaker === null && FILLED_STATUSES.includes(status)) filledMaker = makerAmount;
+    if (filledMaker === null) filledMaker = 0n;
+    if (filledTaker === null) filledTaker = makerAmount > 0n ? (takerAmount * filledMaker) / makerAmount : 0n;
+
+    return { status: status || 'UNKNOWN', filledMakerAmount: filledMaker, filledTakerAmount: filledTaker };
+  }
+
+  /**
+   * Spend `investment` collateral on an outcome at up to best ask + slippage.
+   * Returns { orderId, status, collateralSpent, tokensReceived, price }.
+   */
+  async marketBuy({ market, outcomeIndex, investment, slippageBps, orderType = 'FOK', timeoutMs }) {
+    const tokenId = getClobTokenId(market, outcomeIndex);
+    const exchange = getExchangeAddress(market);
+    const { bestAsk } = await this.getBestPrices(market.slug);
+    if (bestAsk === null) throw new Error(`No asks on the book for ${market.slug}`);
+
+    const limitPrice = roundToTick(bestAsk * (1 + slippageBps / 10000), 'up');
+    const takerAmount = (BigInt(investment) * PRICE_SCALE) / toPriceUnits(limitPrice);
+    const order = this.buildOrder({ tokenId, side: SIDE_BUY, makerAmount: investment, takerAmount });
+    const signed = await this.signOrder(order, exchange);
+    const placed = await this.placeOrder({ marketSlug: market.slug, signedOrder: signed, orderType, price: limitPrice });
+    const fill = await this.waitForFill(placed, signed, { timeoutMs });
+
+    return {
+      orderId: fill.orderId,
+      status: fill.status,
+      cancelled: fill.cancelled,
+      collateralSpent: fill.filledMakerAmount,
+      tokensReceived: fill.filledTakerAmount,
+      price: limitPrice
+    };
+  }
+
+  /**
+   * Sell `tokens` of an outcome at down to best bid - slippage.
+   * Returns { orderId, status, tokensSold, collateralReceived, price }.
+   */
+  async marketSell({ market, outcomeIndex, tokens, slippageBps, orderType = 'FOK', timeoutMs }) {
+    const tokenId = getClobTokenId(market, outcomeIndex);
+    const exchange = getExchangeAddress(market);
+    const { bestBid } = await this.getBestPrices(market.slug);
+    if (bestBid === null) throw new Error(`No bids on the book for ${market.slug}`);
+
+    const limitPrice = roundToTick(bestBid * (1 - slippageBps / 10000), 'down');
+    const takerAmount = (BigInt(tokens) * toPriceUnits(limitPrice)) / PRICE_SCALE;
+    const order = this.buildOrder({ tokenId, side: SIDE_SELL, makerAmount: tokens, takerAmount });
+    const signed = await this.signOrder(order, exchange);
+    const placed = await this.placeOrder({ marketSlug: market.slug, signedOrder: signed, orderType, price: limitPrice });
+    const fill = await this.waitForFill(placed, signed, { timeoutMs });
+
+    return {
+      orderId: fill.orderId,
+      status: fill.status,
+      cancelled: fill.cancelled,
+      tokensSold: fill.filledMakerAmount,
+      collateralReceived: fill.filledTakerAmount,
+      price: limitPrice
+    };
+  }
+}
+
+module.exports = {
+  ClobClient,
+  getClobTokenId,
+  getExchangeAddress,
+  isClobMarket,
+  SIDE_BUY,
+  SIDE_SELL
+};
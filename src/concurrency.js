@@ -0,0 +1,57 @@
+/**
+ * Concurrency - Running market work in parallel without stepping on itself
+ *
+ *   KeyedMutex  runs tasks with the same key one after another, in call order
+ *   Limiter     caps how many tasks run at once
+ */
+
+class KeyedMutex {
+  constructor() {
+    this.tails = new Map(); // key -> promise that settles when the key's last task is done
+  }
+
+  /**
+   * Run `fn` once every earlier task for `key` has finished. Returns fn's result.
+   */
+  run(key, fn) {
+    const run = (this.tails.get(key) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    this.tails.set(key, tail);
+    tail.then(() => {
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    });
+    return run;
+  }
+
+  isLocked(key) {
+    return this.tails.has(key);
+  }
+}
+
+class Limiter {
+  constructor(limit) {
+    this.limit = Math.max(1, limit || 1);
+    this.active = 0;
+    this.waiting = []; // resolvers for tasks waiting on a slot
+  }
+
+  /**
+   * Run `fn` as soon as fewer than `limit` tasks are running. Returns fn's result.
+   */
+  async run(fn) {
+    if (this.active < this.limit) this.active++;
+    else await new Promise(resolve => this.waiting.push(resolve)); // the slot is handed over on release
+    try {
+      return await fn();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) next();
+      else this.active--;
+    }
+  }
+}
+
+module.exports = {
+  KeyedMutex,
+  Limiter
+};
@@ -0,0 +1,472 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { ethers } = require('ethers');
+const { SIZING_MODES } = require('./sizing');
+const { CONFLICT_POLICIES, loadTargets } = require('./targets');
+const { GAP_ACTIONS } = require('./priceFilter');
+const { TRADE_STORES } = require('./tradeStore');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+const { loadMarketRules } = require('./marketFilter');
+
+/**
+ * Config - Every setting of the bot, the simulator and the backtester in one place
+ *
+ * Settings come from (later wins):
+ *   1. the defaults in SCHEMA
+ *   2. the profile picked by PROFILE (or `profile:` in the file)
+ *   3. the config file: CONFIG_FILE, or config.yaml / config.yml / config.json if present
+ *   4. the environment (.env); empty values count as unset
+ *
+ * The file uses camelCase keys (minBetUsdc for MIN_BET_USDC) and may also hold
+ * `profiles:` (named sets of settings, merged over the built-in ones) and `targets:`
+ * (the TARGETS_FILE list, inline). A target's `profile` applies that profile's sizing
+ * and market filters to the target alone.
+ *
+ * Every value is checked against its schema entry and all problems are reported at
+ * once. The result is keyed by the environment names, so it can be handed to anything
+ * that reads process.env (configureLogger, loadNotifier, loadMarketRules).
+ *
+ * Settings marked `reload` are applied by the bot without a restart (see diffConfig).
+ */
+
+const EXECUTION_MODES = ['onchain', 'paper', 'dry-run'];
+const DETECTION_MODES = ['events', 'poll'];
+const CLOB_ORDER_TYPES = ['FOK', 'GTC'];
+const CONFIG_FILES = ['config.yaml', 'config.yml', 'config.json']; // looked for when CONFIG_FILE isn't set
+
+// Paper and dry runs keep their own state and trades so they never touch the live files
+const FILE_PREFIXES = { onchain: '', paper: 'paper_', 'dry-run': 'dryrun_' };
+
+/**
+ * type: string | url | address | integer | number | enum (one of `values`) | list
+ * (array, or comma-separated). `default` may be a function of the settings resolved so far.
+ */
+const SCHEMA = {
+  // Network
+  RPC_URL: { type: 'url', default: null },
+  CHAIN_ID: { type: 'integer', default: 8453, min: 1 },
+  USDC_ADDRESS: { type: 'address', default: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' },
+  CONDITIONAL_TOKENS_ADDRESS: { type: 'address', default: '0xC9c98965297Bc527861c898329Ee280632B76e18' },
+  PRIVATE_KEY: { type: 'string', default: null, secret: true },
+
+  // Targets
+  TARGET_WALLET: { type: 'string', default: null, reload: true },
+  TARGET_WALLETS: { type: 'list', default: [], reload: true },
+  TARGETS_FILE: { type: 'string', default: null, reload: true },
+  CONFLICT_POLICY: { type: 'enum', values: CONFLICT_POLICIES, default: 'keep-first', reload: true },
+  PROFILE: { type: 'string', default: null, reload: true },
+
+  // Detection
+  DETECTION_MODE: { type: 'enum', values: DETECTION_MODES, default: 'events' },
+  POLL_INTERVAL_MS: { type: 'integer', default: 15000, min: 1000 },
+  LOOKBACK_BLOCKS: { type: 'integer', default: 10000, min: 0 },
+  LOG_CHUNK_BLOCKS: { type: 'integer', default: 2000, min: 1 },
+  RESYNC_INTERVAL_MS: { type: 'integer', default: 300000, min: 1000 },
+  MAX_CONCURRENT_MARKETS: { type: 'integer', default: 4, min: 1 },
+  MARK_INTERVAL_MS: { type: 'integer', default: 60000, min: 1000 },
+  RESOLUTION_CHECK_INTERVAL_MS: { type: 'integer', default: 60000, min: 1000 },
+  RECONCILE_INTERVAL_MS: { type: 'integer', default: 600000, min: 0 },
+
+  // Sizing (defaults for every target)
+  SIZING_MODE: { type: 'enum', values: SIZING_MODES, default: 'proportional', reload: true },
+  BET_MULTIPLIER: { type: 'number', default: 1, min: 0, reload: true },
+  MIN_BET_USDC: { type: 'number', default: 1, min: 0, reload: true },
+  MAX_BET_USDC: { type: 'number', default: 100, min: 0, reload: true },
+  FIXED_BET_USDC: { type: 'number', default: s => s.MIN_BET_USDC, min: 0, reload: true },
+  BANKROLL_PCT: { type: 'number', default: 2, min: 0, max: 100, reload: true },
+  SCALE_THRESHOLD_PCT: { type: 'number', default: 10, min: 0, reload: true },
+  SLIPPAGE_BPS: { type: 'integer', default: 200, min: 0, max: 10000, reload: true },
+  SELL_REQUOTE_ATTEMPTS: { type: 'integer', default: 3, min: 1 },
+  ACTION_MAX_ATTEMPTS: { type: 'integer', default: 5, min: 1 },
+  ACTION_RETRY_MS: { type: 'integer', default: 30000, min: 0 },
+
+  // Market filters (defaults for every target)
+  ALLOWED_MARKETS: { type: 'list', default: [], reload: true },
+  DENIED_MARKETS: { type: 'list', default: [], reload: true },
+  MARKET_ALLOWED_CATEGORIES: { type: 'list', default: [], reload: true },
+  MARKET_DENIED_CATEGORIES: { type: 'list', default: [], reload: true },
+  MARKET_ALLOWED_COLLATERAL: { type: 'list', default: [], reload: true },
+  MARKET_DENIED_COLLATERAL: { type: 'list', default: [], reload: true },
+  MIN_TIME_TO_EXPIRY_MS: { type: 'integer', default: null, min: 0, reload: true },
+  MAX_TIME_TO_EXPIRY_MS: { type: 'integer', default: null, min: 0, reload: true },
+  MIN_MARKET_LIQUIDITY_USDC: { type: 'number', default: null, min: 0, reload: true },
+  MIN_MARKET_VOLUME_USDC: { type: 'number', default: null, min: 0, reload: true },
+
+  // Entry price filters (0 = disabled)
+  MAX_PRICE_GAP_PCT: { type: 'number', default: 0, min: 0, reload: true },
+  PRICE_GAP_ACTION: { type: 'enum', values: GAP_ACTIONS, default: 'skip', reload: true },
+  MIN_ENTRY_PRICE: { type: 'number', default: 0, min: 0, max: 1, reload: true },
+  MAX_ENTRY_PRICE: { type: 'number', default: 1, min: 0, max: 1, reload: true },
+
+  // Account-level risk limits (0 = disabled)
+  MAX_TOTAL_EXPOSURE_USDC: { type: 'number', default: 0, min: 0, reload: true },
+  MAX_MARKET_EXPOSURE_USDC: { type: 'number', default: 0, min: 0, reload: true },
+  MAX_CATEGORY_EXPOSURE_USDC: { type: 'number', default: 0, min: 0, reload: true },
+  MAX_OPEN_POSITIONS: { type: 'integer', default: 0, min: 0, reload: true },
+  DAILY_LOSS_LIMIT_USDC: { type: 'number', default: 0, min: 0, reload: true },
+  MAX_DRAWDOWN_USDC: { type: 'number', default: 0, min: 0, reload: true },
+  LOSS_STREAK_LIMIT: { type: 'integer', default: 0, min: 0, reload: true },
+  LOSS_COOLDOWN_MS: { type: 'integer', default: 3600000, min: 0, reload: true },
+
+  // Execution
+  EXECUTION_MODE: { type: 'enum', values: EXECUTION_MODES, default: 'onchain' },
+  STARTING_BALANCE_USDC: { type: 'number', default: 100, min: 0 },
+  FEE_BPS: { type: 'number', default: 100, min: 0, max: 10000 },
+  GAS_PRICE_GWEI: { type: 'number', default: 0.005, min: 0 },
+  MAX_GAS_ETH: { type: 'number', default: 0.015, min: 0 },
+  CONFIRMATIONS: { type: 'integer', default: 1, min: 1 },
+  TX_TIMEOUT_MS: { type: 'integer', default: 60000, min: 1000 },
+  TX_MAX_REPLACEMENTS: { type: 'integer', default: 3, min: 0 },
+  TX_FEE_BUMP_PCT: { type: 'number', default: 20, min: 10 },
+
+  // CLOB (order book) markets
+  CLOB_API_URL: { type: 'url', default: 'https://api.limitless.exchange' },
+  CLOB_ORDER_TYPE: { type: 'enum', values: CLOB_ORDER_TYPES, default: 'FOK' },
+  CLOB_FILL_TIMEOUT_MS: { type: 'integer', default: 30000, min: 0 },
+  CLOB_FEE_RATE_BPS: { type: 'integer', default: 0, min: 0, max: 10000 },
+
+  // Files
+  STATE_FILE: { type: 'string', default: s => path.join('data', `${FILE_PREFIXES[s.EXECUTION_MODE]}state.json`) },
+  TRADES_FILE: { type: 'string', default: s => path.join('data', `${FILE_PREFIXES[s.EXECUTION_MODE]}trades.json`) },
+  TRADE_STORE: { type: 'enum', values: TRADE_STORES, default: 'json' },
+  TRADES_DB: { type: 'string', default: s => s.TRADES_FILE.replace(/\.json$/, '') + '.db' },
+  JOURNAL_FILE: { type: 'string', default: s => path.join('data', `${FILE_PREFIXES[s.EXECUTION_MODE]}journal.jsonl`) },
+  STATE_BACKUPS: { type: 'integer', default: 5, min: 0 },
+  STATE_BACKUP_INTERVAL_MS: { type: 'integer', default: 0, min: 0 },
+
+  // Control API and metrics (disabled unless the port is set)
+  CONTROL_PORT: { type: 'integer', default: null, min: 1, max: 65535 },
+  CONTROL_HOST: { type: 'string', default: '127.0.0.1' },
+  CONTROL_TOKEN: { type: 'string', default: null, secret: true },
+  METRICS_PORT: { type: 'integer', default: null, min: 1, max: 65535 },
+  METRICS_HOST: { type: 'string', default: '127.0.0.1' },
+
+  // Logging
+  LOG_LEVEL: { type: 'enum', values: LOG_LEVELS, default: 'info' },
+  LOG_FORMAT: { type: 'enum', values: LOG_FORMATS, default: 'text' },
+  LOG_FILE: { type: 'string', default: null },
+  LOG_MAX_BYTES: { type: 'integer', default: 10 * 1024 * 1024, min: 0 },
+  LOG_MAX_FILES: { type: 'integer', default: 5, min: 1 },
+
+  // Notifications (events are checked by loadNotifier)
+  NOTIFY_WEBHOOK_URL: { type: 'url', default: null, secret: true },
+  NOTIFY_WEBHOOK_EVENTS: { type: 'list', default: null },
+  TELEGRAM_BOT_TOKEN: { type: 'string', default: null, secret: true },
+  TELEGRAM_CHAT_ID: { type: 'string', default: null },
+  TELEGRAM_EVENTS: { type: 'list', default: null },
+  DISCORD_WEBHOOK_URL: { type: 'url', default: null, secret: true },
+  DISCORD_EVENTS: { type: 'list', default: null },
+  NOTIFY_BATCH_MS: { type: 'integer', default: 5000, min: 0 },
+  NOTIFY_MAX_PER_MINUTE: { type: 'integer', default: 20, min: 1 },
+  LOW_USDC_BALANCE: { type: 'number', default: 0, min: 0, reload: true },
+  LOW_ETH_BALANCE: { type: 'number', default: 0, min: 0, reload: true },
+  DAILY_DIGEST_HOUR_UTC: { type: 'integer', default: 0, min: 0, max: 23 },
+
+  // Backtesting
+  BACKTEST_WALLET: { type: 'address', default: null },
+  BACKTEST_CACHE_DIR: { type: 'string', default: path.join('data', 'backtest') },
+  BACKTEST_FROM_BLOCK: { type: 'integer', default: null, min: 0 },
+  BACKTEST_TO_BLOCK: { type: 'integer', default: null, min: 0 },
+  BACKTEST_LOOKBACK_BLOCKS: { type: 'integer', default: 302400, min: 1 }, // ~7 days on Base
+  BACKTEST_SLIPPAGE_BPS: { type: 'number', default: 0, min: 0, max: 10000 },
+
+  // How often the bot checks the config file and .env for changes (0 = only on SIGHUP or the control API)
+  CONFIG_WATCH_MS: { type: 'integer', default: 5000, min: 0 }
+};
+
+// Built-in profiles; a file's `profiles:` entry of the same name is merged over them
+const PROFILES = {
+  conservative: {
+    BET_MULTIPLIER: 0.5,
+    MAX_BET_USDC: 25,
+    SLIPPAGE_BPS: 100,
+    MAX_PRICE_GAP_PCT: 5,
+    PRICE_GAP_ACTION: 'skip',
+    MIN_ENTRY_PRICE: 0.05,
+    MAX_ENTRY_PRICE: 0.9,
+    MAX_MARKET_EXPOSURE_USDC: 50,
+    MAX_TOTAL_EXPOSURE_USDC: 250,
+    MAX_OPEN_POSITIONS: 10,
+    DAILY_LOSS_LIMIT_USDC: 50,
+    LOSS_STREAK_LIMIT: 3
+  },
+  aggressive: {
+    BET_MULTIPLIER: 2,
+    MAX_BET_USDC: 250,
+    SLIPPAGE_BPS: 300,
+    SCALE_THRESHOLD_PCT: 5,
+    MAX_PRICE_GAP_PCT: 15,
+    PRICE_GAP_ACTION: 'scale'
+  }
+};
+
+// MIN_BET_USDC -> minBetUsdc
+function toFileKey(name) {
+  return name.toLowerCase().replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+const FILE_KEYS = Object.fromEntries(Object.keys(SCHEMA).map(name => [toFileKey(name), name]));
+
+function describe(spec) {
+  const range = [spec.min != null ? `>= ${spec.min}` : null, spec.max != null ? `<= ${spec.max}` : null].filter(Boolean).join(' and ');
+  if (spec.type === 'integer') return `a whole number${range ? ` ${range}` : ''}`;
+  if (spec.type === 'number') return `a number${range ? ` ${range}` : ''}`;
+  if (spec.type === 'enum') return `one of: ${spec.values.join(', ')}`;
+  if (spec.type === 'url') return 'a URL';
+  if (spec.type === 'address') return 'an address (0x + 40 hex characters)';
+  if (spec.type === 'list') return 'a list (or a comma-separated string)';
+  return 'a string';
+}
+
+/**
+ * One value checked and converted to its schema type. Throws a message saying what
+ * was expected.
+ */
+function parseValue(spec, value) {
+  const fail = () => {
+    throw new Error(`must be ${describe(spec)} (got ${JSON.stringify(value)})`);
+  };
+  if (spec.type === 'integer' || spec.type === 'number') {
+    const n = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+    if (!Number.isFinite(n) || (spec.type === 'integer' && !Number.isInteger(n))) fail();
+    if ((spec.min != null && n < spec.min) || (spec.max != null && n > spec.max)) fail();
+    return n;
+  }
+  if (spec.type === 'list') {
+    if (Array.isArray(value)) {
+      if (value.some(v => typeof v === 'object' && v !== null)) fail();
+      return value.map(v => String(v).trim()).filter(Boolean);
+    }
+    if (typeof value !== 'string') fail();
+    return value.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') fail();
+  const text = String(value).trim();
+  if (spec.type === 'enum' && !spec.values.includes(text)) fail();
+  if (spec.type === 'address') {
+    if (!ethers.isAddress(text)) fail();
+    return ethers.getAddress(text);
+  }
+  if (spec.type === 'url') {
+    try {
+      new URL(text);
+    } catch (_) {
+      fail();
+    }
+  }
+  return text;
+}
+
+/**
+ * The settings in `values` (keyed by environment or file names) parsed against the
+ * schema; problems are added to `errors`
+ */
+function parseSettings(values, source, errors, { fileKeys = false } = {}) {
+  const settings = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    const name = SCHEMA[key] ? key : (fileKeys ? FILE_KEYS[key] : null);
+    if (!name) {
+      errors.push(`${key} (${source}): unknown setting`);
+      continue;
+    }
+    if (value === undefined || value === null || value === '') continue;
+    try {
+      settings[name] = parseValue(SCHEMA[name], value);
+    } catch (e) {
+      const where = key === name ? `${name} (${source})` : `${key} (${name}, ${source})`;
+      errors.push(`${where}: ${e.message}`);
+    }
+  }
+  return settings;
+}
+
+function readConfigFile(file) {
+  let data;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (e) {
+    throw new Error(`Could not read the config file ${file}: ${e?.message || e}`);
+  }
+  if (data == null) return {};
+  if (typeof data !== 'object' || Array.isArray(data)) throw new Error(`${file} must contain a mapping of settings`);
+  return data;
+}
+
+function findConfigFile(env) {
+  if (env.CONFIG_FILE) return env.CONFIG_FILE;
+  return CONFIG_FILES.find(f => fs.existsSync(f)) || null;
+}
+
+/**
+ * Load and validate the configuration. Throws one error listing every problem.
+ *
+ * Returns the settings keyed by their environment names, plus:
+ *   profiles  every profile (built-in and from the file), as settings
+ *   targets   the file's `targets:` list, or null
+ *   file      the config file read, or null
+ */
+function loadConfig({ env = process.env, file = findConfigFile(env) } = {}) {
+  const errors = [];
+  const { profiles: fileProfiles, targets = null, ...fileValues } = file ? readConfigFile(file) : {};
+  const fromFile = parseSettings(fileValues, file, errors, { fileKeys: true });
+
+  const profiles = {};
+  for (const [name, values] of Object.entries(PROFILES)) profiles[name] = { ...values };
+  if (fileProfiles != null && (typeof fileProfiles !== 'object' || Array.isArray(fileProfiles))) {
+    errors.push(`profiles (${file}): must be a mapping of profile names to settings`);
+  } else {
+    for (const [name, values] of Object.entries(fileProfiles || {})) {
+      const source = `${file}, profile ${name}`;
+      const settings = parseSettings(values, source, errors, { fileKeys: true });
+      if ('PROFILE' in settings) errors.push(`profile (${source}): a profile can't pick another profile`);
+      profiles[name] = { ...profiles[name], ...settings };
+    }
+  }
+  if (targets !== null && !Array.isArray(targets)) errors.push(`targets (${file}): must be a list of targets`);
+
+  const envValues = Object.fromEntries(Object.keys(SCHEMA).filter(name => env[name] !== undefined).map(name => [name, env[name]]));
+  const fromEnv = parseSettings(envValues, 'environment', errors);
+
+  const profile = fromEnv.PROFILE ?? fromFile.PROFILE ?? null;
+  if (profile && !profiles[profile]) {
+    errors.push(`PROFILE: unknown profile "${profile}" (use: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  const settings = { ...(profiles[profile] || {}), ...fromFile, ...fromEnv };
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    if (!(name in settings) && typeof spec.default !== 'function') settings[name] = spec.default;
+  }
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    if (!(name in settings)) settings[name] = spec.default(settings);
+  }
+
+  if (settings.MIN_BET_USDC > settings.MAX_BET_USDC) {
+    errors.push(`MIN_BET_USDC (${settings.MIN_BET_USDC}) is above MAX_BET_USDC (${settings.MAX_BET_USDC})`);
+  }
+  if (settings.MIN_ENTRY_PRICE > settings.MAX_ENTRY_PRICE) {
+    errors.push(`MIN_ENTRY_PRICE (${settings.MIN_ENTRY_PRICE}) is above MAX_ENTRY_PRICE (${settings.MAX_ENTRY_PRICE})`);
+  }
+  if (settings.MIN_TIME_TO_EXPIRY_MS != null && settings.MAX_TIME_TO_EXPIRY_MS != null && settings.MIN_TIME_TO_EXPIRY_MS > settings.MAX_TIME_TO_EXPIRY_MS) {
+    errors.push('MIN_TIME_TO_EXPIRY_MS is above MAX_TIME_TO_EXPIRY_MS');
+  }
+  if (settings.CONTROL_PORT && !settings.CONTROL_TOKEN) errors.push('CONTROL_TOKEN is required when CONTROL_PORT is set');
+  if (!settings.TELEGRAM_BOT_TOKEN !== !settings.TELEGRAM_CHAT_ID) errors.push('TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID are both required');
+
+  if (errors.length) throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  return { ...settings, profiles, targets, file };
+}
+
+/**
+ * A target's default sizing and market filters from a set of settings
+ */
+function targetDefaults(settings) {
+  return {
+    sizingMode: settings.SIZING_MODE,
+    multiplier: settings.BET_MULTIPLIER,
+    minBet: settings.MIN_BET_USDC,
+    maxBet: settings.MAX_BET_USDC,
+    fixedAmount: settings.FIXED_BET_USDC,
+    bankrollPct: settings.BANKROLL_PCT,
+    allowedMarkets: settings.ALLOWED_MARKETS,
+    deniedMarkets: settings.DENIED_MARKETS,
+    marketRules: loadMarketRules(settings)
+  };
+}
+
+/**
+ * The configured targets: TARGETS_FILE, else the config file's `targets:`, else
+ * TARGET_WALLETS / TARGET_WALLET. A target's `profile` is applied over the global settings.
+ */
+function loadConfiguredTargets(config) {
+  const profiles = Object.fromEntries(Object.entries(config.profiles).map(([name, p]) => [name, targetDefaults({ ...config, ...p })]));
+  return loadTargets({
+    targetsFile: config.TARGETS_FILE,
+    targets: config.targets,
+    targetWallets: config.TARGET_WALLETS.length ? config.TARGET_WALLETS.join(',') : config.TARGET_WALLET,
+    defaults: targetDefaults(config),
+    profiles
+  });
+}
+
+/**
+ * The settings that differ between two configs, split into those that apply
+ * without a restart and those that don't
+ */
+function diffConfig(prev, next) {
+  const changed = Object.keys(SCHEMA).filter(name => JSON.stringify(prev[name]) !== JSON.stringify(next[name]));
+  for (const key of ['targets', 'profiles']) {
+    if (JSON.stringify(prev[key]) !== JSON.stringify(next[key])) changed.push(key);
+  }
+  return {
+    reloadable: changed.filter(name => !SCHEMA[name] || SCHEMA[name].reload),
+    restartNeeded: changed.filter(name => SCHEMA[name] && !SCHEMA[name].reload)
+  };
+}
+
+/**
+ * The settings in a .env file ({} when there is none)
+ */
+function readEnvFile(file = '.env') {
+  try {
+    return require('dotenv').parse(fs.readFileSync(path.resolve(file)));
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw e;
+  }
+}
+
+/**
+ * Apply an edited .env the way dotenv.config() loaded it at startup: keys in `shellKeys`
+ * (set before .env was read) keep the shell's value, and keys the previous file
+ * (`previousValues`) set but this one doesn't are removed. Returns a function that
+ * puts `env` back as it was.
+ */
+function applyEnvFile(values, previousValues, shellKeys, env = process.env) {
+  const replaced = {};
+  for (const key of new Set([...Object.keys(previousValues), ...Object.keys(values)])) {
+    if (shellKeys.has(key)) continue;
+    replaced[key] = env[key];
+    if (key in values) env[key] = values[key];
+    else delete env[key];
+  }
+  return () => {
+    for (const [key, value] of Object.entries(replaced)) {
+      if (value === undefined) delete env[key];
+      else env[key] = value;
+    }
+  };
+}
+
+/**
+ * Call `onChange(file)` when one of `files` is modified, checking every `intervalMs`.
+ * Polling also sees files that editors replace rather than write. Returns a function
+ * that stops watching.
+ */
+function watchFiles(files, intervalMs, onChange) {
+  const watched = [...new Set(files.filter(Boolean).map(f => path.resolve(f)))];
+  const listeners = watched.map((file) => {
+    const listener = (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) onChange(file);
+    };
+    fs.watchFile(file, { interval: intervalMs, persistent: false }, listener);
+    return [file, listener];
+  });
+  return () => listeners.forEach(([file, listener]) => fs.unwatchFile(file, listener));
+}
+
+module.exports = {
+  SCHEMA,
+  PROFILES,
+  EXECUTION_MODES,
+  DETECTION_MODES,
+  FILE_PREFIXES,
+  loadConfig,
+  targetDefaults,
+  loadConfiguredTargets,
+  diffConfig,
+  readEnvFile,
+  applyEnvFile,
+  watchFiles
+};
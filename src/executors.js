@@ -0,0 +1,422 @@
+const { ethers } = require('ethers');
+const MARKET_ABI = require('./abis/Market.json');
+const { computeBetSize } = require('./sizing');
+const { isClobMarket } = require('./clobClient');
+const { getMarketCategory } = require('./riskManager');
+const { quoteSellReturn } = require('./amm');
+const { checkEntryPrice } = require('./priceFilter');
+const { logger } = require('./logger');
+
+/**
+ * Executors - Carry out the actions planned by the strategy engine
+ *
+ * An executor has one async method per action type: open, close, reduce, settle
+ * and skip. A method returns false when its action failed and should be retried
+ * (anything else counts as done). The live bot's on-chain executor lives in
+ * index.js; the ones here never touch the chain.
+ *
+ *   SimulatedExecutor  fills at the action's price against a virtual balance and
+ *                      records to a TradeTracker (simulator, backtester)
+ *   PaperExecutor      a SimulatedExecutor that fills AMM trades at read-only
+ *                      calcBuyAmount / calcSellAmount quotes (live paper trading)
+ *   DryRunExecutor     logs what it would do and changes nothing
+ */
+
+const HANDLERS = { OPEN: 'open', CLOSE: 'close', REDUCE: 'reduce', SETTLE: 'settle', SKIP: 'skip' };
+
+function outcomeLabel(outcomeIndex) {
+  return outcomeIndex === 0 ? 'NO' : 'YES';
+}
+
+// A USDC number as a raw collateral amount with `decimals`
+function toRaw(usdc, decimals = 6) {
+  return ethers.parseUnits(usdc.toFixed(decimals), decimals).toString();
+}
+
+/**
+ * Run actions one at a time, in order. After a failed action the market's later
+ * actions are skipped (a switch's open depends on its close). Returns the failed
+ * actions, empty when they all went through.
+ */
+async function executeActions(actions, executor) {
+  const failed = [];
+  for (const action of actions) {
+    const handler = HANDLERS[action.type];
+    if (!handler) throw new Error(`Unknown action type ${action.type}`);
+    if (failed.some(f => f.slug === action.slug) || !executor[handler]) continue;
+    if ((await executor[handler](action)) === false) failed.push(action);
+  }
+  return failed;
+}
+
+class SimulatedExecutor {
+  /**
+   * `feeBps` is taken from sale proceeds (not from resolution payouts);
+   * `slippageBps` makes every fill that much worse than the action's price.
+   * `guard(action, investment)` can veto an open by returning false.
+   * `priceFilter` holds the price filter settings for entries (see priceFilter.js).
+   */
+  constructor({ tradeTracker, startingBalance = 100, slippageBps = 0, feeBps = 0, guard = null, priceFilter = null, log = null }) {
+    this.tradeTracker = tradeTracker;
+    this.balance = startingBalance;
+    this.startingBalance = startingBalance;
+    this.slippageBps = slippageBps;
+    this.feeBps = feeBps;
+    this.guard = guard;
+    this.priceFilter = priceFilter;
+    this.log = log || ((emoji, msg) => logger.info(emoji, msg));
+    this.positions = new Map(); // marketSlug -> { outcomeIndex, sourceWallet, sourceLabel, invested, tokens, tradeIds, marketTitle, marketAddress, category, venue, decimals }
+    this.skipped = 0; // opens we couldn't afford
+  }
+
+  /**
+   * Fill for spending `investment` USDC: { tokens, price } or null
+   */
+  async quoteBuy({ slug, outcomeIndex, price }, investment) {
+    if (price == null || price <= 0) {
+      this.log('⚠️', `[${slug}] No price for ${outcomeLabel(outcomeIndex)} - not buying`);
+      return null;
+    }
+    const fillPrice = Math.min(1, price * (1 + this.slippageBps / 10000));
+    return { tokens: investment / fillPrice, price: fillPrice };
+  }
+
+  /**
+   * Fill for selling `tokens` of our position: { proceeds, price } or null
+   */
+  async quoteSell({ slug, outcomeIndex, price }, pos, tokens) {
+    if (price == null) {
+      this.log('⚠️', `[${slug}] No price for ${outcomeLabel(outcomeIndex)} - not selling`);
+      return null;
+    }
+    const fillPrice = Math.max(0, price * (1 - this.slippageBps / 10000));
+    return { proceeds: tokens * fillPrice * (1 - this.feeBps / 10000), price: fillPrice };
+  }
+
+  /**
+   * Simulated buy, sized with the target's settings
+   */
+  async open(a) {
+    const { slug, market, target, outcomeIndex, action, targetCost, targetPortfolioValue } = a;
+    let investment = computeBetSize({
+      mode: target.sizingMode,
+      targetCost,
+      targetPortfolioValue,
+      bankroll: this.balance,
+      multiplier: target.multiplier,
+      fixedAmount: target.fixedAmount,
+      bankrollPct: target.bankrollPct,
+      minBet: target.minBet,
+      maxBet: target.maxBet
+    });
+    if (this.balance < investment) {
+      this.log('⚠️', `[${slug}] Insufficient balance: ${this.balance.toFixed(2)} < ${investment.toFixed(2)}`);
+      this.skipped++;
+      return;
+    }
+    if (this.guard && !(await this.guard(a, investment))) return;
+
+    let fill = await this.quoteBuy(a, investment);
+    if (!fill) return false;
+
+    // Don't chase the target's fills at much worse prices
+    if (this.priceFilter) {
+      const check = checkEntryPrice({ ...this.priceFilter, price: fill.price, targetPrice: a.targetPrice ?? null });
+      if (!check.allowed || investment * check.scale < target.minBet) {
+        const reason = check.allowed ? `${check.reason} - below the ${target.minBet} USDC min bet` : check.reason;
+        this.recordSkip(a, investment, reason, fill.price);
+        return;
+      }
+      if (check.scale < 1) {
+        this.log('📉', `[${slug}] ${check.reason}`);
+        investment *= check.scale;
+        fill = await this.quoteBuy(a, investment);
+        if (!fill) return false;
+      }
+    }
+    const { tokens, price: fillPrice } = fill;
+    const decimals = market.collateralToken?.decimals ?? 6;
+    this.balance -= investment;
+
+    const targetCostLabel = targetCost != null ? `${targetCost.toFixed(2)} USDC` : 'unknown';
+    const tradeId = this.tradeTracker.recordBuy({
+      marketSlug: slug,
+      marketTitle: market.title || slug,
+      marketAddress: market.address || null,
+      conditionId: market.conditionId || null,
+      outcome: outcomeIndex,
+      investmentAmount: toRaw(investment, decimals),
+      investmentAmountFormatted: investment.toFixed(2),
+      actualTokensReceived: toRaw(tokens, decimals),
+      entryPrice: fillPrice,
+      sourceWallet: target.address,
+      sourceLabel: target.label,
+      targetWalletAction: action,
+      replicationReason: `${target.label} ${action === 'INCREASE_POSITION' ? 'increased' : 'opened'} position (sizing: ${target.sizingMode}, target cost: ${targetCostLabel})`,
+      collateralDecimals: decimals
+    });
+
+    const pos = this.positions.get(slug) || {
+      outcomeIndex,
+      sourceWallet: target.key,
+      sourceLabel: target.label,
+      invested: 0,
+      tokens: 0,
+      tradeIds: [],
+      marketTitle: market.title || slug,
+      marketAddress: market.address || null,
+      category: getMarketCategory(market),
+      venue: isClobMarket(market) ? 'clob' : 'amm',
+      decimals
+    };
+    pos.invested += investment;
+    pos.tokens += tokens;
+    pos.tradeIds.push(tradeId);
+    this.positions.set(slug, pos);
+
+    this.log('✅', `BUY  [${slug.substring(0, 30)}...] ${outcomeLabel(outcomeIndex)} ${investment.toFixed(2)} USDC @ ${fillPrice.toFixed(4)} (Balance: ${this.balance.toFixed(2)})`);
+  }
+
+  recordSkip({ slug, market, target, outcomeIndex, action, targetPrice }, investment, reason, entryPrice = null) {
+    this.log('⏭️', `[${slug}] Not copying: ${reason}`);
+    this.tradeTracker.recordSkip({
+      marketSlug: slug,
+      marketTitle: market.title || slug,
+      marketAddress: market.address || null,
+      outcome: outcomeIndex,
+      investmentAmount: toRaw(investment, market.collateralToken?.decimals ?? 6),
+      investmentAmountFormatted: investment.toFixed(2),
+      entryPrice,
+      targetEntryPrice: targetPrice ?? null,
+      sourceWallet: target.address,
+      sourceLabel: target.label,
+      targetWalletAction: action,
+      skipReason: reason
+    });
+  }
+
+  async close(action) {
+    return this.sell(action, 1, 'CLOSE_POSITION', action.reason || 'Target closed position');
+  }
+
+  async reduce(action) {
+    return this.sell(action, action.fraction, 'REDUCE_POSITION', `Target reduced position by ${(action.fraction * 100).toFixed(0)}%`);
+  }
+
+  /**
+   * Simulated sale of a fraction of our position
+   */
+  async sell(a, fraction, action, reason) {
+    const { slug, market, outcomeIndex } = a;
+    const pos = this.positions.get(slug);
+    if (!pos || pos.outcomeIndex !== outcomeIndex) return;
+
+    const full = fraction >= 1;
+    const tokens = full ? pos.tokens : pos.tokens * fraction;
+    const invested = full ? pos.invested : pos.invested * fraction;
+    const fill = await this.quoteSell(a, pos, tokens);
+    if (!fill) return false;
+    this.book(slug, market, pos, { tokens, invested, proceeds: fill.proceeds, exitPrice: fill.price, full, action, reason });
+  }
+
+  /**
+   * Settle a resolved market: winners pay 1 per token, losers nothing
+   */
+  async settle({ slug, market }) {
+    const pos = this.positions.get(slug);
+    if (!pos) return;
+    if (market?.winningOutcomeIndex == null) {
+      this.log('⚠️', `[${slug}] Market resolved without a known winner - not settling`);
+      return;
+    }
+
+    const winningOutcome = Number(market.winningOutcomeIndex);
+    const won = pos.outcomeIndex === winningOutcome;
+    this.log('🏁', `[${slug}] Market RESOLVED (Winner: ${outcomeLabel(winningOutcome)})`);
+    this.book(slug, market, pos, {
+      tokens: pos.tokens,
+      invested: pos.invested,
+      proceeds: won ? pos.tokens : 0,
+      exitPrice: won ? 1 : 0,
+      full: true,
+      action: 'MARKET_RESOLVED',
+      reason: won ? 'Market resolved in our favor - redeemed' : 'Market resolved against us - closed at zero'
+    });
+  }
+
+  async skip({ slug, reason }) {
+    this.log('ℹ️', `[${slug}] ${reason}`);
+  }
+
+  book(slug, market, pos, { tokens, invested, proceeds, exitPrice, full, action, reason }) {
+    this.balance += proceeds;
+    const pnl = proceeds - invested;
+    const pnlPercentage = invested > 0 ? (pnl / invested) * 100 : 0;
+    const decimals = pos.decimals ?? 6;
+
+    this.tradeTracker.recordSell({
+      marketSlug: slug,
+      marketTitle: pos.marketTitle,
+      marketAddress: market?.address || null,
+      outcome: pos.outcomeIndex,
+      tokensSold: toRaw(tokens, decimals),
+      sourceWallet: pos.sourceWallet,
+      sourceLabel: pos.sourceLabel,
+      returnAmount: toRaw(proceeds, decimals),
+      returnAmountFormatted: proceeds.toFixed(2),
+      actualReturnReceived: toRaw(proceeds, decimals),
+      exitPrice,
+      targetWalletAction: action,
+      replicationReason: reason,
+      relatedBuyTradeIds: pos.tradeIds,
+      partial: !full,
+      investedAmount: toRaw(invested, decimals),
+      pnlAmount: toRaw(pnl, decimals),
+      pnlPercentage,
+      collateralDecimals: decimals
+    });
+
+    const pnlSign = pnl >= 0 ? '+' : '';
+    this.log('✅', `SELL [${slug.substring(0, 30)}...] ${outcomeLabel(pos.outcomeIndex)} for ${proceeds.toFixed(2)} USDC @ ${exitPrice.toFixed(4)} (PnL: ${pnlSign}${pnl.toFixed(2)} / ${pnlSign}${pnlPercentage.toFixed(1)}%) (Balance: ${this.balance.toFixed(2)})`);
+
+    if (full) {
+      this.positions.delete(slug);
+    } else {
+      pos.tokens -= tokens;
+      pos.invested -= invested;
+    }
+  }
+
+  /**
+   * Price per token our position would fetch now, from `getPrice(slug, outcomeIndex)`
+   */
+  async valuePosition(slug, pos, getPrice) {
+    return getPrice(slug, pos.outcomeIndex);
+  }
+
+  /**
+   * Value open positions and record the mark
+   */
+  async markToMarket(getPrice) {
+    for (const [slug, pos] of this.positions) {
+      const price = await this.valuePosition(slug, pos, getPrice);
+      if (price == null) continue;
+      this.tradeTracker.markPosition(pos.tradeIds, {
+        price,
+        value: BigInt(toRaw(pos.tokens * price, pos.decimals ?? 6)),
+        costBasis: toRaw(pos.invested, pos.decimals ?? 6)
+      });
+    }
+    this.tradeTracker.completeMark(BigInt(toRaw(this.balance, this.tradeTracker.decimals)));
+  }
+}
+
+class PaperExecutor extends SimulatedExecutor {
+  /**
+   * Quotes AMM fills through read-only calls on `provider`; CLOB markets fill at
+   * the target's latest price. Balances live in memory - persist with toJSON/load.
+   */
+  constructor({ provider, ...options }) {
+    super(options);
+    this.provider = provider;
+  }
+
+  marketContract(marketAddress, venue) {
+    return marketAddress && venue !== 'clob' ? new ethers.Contract(marketAddress, MARKET_ABI, this.provider) : null;
+  }
+
+  async quoteBuy(a, investment) {
+    const contract = this.marketContract(a.market.address, isClobMarket(a.market) ? 'clob' : 'amm');
+    if (!contract) return super.quoteBuy(a, investment);
+    try {
+      const decimals = a.market.collateralToken?.decimals ?? 6;
+      const tokensRaw = await contract.calcBuyAmount(ethers.parseUnits(investment.toFixed(decimals), decimals), a.outcomeIndex);
+      const tokens = Number(ethers.formatUnits(tokensRaw, decimals));
+      if (!(tokens > 0)) return null;
+      return { tokens, price: investment / tokens };
+    } catch (err) {
+      this.log('⚠️', `[${a.slug}] Paper buy quote failed: ${err?.shortMessage || err?.message || err}`);
+      return null;
+    }
+  }
+
+  async quoteSell(a, pos, tokens) {
+    const contract = this.marketContract(pos.marketAddress, pos.venue);
+    if (!contract) return super.quoteSell(a, pos, tokens);
+    try {
+      const decimals = pos.decimals ?? 6;
+      const returnRaw = await quoteSellReturn(contract, pos.outcomeIndex, ethers.parseUnits(tokens.toFixed(decimals), decimals));
+      const proceeds = Number(ethers.formatUnits(returnRaw, decimals));
+      return { proceeds, price: tokens > 0 ? proceeds / tokens : 0 };
+    } catch (err) {
+      this.log('⚠️', `[${a.slug}] Paper sell quote failed: ${err?.shortMessage || err?.message || err}`);
+      return null;
+    }
+  }
+
+  async valuePosition(slug, pos, getPrice) {
+    const contract = this.marketContract(pos.marketAddress, pos.venue);
+    if (!contract || !(pos.tokens > 0)) return super.valuePosition(slug, pos, getPrice);
+    const decimals = pos.decimals ?? 6;
+    const value = await quoteSellReturn(contract, pos.outcomeIndex, ethers.parseUnits(pos.tokens.toFixed(decimals), decimals));
+    return Number(ethers.formatUnits(value, decimals)) / pos.tokens;
+  }
+
+  /**
+   * Settle paper positions whose market the API reports as resolved
+   */
+  async checkResolutions(fetchMarket) {
+    for (const slug of Array.from(this.positions.keys())) {
+      const market = await fetchMarket(slug);
+      if (market?.status === 'RESOLVED') await this.settle({ slug, market });
+    }
+  }
+
+  toJSON() {
+    return { balance: this.balance, startingBalance: this.startingBalance, positions: Array.from(this.positions.entries()) };
+  }
+
+  /**
+   * Restore balances saved with toJSON
+   */
+  load(state) {
+    if (!state) return;
+    this.balance = state.balance;
+    this.startingBalance = state.startingBalance ?? this.startingBalance;
+    this.positions = new Map(state.positions || []);
+  }
+}
+
+class DryRunExecutor {
+  constructor({ log = (emoji, msg) => logger.info(emoji, msg) } = {}) {
+    this.log = log;
+  }
+
+  async open({ slug, target, outcomeIndex, action, targetCost }) {
+    const cost = targetCost != null ? `${targetCost.toFixed(2)} USDC` : 'unknown';
+    this.log('🧪', `[${target?.label}] [${slug}] DRY RUN - would ${action === 'INCREASE_POSITION' ? 'scale into' : 'buy'} ${outcomeLabel(outcomeIndex)} (target cost ${cost})`);
+  }
+
+  async close({ slug, target, outcomeIndex, reason }) {
+    this.log('🧪', `[${target?.label}] [${slug}] DRY RUN - would sell all ${outcomeLabel(outcomeIndex)}${reason ? ` (${reason})` : ''}`);
+  }
+
+  async reduce({ slug, target, outcomeIndex, fraction }) {
+    this.log('🧪', `[${target?.label}] [${slug}] DRY RUN - would sell ${(fraction * 100).toFixed(0)}% of ${outcomeLabel(outcomeIndex)}`);
+  }
+
+  async settle({ slug, target }) {
+    this.log('🧪', `[${target?.label}] [${slug}] DRY RUN - would settle the resolved market`);
+  }
+
+  async skip({ slug, target, reason }) {
+    this.log('ℹ️', `[${target?.label}] [${slug}] ${reason}`);
+  }
+}
+
+module.exports = {
+  executeActions,
+  SimulatedExecutor,
+  PaperExecutor,
+  DryRunExecutor
+};
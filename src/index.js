@@ -1,113 +1,279 @@
+const SHELL_ENV_KEYS = new Set(Object.keys(process.env)); // exported before .env was read; .env never overrides them
 require('dotenv').config();
 const axios = require('axios');
 const { ethers } = require('ethers');
-const fs = require('fs');
+const crypto = require('crypto');
+const http = require('http');
 const path = require('path');
 
 const MARKET_ABI = require('./abis/Market.json');
 const ERC20_ABI = require('./abis/ERC20.json');
 const ERC1155_ABI = require('./abis/ERC1155.json');
+const CTF_ABI = require('./abis/ConditionalTokens.json');
 const TradeTracker = require('./tradeTracker');
+const { createTradeStore } = require('./tradeStore');
+const TxManager = require('./txManager');
+const { KeyedMutex, Limiter } = require('./concurrency');
+const { findDrift } = require('./reconciler');
+const { readJson, writeJsonAtomic, Journal } = require('./persistence');
+const { loadNotifier } = require('./notifier');
+const { logger, configureLogger, withContext, getContext, newCorrelationId, redactUrl } = require('./logger');
+const { Registry, createMetricsServer } = require('./metrics');
+const LogDetector = require('./logDetector');
+const { SIZING_MODES, getLatestPrice, getTargetCost, getPortfolioValue, computeBetSize } = require('./sizing');
+const { ClobClient, isClobMarket, getClobTokenId, getExchangeAddress } = require('./clobClient');
+const { isMarketAllowedForTarget } = require('./targets');
+const { loadMarketRules } = require('./marketFilter');
+const { getOutcomeTokens, quoteSellReturn, parseBuyReceipt, parseSellReceipt } = require('./amm');
+const { RiskManager, getMarketCategory } = require('./riskManager');
+const { checkEntryPrice } = require('./priceFilter');
+const { planPosition, planActions, buildPositionFromTrade } = require('./strategy');
+const { executeActions, PaperExecutor, DryRunExecutor } = require('./executors');
+const { loadConfig, loadConfiguredTargets, diffConfig, readEnvFile, applyEnvFile, watchFiles } = require('./config');
 
 // ========= Config =========
-const RPC_URL = process.env.RPC_URL;
-const CHAIN_ID = parseInt(process.env.CHAIN_ID || '8453', 10);
-const TARGET_WALLET = process.env.TARGET_WALLET; // Wallet to monitor
-const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || '15000', 10);
-const BET_MULTIPLIER = process.env.BET_MULTIPLIER ? Number(process.env.BET_MULTIPLIER) : 1.0;
-const MIN_BET_USDC = process.env.MIN_BET_USDC ? Number(process.env.MIN_BET_USDC) : 1;
-const MAX_BET_USDC = process.env.MAX_BET_USDC ? Number(process.env.MAX_BET_USDC) : 100;
-const SLIPPAGE_BPS = process.env.SLIPPAGE_BPS ? Number(process.env.SLIPPAGE_BPS) : 200; // 2%
-const GAS_PRICE_GWEI = process.env.GAS_PRICE_GWEI ? String(process.env.GAS_PRICE_GWEI) : '0.005';
-const CONFIRMATIONS = parseInt(process.env.CONFIRMATIONS || '1', 10);
-
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
-const STATE_FILE = process.env.STATE_FILE || path.join('data', 'state.json');
+// Validated settings from the config file, the profile and the environment (see config.js)
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  console.error(`❌ ${e?.message || e}`);
+  process.exit(1);
+}
+
+const RPC_URL = config.RPC_URL;
+const CHAIN_ID = config.CHAIN_ID;
+let CONFLICT_POLICY = config.CONFLICT_POLICY; // keep-first | follow-latest | exit
+const POLL_INTERVAL_MS = config.POLL_INTERVAL_MS;
+const DETECTION_MODE = config.DETECTION_MODE; // events | poll
+const LOOKBACK_BLOCKS = config.LOOKBACK_BLOCKS;
+const LOG_CHUNK_BLOCKS = config.LOG_CHUNK_BLOCKS;
+const RESYNC_INTERVAL_MS = config.RESYNC_INTERVAL_MS; // API resync in events mode
+let SCALE_THRESHOLD_PCT = config.SCALE_THRESHOLD_PCT; // min balance change to mirror
+let SLIPPAGE_BPS = config.SLIPPAGE_BPS; // 200 = 2%
+const SELL_REQUOTE_ATTEMPTS = config.SELL_REQUOTE_ATTEMPTS; // re-quote when the price moves before a sell lands
+const ACTION_MAX_ATTEMPTS = config.ACTION_MAX_ATTEMPTS; // tries at a failing copy before it is skipped
+const ACTION_RETRY_MS = config.ACTION_RETRY_MS; // wait before the first retry, doubled after each failure
+const GAS_PRICE_GWEI = String(config.GAS_PRICE_GWEI);
+const CONFIRMATIONS = config.CONFIRMATIONS;
+const MAX_CONCURRENT_MARKETS = config.MAX_CONCURRENT_MARKETS; // markets whose actions run at the same time
+const TX_TIMEOUT_MS = config.TX_TIMEOUT_MS; // speed up a transaction not mined within this
+const TX_MAX_REPLACEMENTS = config.TX_MAX_REPLACEMENTS; // speed-ups before giving up on it
+const TX_FEE_BUMP_PCT = config.TX_FEE_BUMP_PCT; // fee increase per speed-up (min 10)
+const EXECUTION_MODE = config.EXECUTION_MODE; // onchain | paper (virtual wallet, quoted fills) | dry-run (log planned trades only)
+const STARTING_BALANCE_USDC = config.STARTING_BALANCE_USDC; // paper wallet's virtual USDC
+const MARK_INTERVAL_MS = config.MARK_INTERVAL_MS; // how often to mark open positions to market
+const USDC_ADDRESS = config.USDC_ADDRESS; // collateral for the equity cash balance
+let usdcDecimals = 6; // USDC_ADDRESS's, read on connect; the trade log's totals are kept in it
+const RESOLUTION_CHECK_INTERVAL_MS = config.RESOLUTION_CHECK_INTERVAL_MS; // how often to look for resolved markets
+const RECONCILE_INTERVAL_MS = config.RECONCILE_INTERVAL_MS; // how often to check our positions against the wallet (0 = startup only)
+const RECONCILE_DUST = 1000n; // raw token balances at or below this count as empty
+
+// Notifications (sinks and their events are read by loadNotifier, see notifier.js)
+let LOW_USDC_BALANCE = config.LOW_USDC_BALANCE; // alert when our USDC drops below this (0 = off)
+let LOW_ETH_BALANCE = config.LOW_ETH_BALANCE; // alert when our ETH for gas drops below this (0 = off)
+const DAILY_DIGEST_HOUR_UTC = config.DAILY_DIGEST_HOUR_UTC; // hour (UTC) of the daily PnL digest
+const RISK_ALERT_REPEAT_MS = 3600000; // alert on the same risk limit at most hourly
+
+// Entry price filters (0 = disabled); updated in place on a config reload
+function priceFilterFrom(settings) {
+  return {
+    maxGapPct: settings.MAX_PRICE_GAP_PCT, // max % our price may be above the target's average entry
+    gapAction: settings.PRICE_GAP_ACTION, // skip | scale
+    minPrice: settings.MIN_ENTRY_PRICE,
+    maxPrice: settings.MAX_ENTRY_PRICE
+  };
+}
+const PRICE_FILTER = priceFilterFrom(config);
+
+// Account-level risk limits (0 = disabled)
+function riskLimitsFrom(settings) {
+  return {
+    maxTotalExposure: settings.MAX_TOTAL_EXPOSURE_USDC,
+    maxMarketExposure: settings.MAX_MARKET_EXPOSURE_USDC,
+    maxCategoryExposure: settings.MAX_CATEGORY_EXPOSURE_USDC,
+    maxOpenPositions: settings.MAX_OPEN_POSITIONS,
+    dailyLossLimit: settings.DAILY_LOSS_LIMIT_USDC,
+    maxDrawdown: settings.MAX_DRAWDOWN_USDC,
+    lossStreakLimit: settings.LOSS_STREAK_LIMIT, // consecutive losing sells before a cooldown
+    lossCooldownMs: settings.LOSS_COOLDOWN_MS
+  };
+}
+
+// CLOB (order book) markets
+const CLOB_API_URL = config.CLOB_API_URL;
+const CLOB_ORDER_TYPE = config.CLOB_ORDER_TYPE; // FOK | GTC
+const CLOB_FILL_TIMEOUT_MS = config.CLOB_FILL_TIMEOUT_MS;
+const CLOB_FEE_RATE_BPS = config.CLOB_FEE_RATE_BPS;
+const CONDITIONAL_TOKENS_ADDRESS = config.CONDITIONAL_TOKENS_ADDRESS;
+
+// Local control/status API (disabled unless CONTROL_PORT is set)
+const CONTROL_PORT = config.CONTROL_PORT;
+const CONTROL_HOST = config.CONTROL_HOST;
+const CONTROL_TOKEN = config.CONTROL_TOKEN;
+
+// Prometheus metrics (disabled unless METRICS_PORT is set)
+const METRICS_PORT = config.METRICS_PORT;
+const METRICS_HOST = config.METRICS_HOST;
+
+const PRIVATE_KEY = config.PRIVATE_KEY;
+
+// Paper and dry runs keep their own state and trades (see FILE_PREFIXES in config.js)
+const STATE_FILE = config.STATE_FILE;
+const TRADES_FILE = config.TRADES_FILE;
+const TRADES_CSV = TRADES_FILE.replace(/\.json$/, '') + '.csv';
+const TRADE_STORE = config.TRADE_STORE; // json | sqlite
+const TRADES_DB = config.TRADES_DB;
+const JOURNAL_FILE = config.JOURNAL_FILE;
+const STATE_BACKUPS = config.STATE_BACKUPS; // rotating copies kept of the state and trades files (0 = none)
+const STATE_BACKUP_INTERVAL_MS = config.STATE_BACKUP_INTERVAL_MS; // at most one new copy per interval (0 = on every save)
+const BACKUP_OPTIONS = { backups: STATE_BACKUPS, backupIntervalMs: STATE_BACKUP_INTERVAL_MS };
+const CONFIG_WATCH_MS = config.CONFIG_WATCH_MS; // how often to check the config file and .env for changes (0 = off)
 
 if (!RPC_URL) {
   console.error('❌ RPC_URL is required');
   process.exit(1);
 }
-if (!TARGET_WALLET || !ethers.isAddress(TARGET_WALLET)) {
-  console.error('❌ Valid TARGET_WALLET is required');
+
+// Load and validate the targets of a config; throws with a readable message
+function readTargets(settings) {
+  let targets;
+  try {
+    targets = loadConfiguredTargets(settings);
+  } catch (e) {
+    throw new Error(`Invalid targets: ${e?.message || e}`);
+  }
+  if (!targets.some(t => t.enabled)) {
+    throw new Error('At least one enabled target is required (TARGET_WALLET, TARGET_WALLETS, TARGETS_FILE or targets in the config file)');
+  }
+  for (const t of targets) {
+    if (!SIZING_MODES.includes(t.sizingMode)) {
+      throw new Error(`Target ${t.label}: sizingMode must be one of: ${SIZING_MODES.join(', ')}`);
+    }
+  }
+  return targets;
+}
+
+let TARGETS;
+try {
+  TARGETS = readTargets(config);
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+if (!PRIVATE_KEY && EXECUTION_MODE === 'onchain') {
+  console.error('❌ PRIVATE_KEY is required (or set EXECUTION_MODE=paper to trade a virtual wallet)');
+  process.exit(1);
+}
+try {
+  configureLogger(config);
+} catch (e) {
+  console.error(`❌ ${e.message}`);
   process.exit(1);
 }
-if (!PRIVATE_KEY) {
-  console.error('❌ PRIVATE_KEY is required');
+let notifier;
+try {
+  notifier = loadNotifier(config, { log: logWarn });
+} catch (e) {
+  console.error(`❌ ${e?.message || e}`);
   process.exit(1);
 }
 
-const MAX_GAS_ETH = process.env.MAX_GAS_ETH ? Number(process.env.MAX_GAS_ETH) : 0.015;
-const MAX_GAS_WEI = (() => { try { return ethers.parseEther(String(MAX_GAS_ETH)); } catch { return ethers.parseEther('0.015'); } })();
+const MAX_GAS_WEI = ethers.parseEther(String(config.MAX_GAS_ETH));
 
 // State tracking
-const lastSeenPositions = new Map(); // marketSlug -> { outcomeIndex, tokensBalance }
-const ourPositions = new Map(); // marketSlug -> { outcomeIndex, amount, marketAddress, collateralToken, decimals }
-let isInitialSync = true; // Flag to skip replicating existing positions on first poll
+const lastSeenPositions = new Map(); // target address (lowercase) -> Map(marketSlug -> { outcomeIndex, tokensBalance, cost })
+const ourPositions = new Map(); // marketSlug -> { outcomeIndex, amount (cost basis), tokens, markValue, marketAddress, conditionId, category, collateralToken, decimals, tradeIds, sourceWallet }
+const syncedTargets = new Set(); // targets past their first poll; existing positions are not replicated before that
+const failedChanges = new Map(); // `${target key}:${marketSlug}` -> { attempts, retryAt, seen } for a change whose actions failed
+const sellLeftovers = new Map(); // marketSlug -> { outcomeIndex, tokens } quote dust a full close left in the wallet, ignored by reconciliation
+
+// Event detection
+let logDetector = null;
+let savedDetectorBlock = null; // last scanned block from the previous run
+const lastTargetPortfolioValue = new Map(); // target address (lowercase) -> USDC
+const marketsByAddress = new Map(); // lowercase market address -> market
+const marketsByTokenId = new Map(); // CLOB token id -> market
+const latestPrices = new Map(); // marketSlug -> [noPrice, yesPrice] from the target's latest trades
+
+// Risk limits
+const riskManager = new RiskManager(riskLimitsFrom(config));
 
 // Trade tracker
 let tradeTracker = null;
 
-// ========= Dynamic gas overrides =========
-async function txOverrides(provider, gasLimit) {
-  const ov = {};
-  let gl = null;
-  if (gasLimit != null) {
-    try { gl = BigInt(gasLimit); ov.gasLimit = gl; } catch { gl = null; }
-  }
-  const fee = await provider.getFeeData();
-  let suggested = fee.maxFeePerGas ?? fee.gasPrice ?? ethers.parseUnits(GAS_PRICE_GWEI, 'gwei');
-  let priority = fee.maxPriorityFeePerGas ?? ethers.parseUnits('0.1', 'gwei');
-  if (gl && gl > 0n) {
-    const capPerGas = MAX_GAS_WEI / gl;
-    if (suggested > capPerGas) suggested = capPerGas;
-    if (priority > suggested) priority = suggested;
-  }
-  ov.maxFeePerGas = suggested;
-  ov.maxPriorityFeePerGas = priority;
-  return ov;
-}
+// CLOB order client
+let clobClient = null;
+
+// Nonces, fees and pending transactions (on-chain mode only)
+let txManager = null;
+
+// Trade intents and outcomes, to pick up trades cut short by a crash (on-chain mode only)
+let journal = null;
+
+// Carries out the strategy's actions (see createExecutor)
+let executor = null;
+
+// Control API
+let controlServer = null;
+let opensPaused = false; // set through the control API; closes still go through
+let lastReconciliation = null; // { at, markets, drift }
+const startedAt = new Date();
 
 // ========= Logging helpers =========
-function logInfo(emoji, msg) {
-  console.log(`${emoji} ${msg}`);
+function logInfo(emoji, msg, fields) {
+  logger.info(emoji, msg, fields);
 }
-function logWarn(emoji, msg) {
-  console.warn(`${emoji} ${msg}`);
+function logWarn(emoji, msg, fields) {
+  logger.warn(emoji, msg, fields);
 }
 function logErr(emoji, msg, err) {
-  const base = `${emoji} ${msg}`;
-  if (err) console.error(base, err);
-  else console.error(base);
+  logger.error(emoji, msg, err);
 }
 
 // ========= Persistence =========
-function ensureDirSync(dir) {
-  try { fs.mkdirSync(dir, { recursive: true }); } catch (_) {}
+// Last seen positions of one target
+function getLastSeen(target) {
+  let seen = lastSeenPositions.get(target.key);
+  if (!seen) {
+    seen = new Map();
+    lastSeenPositions.set(target.key, seen);
+  }
+  return seen;
 }
 
 function saveState() {
   try {
-    ensureDirSync(path.dirname(STATE_FILE));
     const data = {
-      lastSeenPositions: Array.from(lastSeenPositions.entries()),
-      ourPositions: Array.from(ourPositions.entries())
+      lastSeenPositions: Array.from(lastSeenPositions.entries()).map(([key, seen]) => [key, Array.from(seen.entries())]),
+      ourPositions: Array.from(ourPositions.entries()),
+      sellLeftovers: Array.from(sellLeftovers.entries()),
+      detectorLastBlock: logDetector?.lastBlock ?? savedDetectorBlock,
+      risk: riskManager.toJSON(),
+      pendingTxs: txManager ? txManager.toJSON() : undefined,
+      paper: executor instanceof PaperExecutor ? executor.toJSON() : undefined
     };
-    fs.writeFileSync(STATE_FILE, JSON.stringify(data, null, 2));
+    writeJsonAtomic(STATE_FILE, data, BACKUP_OPTIONS);
     logInfo('💾', `State saved`);
   } catch (e) {
     logWarn('⚠️', `Failed to save state: ${e?.message || e}`);
   }
 }
 
+// Throws if neither the state file nor a backup can be read: starting empty would
+// forget the positions we hold
 function loadState() {
+  const data = readJson(STATE_FILE, { backups: STATE_BACKUPS, log: logWarn });
+  if (!data) return;
   try {
-    if (!fs.existsSync(STATE_FILE)) return;
-    const raw = fs.readFileSync(STATE_FILE, 'utf8');
-    const data = JSON.parse(raw);
     if (data.lastSeenPositions) {
-      for (const [slug, pos] of data.lastSeenPositions) {
-        lastSeenPositions.set(slug, pos);
+      for (const [key, value] of data.lastSeenPositions) {
+        if (Array.isArray(value)) {
+          lastSeenPositions.set(key, new Map(value));
+        } else {
+          // Single-target state file (slug -> position): belongs to the first target
+          getLastSeen(TARGETS[0]).set(key, value);
+        }
       }
     }
     if (data.ourPositions) {
@@ -115,7 +281,13 @@ function loadState() {
         ourPositions.set(slug, pos);
       }
     }
-    logInfo('📂', `State loaded: ${lastSeenPositions.size} target positions, ${ourPositions.size} our positions`);
+    for (const [slug, leftover] of data.sellLeftovers || []) sellLeftovers.set(slug, leftover);
+    if (data.detectorLastBlock != null) savedDetectorBlock = data.detectorLastBlock;
+    riskManager.load(data.risk);
+    if (txManager) txManager.load(data.pendingTxs);
+    if (executor instanceof PaperExecutor) executor.load(data.paper);
+    const seenCount = Array.from(lastSeenPositions.values()).reduce((n, seen) => n + seen.size, 0);
+    logInfo('📂', `State loaded: ${seenCount} target positions across ${lastSeenPositions.size} target(s), ${ourPositions.size} our positions`);
   } catch (e) {
     logWarn('⚠️', `Failed to load state: ${e?.message || e}`);
   }
@@ -125,6 +297,22 @@ function delay(ms) {
   return new Promise(res => setTimeout(res, ms));
 }
 
+// Serialize polls, resolution checks and marking so they never overlap each other
+let processingQueue = Promise.resolve();
+function runExclusive(fn) {
+  const run = processingQueue.then(fn);
+  processingQueue = run.catch(() => {});
+  return run;
+}
+
+// Work on a market (planning included) runs one task at a time per slug, and at
+// most MAX_CONCURRENT_MARKETS markets at once
+const marketLocks = new KeyedMutex();
+const marketLimiter = new Limiter(MAX_CONCURRENT_MARKETS);
+function runForMarket(slug, fn) {
+  return marketLocks.run(slug, () => marketLimiter.run(fn));
+}
+
 async function estimateGasFor(contract, wallet, fnName, args) {
   try {
     const data = contract.interface.encodeFunctionData(fnName, args);
@@ -155,7 +343,8 @@ async function readAllowance(usdc, owner, spender) {
   return 0n;
 }
 
-async function ensureUsdcApproval(wallet, usdc, marketAddress, needed) {
+// `needed` is a raw amount of the collateral, which has `decimals`
+async function ensureUsdcApproval(wallet, usdc, marketAddress, needed, decimals) {
   let current;
   try {
     logInfo('🔎', `Checking USDC allowance...`);
@@ -174,9 +363,7 @@ async function ensureUsdcApproval(wallet, usdc, marketAddress, needed) {
       const gasEst0 = await estimateGasFor(usdc, wallet, 'approve', [marketAddress, 0n]);
       if (!gasEst0) { logWarn('🛑', 'Gas estimate approve(0) failed'); return false; }
       const pad0 = (gasEst0 * 120n) / 100n + 10000n;
-      const ov0 = await txOverrides(wallet.provider, pad0);
-      const tx0 = await usdc.approve(marketAddress, 0n, ov0);
-      await tx0.wait(CONFIRMATIONS);
+      await txManager.send('USDC approve(0)', usdc, 'approve', [marketAddress, 0n], pad0);
     } catch (e) {
       logErr('💥', 'approve(0) failed', e?.message || e);
       return false;
@@ -187,9 +374,7 @@ async function ensureUsdcApproval(wallet, usdc, marketAddress, needed) {
     const gasEst1 = await estimateGasFor(usdc, wallet, 'approve', [marketAddress, needed]);
     if (!gasEst1) { logWarn('🛑', 'Gas estimate approve failed'); return false; }
     const pad1 = (gasEst1 * 120n) / 100n + 10000n;
-    const ov1 = await txOverrides(wallet.provider, pad1);
-    const tx = await usdc.approve(marketAddress, needed, ov1);
-    await tx.wait(CONFIRMATIONS);
+    await txManager.send('USDC approve', usdc, 'approve', [marketAddress, needed], pad1);
   } catch (e) {
     logErr('💥', 'approve failed', e?.message || e);
     return false;
@@ -198,7 +383,7 @@ async function ensureUsdcApproval(wallet, usdc, marketAddress, needed) {
   try {
     const after = await readAllowance(usdc, wallet.address, marketAddress);
     const ok = after >= needed;
-    logInfo(ok ? '✅' : '⚠️', `Allowance: ${ethers.formatUnits(after, 6)} USDC`);
+    logInfo(ok ? '✅' : '⚠️', `Allowance: ${ethers.formatUnits(after, decimals)} USDC`);
     return ok;
   } catch (e) {
     logWarn('⚠️', `Allowance re-check failed: ${e?.message || e}`);
@@ -223,9 +408,7 @@ async function ensureErc1155Approval(wallet, erc1155, marketAddress) {
   try {
     logInfo('🔓', `Setting ERC1155 approval...`);
     const padded = (gasEst * 120n) / 100n + 10000n;
-    const ov = await txOverrides(wallet.provider, padded);
-    const tx = await erc1155.setApprovalForAll(marketAddress, true, ov);
-    await tx.wait(CONFIRMATIONS);
+    await txManager.send('setApprovalForAll', erc1155, 'setApprovalForAll', [marketAddress, true], padded);
     return true;
   } catch (e) {
     logErr('💥', 'setApprovalForAll failed', e?.message || e);
@@ -233,11 +416,60 @@ async function ensureErc1155Approval(wallet, erc1155, marketAddress) {
   }
 }
 
+// A transaction nobody was waiting on any more settled; what it did isn't in our positions
+function reportSettledTx(tx, result) {
+  if (tx.correlationId && !getContext().correlationId) {
+    return withContext({ correlationId: tx.correlationId }, () => reportSettledTx(tx, result));
+  }
+  const msg = `${tx.label} (nonce ${tx.nonce}) ${result.status}: ${result.hash}`;
+  if (result.status !== 'confirmed') {
+    logWarn('🗑️', msg);
+    // Nothing changed on-chain, but journal intents may have been waiting on it
+    if (journal?.unfinished().length > 0 && txManager.pending.size === 0) reconcileQuietly(txManager.wallet);
+    return;
+  }
+  logWarn('⚠️', `${msg} - landed after we stopped waiting, reconciling positions`);
+  reconcileQuietly(txManager.wallet);
+}
+
+// Reconciliation from a timer or callback: nobody awaits it, so a failure is logged here
+function reconcileQuietly(wallet) {
+  return runExclusive(() => reconcilePositions(wallet)).catch(err => {
+    logErr('💥', 'Reconciliation failed:', err?.message || err);
+  });
+}
+
+// ========= Trade journal =========
+// Each on-chain trade writes an intent before anything is sent and an outcome once the
+// trade is recorded and the state saved. Intents left open - by a crash, or a send whose
+// result we don't know - are settled by reconcilePositions, never re-sent.
+function journalBegin(intent) {
+  return journal ? journal.begin({ ...intent, correlationId: getContext().correlationId }) : null;
+}
+
+function journalEnd(id, status, details = {}) {
+  if (journal && id) journal.finish(id, { status, ...details });
+}
+
+// A revert, drop or unsent transaction means nothing happened; any other error may hide a
+// trade that went through
+function journalFailed(id, err) {
+  if (!journal || !id) return;
+  if (err?.txStatus === 'reverted' || err?.txStatus === 'dropped' || err?.txStatus === 'unsent') {
+    journalEnd(id, 'FAILED', { error: err.message });
+  } else {
+    logWarn('📓', `Trade result unknown (${err?.shortMessage || err?.message || err}) - left to reconciliation`);
+  }
+}
+
 // ========= Fetch target wallet positions from API =========
-async function fetchTargetPositions() {
+async function fetchTargetPositions(address) {
+  const started = Date.now();
+  const target = TARGETS.find(t => t.key === address.toLowerCase()); // not for our own wallet (reconciliation)
   try {
-    const url = `https://api.limitless.exchange/portfolio/${TARGET_WALLET}/positions`;
+    const url = `https://api.limitless.exchange/portfolio/${address}/positions`;
     const res = await axios.get(url, { timeout: 15000 });
+    if (target) metrics.pollDuration.observe({ target: target.label }, (Date.now() - started) / 1000);
 
     // Combine AMM, CLOB, and group positions
     const allPositions = [
@@ -248,11 +480,37 @@ async function fetchTargetPositions() {
 
     return allPositions;
   } catch (e) {
-    logErr('💥', `Failed to fetch target positions: ${e?.message || e}`);
+    metrics.apiErrors.inc({ endpoint: 'positions' });
+    logErr('💥', `Failed to fetch positions for ${address}: ${e?.message || e}`);
     return [];
   }
 }
 
+// ========= Fetch a single market from API =========
+async function fetchMarket(addressOrSlug) {
+  try {
+    const url = `https://api.limitless.exchange/markets/${addressOrSlug}`;
+    const res = await axios.get(url, { timeout: 15000 });
+    if (res.data?.slug) rememberMarket(res.data);
+    return res.data || null;
+  } catch (e) {
+    metrics.apiErrors.inc({ endpoint: 'market' });
+    logErr('💥', `Failed to fetch market ${addressOrSlug}: ${e?.message || e}`);
+    return null;
+  }
+}
+
+// Index markets so on-chain events can be mapped back to API metadata
+function rememberMarket(market) {
+  if (!market) return;
+  if (market.address) marketsByAddress.set(market.address.toLowerCase(), market);
+  if (market.tokens) {
+    for (const id of [market.tokens.yes, market.tokens.no]) {
+      if (id) marketsByTokenId.set(String(id), market);
+    }
+  }
+}
+
 // ========= Get market contracts =========
 async function getMarketContracts(provider, conditionId, collateralTokenAddress, wallet) {
   // For CLOB markets, we need to construct the market contract address differently
@@ -269,258 +527,945 @@ async function getMarketContracts(provider, conditionId, collateralTokenAddress,
 }
 
 // ========= Monitor target wallet positions =========
-async function monitorTargetWallet(provider, wallet) {
-  logInfo('🔍', `Monitoring target wallet: ${TARGET_WALLET}`);
+async function monitorTargets(provider, wallet) {
+  // Read on every pass so targets reloaded through the control API take effect
+  const activeTargets = () => TARGETS.filter(t => t.enabled);
+  for (const t of activeTargets()) {
+    logInfo('🔍', `Monitoring target ${t.label}: ${t.address}`);
+  }
+  logInfo('🔍', `Detection: ${DETECTION_MODE}, conflict policy: ${CONFLICT_POLICY}`);
 
-  async function poll() {
+  async function pollTarget(target) {
     try {
-      const positions = await fetchTargetPositions();
+      const positions = await fetchTargetPositions(target.address);
+      const polledAt = Date.now();
 
       if (!positions || positions.length === 0) {
-        logInfo('ℹ️', 'No positions found for target wallet');
+        logInfo('ℹ️', `[${target.label}] No positions found for target wallet`);
         return;
       }
 
-      logInfo('📊', `Target has ${positions.length} position(s)`);
+      logInfo('📊', `[${target.label}] Target has ${positions.length} position(s)`);
+
+      const targetPortfolioValue = getPortfolioValue(positions);
+      lastTargetPortfolioValue.set(target.key, targetPortfolioValue);
 
       for (const pos of positions) {
-        await processPosition(provider, wallet, pos);
-        await delay(500); // Rate limiting
+        rememberMarket(pos.market);
+        rememberPrices(pos);
       }
 
-      // After first poll, mark as no longer initial sync
-      if (isInitialSync) {
-        isInitialSync = false;
-        logInfo('✅', `Initial sync complete. Now monitoring for NEW positions only.`);
+      // Diff the snapshot first; only markets with something to do are queued, and
+      // they are planned again under the market's lock in case an event got there first
+      const isInitialSync = !syncedTargets.has(target.key);
+      const seenPositions = getLastSeen(target);
+      const { plans } = planActions({
+        ...strategyOptions(target),
+        previous: seenPositions,
+        current: positions,
+        ourPositions: heldPositions(),
+        filter: (slug) => isMarketAllowedForTarget(target, slug),
+        isInitialSync,
+        targetPortfolioValue
+      });
+      const tasks = [];
+      for (const plan of plans) {
+        if (plan.actions.length > 0 || marketLocks.isLocked(plan.slug)) {
+          tasks.push(runForMarket(plan.slug, () => processPosition(target, plan.position, targetPortfolioValue, polledAt)));
+          continue;
+        }
+        logChange(target, plan.slug, plan.change, isInitialSync);
+        failedChanges.delete(`${target.key}:${plan.slug}`); // nothing left to retry
+        if (plan.seen) seenPositions.set(plan.slug, plan.seen);
+        else seenPositions.delete(plan.slug);
       }
+      if (tasks.length) logInfo('🧵', `[${target.label}] ${tasks.length} market(s) to act on`);
+      await Promise.all(tasks);
 
-      saveState();
+      // After first poll, mark as no longer initial sync
+      if (!syncedTargets.has(target.key)) {
+        syncedTargets.add(target.key);
+        logInfo('✅', `[${target.label}] Initial sync complete. Now monitoring for NEW positions only.`);
+      }
     } catch (err) {
-      logErr('💥', 'Error in poll:', err?.message || err);
+      logErr('💥', `[${target.label}] Error in poll:`, err?.message || err);
     }
   }
 
-  await poll();
-  return setInterval(poll, POLL_INTERVAL_MS);
+  async function poll() {
+    await Promise.all(activeTargets().map(pollTarget));
+    if (logDetector) logDetector.setMarketAddresses(Array.from(marketsByAddress.keys()));
+    saveState();
+  }
+
+  // Polls never overlap: a request while one is waiting to run is dropped
+  let pollQueued = false;
+  const requestPoll = () => {
+    if (pollQueued) return;
+    pollQueued = true;
+    runExclusive(async () => {
+      pollQueued = false;
+      await poll();
+    }).catch(err => logErr('💥', 'Poll failed:', err?.message || err));
+  };
+
+  if (DETECTION_MODE === 'poll') {
+    await runExclusive(poll);
+    return setInterval(requestPoll, POLL_INTERVAL_MS);
+  }
+
+  // Event mode: react to the targets' on-chain logs, resync from the API periodically.
+  // The initial sync comes first: it learns the markets whose trades the detector watches
+  await runExclusive(poll);
+
+  const resumeFromCursor = savedDetectorBlock != null;
+  const targetByWallet = (address) => activeTargets().find(t => t.key === address.toLowerCase());
+
+  logDetector = new LogDetector({
+    provider,
+    targetWallets: activeTargets().map(t => t.address),
+    marketAddresses: Array.from(marketsByAddress.keys()),
+    conditionalTokensAddress: CONDITIONAL_TOKENS_ADDRESS,
+    chunkBlocks: LOG_CHUNK_BLOCKS
+  });
+
+  // Backfilled logs aren't replayed: without a saved cursor the lookback predates our
+  // state, and the blocks missed since the cursor are in the initial sync's snapshot.
+  // A resync after the backfill picks up what the API hadn't caught up with then
+  let backfilled = 0;
+  let backfillActivity = false;
+  logDetector.on('trade', (trade) => {
+    if (trade.backfill) {
+      backfilled++;
+      backfillActivity = true;
+      return;
+    }
+    const target = targetByWallet(trade.wallet);
+    if (!target) return;
+    handleTargetTrade(provider, wallet, target, trade);
+  });
+  logDetector.on('transfer', (transfer) => {
+    if (transfer.backfill) {
+      backfillActivity = true;
+      return;
+    }
+    // Outcome token movements without an AMM trade (CLOB fills etc.) - refresh from the API
+    const target = targetByWallet(transfer.wallet);
+    const known = transfer.tokenIds.map(id => marketsByTokenId.get(id)?.slug).filter(Boolean);
+    logInfo('⚡', `[${target?.label || transfer.wallet}] Target token transfer ${transfer.direction} (block ${transfer.blockNumber})${known.length ? ` [${known.join(', ')}]` : ''} - resyncing`);
+    requestPoll();
+  });
+  logDetector.on('error', (err) => logErr('💥', 'Log detector error:', err?.message || err));
+
+  await logDetector.start({
+    fromBlock: resumeFromCursor ? savedDetectorBlock + 1 : null,
+    lookbackBlocks: LOOKBACK_BLOCKS
+  });
+  logInfo('🧱', `Log detector following blocks from ${logDetector.lastBlock}${resumeFromCursor ? ` (resumed from ${savedDetectorBlock})` : ''}${backfilled ? `, ${backfilled} target trade(s) in ${resumeFromCursor ? 'the missed blocks' : 'lookback'}` : ''}`);
+  if (backfillActivity) requestPoll();
+
+  return setInterval(requestPoll, RESYNC_INTERVAL_MS);
+}
+
+// ========= Handle a target trade seen on-chain =========
+async function handleTargetTrade(provider, wallet, target, trade) {
+  const detectedAt = Date.now();
+  try {
+    const market = marketsByAddress.get(trade.marketAddress.toLowerCase()) || await fetchMarket(trade.marketAddress);
+    if (!market?.slug) {
+      logWarn('⚠️', `[${target.label}] Target traded unknown market ${trade.marketAddress} - waiting for resync`);
+      return;
+    }
+
+    logInfo('⚡', `[${target.label}] [${market.slug}] Target ${trade.side} ${trade.outcomeIndex === 0 ? 'NO' : 'YES'} on-chain (block ${trade.blockNumber}, tx ${trade.txHash})`);
+    await runForMarket(market.slug, async () => {
+      // While a failed change waits for its retry the seen snapshot is behind the target's
+      const retry = failedChanges.get(`${target.key}:${market.slug}`);
+      const position = buildPositionFromTrade(market, retry ? retry.seen : getLastSeen(target).get(market.slug), trade);
+      await processPosition(target, position, lastTargetPortfolioValue.get(target.key) ?? null, detectedAt);
+    });
+    saveState();
+  } catch (err) {
+    logErr('💥', 'Error handling target trade:', err?.message || err);
+  }
 }
 
 // ========= Process a single position =========
-async function processPosition(provider, wallet, position) {
+// Callers hold the market's lock (runForMarket); `detectedAt` is when we saw the change
+async function processPosition(target, position, targetPortfolioValue = null, detectedAt = Date.now()) {
   try {
     const market = position.market;
     if (!market || !market.slug) return;
 
     const slug = market.slug;
-    const status = market.status; // FUNDED, RESOLVED, etc.
+    if (!isMarketAllowedForTarget(target, slug)) return;
+    rememberPrices(position);
+
+    const seenPositions = getLastSeen(target);
+    const isInitialSync = !syncedTargets.has(target.key);
+    const plan = planPosition({
+      ...strategyOptions(target),
+      position,
+      lastSeen: seenPositions.get(slug) || null,
+      ourPosition: heldPositions().get(slug) || null,
+      isInitialSync,
+      targetPortfolioValue
+    });
 
-    // Skip resolved/closed markets
-    if (status === 'RESOLVED' || market.closed) {
-      logInfo('ℹ️', `[${slug}] Market is ${status}, skipping`);
+    // A failed change is planned again from the old snapshot, once its backoff is over
+    const retryKey = `${target.key}:${slug}`;
+    const retry = failedChanges.get(retryKey);
+    if (retry && Date.now() < retry.retryAt) {
+      retry.seen = plan.seen;
       return;
     }
 
-    const tokensBalance = position.tokensBalance;
-    if (!tokensBalance) return;
+    // One correlation ID per detected change, on every log line and record it leads to
+    await withContext({ correlationId: newCorrelationId(), target: target.label, slug, detectedAt }, async () => {
+      logChange(target, slug, plan.change, isInitialSync);
+      countActions(plan.actions);
+      const failed = await executeActions(plan.actions, executor);
+      notifyStrategySkips(target, slug, plan);
+
+      const attempts = (retry?.attempts || 0) + 1;
+      if (failed.length === 0 || attempts >= ACTION_MAX_ATTEMPTS) {
+        failedChanges.delete(retryKey);
+        for (const a of failed) giveUpAction(a, attempts);
+        if (plan.seen) seenPositions.set(slug, plan.seen);
+        else seenPositions.delete(slug);
+        return;
+      }
+      const waitMs = ACTION_RETRY_MS * 2 ** (attempts - 1);
+      failedChanges.set(retryKey, { attempts, retryAt: Date.now() + waitMs, seen: plan.seen });
+      logWarn('🔁', `[${target.label}] [${slug}] ${failed[0].type} failed (attempt ${attempts}/${ACTION_MAX_ATTEMPTS}) - retrying in ${Math.round(waitMs / 1000)}s`);
+    });
 
-    const yesBalance = BigInt(tokensBalance.yes || '0');
-    const noBalance = BigInt(tokensBalance.no || '0');
+  } catch (err) {
+    logErr('💥', `Error processing position:`, err?.message || err);
+  }
+}
 
-    // Determine which outcome target has
-    let targetOutcome = null;
-    let targetBalance = 0n;
+// A copy we stopped retrying: logged, notified and kept in the trade log as a skip
+function giveUpAction(a, attempts) {
+  const reason = `${a.type} failed ${attempts} time(s) - not retrying`;
+  const side = a.outcomeIndex === 0 ? 'NO' : 'YES';
+  logWarn('🛑', `[${a.target?.label}] [${a.slug}] ${reason}`);
+  notifier.notify('copy_skipped', `⏭️ Gave up copying ${a.target?.label}'s ${side} in ${a.slug}: ${reason}`, { target: a.target?.address, slug: a.slug, outcome: side, reason });
+  const action = a.action || { CLOSE: 'CLOSE_POSITION', REDUCE: 'REDUCE_POSITION', SETTLE: 'MARKET_RESOLVED' }[a.type];
+  if (a.target && a.market) recordOpenSkip({ ...a, action }, reason);
+}
 
-    if (yesBalance > 0n && noBalance === 0n) {
-      targetOutcome = 1; // Yes
-      targetBalance = yesBalance;
-    } else if (noBalance > 0n && yesBalance === 0n) {
-      targetOutcome = 0; // No
-      targetBalance = noBalance;
-    } else if (yesBalance > 0n && noBalance > 0n) {
-      // Has both - pick the larger one
-      if (yesBalance > noBalance) {
-        targetOutcome = 1;
-        targetBalance = yesBalance;
-      } else {
-        targetOutcome = 0;
-        targetBalance = noBalance;
-      }
+// ========= Notifications =========
+// Opens the strategy chose not to copy (skips past that point are in the trade log)
+function notifyStrategySkips(target, slug, plan) {
+  if (!['OPEN', 'SWITCH', 'INCREASE'].includes(plan.change.type)) return;
+  for (const a of plan.actions) {
+    if (a.type !== 'SKIP' || a.outcomeIndex !== plan.change.outcomeIndex) continue;
+    const label = a.outcomeIndex === 0 ? 'NO' : 'YES';
+    notifier.notify('copy_skipped', `⏭️ Not copying ${target.label}'s ${label} in ${slug}: ${a.reason}`, { target: target.address, slug, outcome: label, reason: a.reason });
+  }
+}
+
+// A raw collateral amount in USDC; trade log totals are at the tracker's decimals
+function toUsdcNumber(raw, decimals = tradeTracker?.decimals ?? usdcDecimals) {
+  return Number(ethers.formatUnits(BigInt(raw), decimals ?? 6));
+}
+
+// Copies and skips, as they're recorded (live and paper alike)
+function notifyTrade(trade) {
+  const slug = trade.marketSlug;
+  const side = trade.outcomeLabel;
+  const via = trade.sourceLabel ? ` (${trade.sourceLabel})` : '';
+  const data = { slug, outcome: side, target: trade.sourceWallet, tradeId: trade.id };
+  if (trade.type === 'BUY' && trade.targetWalletAction !== 'RECONCILED') {
+    notifier.notify('copy_executed', `✅ Bought ${side} in ${slug} for ${trade.investmentAmountFormatted} USDC${via}`,
+      { ...data, side: 'BUY', amount: trade.investmentAmountFormatted, txHash: trade.txHash });
+  } else if (trade.type === 'SELL') {
+    const pnl = trade.pnlAmount != null ? toUsdcNumber(trade.pnlAmount, trade.collateralDecimals) : null;
+    notifier.notify('copy_executed', `💰 Sold ${side} in ${slug} for ${trade.returnAmountFormatted} USDC${pnl != null ? ` (PnL ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)})` : ''}${via}`,
+      { ...data, side: 'SELL', amount: trade.returnAmountFormatted, pnl, txHash: trade.txHash });
+  } else if (trade.type === 'SKIP') {
+    notifier.notify('copy_skipped', `⏭️ Skipped ${side} in ${slug}${via}: ${trade.skipReason}`, { ...data, reason: trade.skipReason });
+  }
+}
+
+// One alert per kind of limit (the text before the colon) per RISK_ALERT_REPEAT_MS
+const riskAlertedAt = new Map();
+function notifyRiskLimit(slug, reason) {
+  const kind = reason.split(':')[0];
+  const now = Date.now();
+  if (now - (riskAlertedAt.get(kind) || 0) < RISK_ALERT_REPEAT_MS) return;
+  riskAlertedAt.set(kind, now);
+  notifier.notify('risk_limit', `🛡️ Risk limit hit - not opening ${slug}: ${reason}`, { slug, reason });
+}
+
+// Read our USDC and ETH for the metrics; alert once when one drops under its threshold,
+// again only after it recovered
+const lowBalanceAlerted = { USDC: false, ETH: false };
+async function checkBalances(wallet) {
+  let checks;
+  try {
+    const usdc = await new ethers.Contract(USDC_ADDRESS, ERC20_ABI, wallet).balanceOf(wallet.address);
+    const eth = await wallet.provider.getBalance(wallet.address);
+    checks = [
+      ['USDC', Number(ethers.formatUnits(usdc, usdcDecimals)), LOW_USDC_BALANCE],
+      ['ETH', Number(ethers.formatEther(eth)), LOW_ETH_BALANCE]
+    ];
+  } catch (e) {
+    logWarn('⚠️', `Balance check failed: ${e?.shortMessage || e?.message || e}`);
+    return;
+  }
+  for (const [symbol, balance, threshold] of checks) {
+    metrics.balance.set({ asset: symbol }, balance);
+    const low = threshold > 0 && balance < threshold;
+    if (low && !lowBalanceAlerted[symbol]) {
+      logWarn('🪫', `Low ${symbol} balance: ${balance} (alert below ${threshold})`);
+      notifier.notify('low_balance', `🪫 Low ${symbol} balance: ${balance} ${symbol} (alert below ${threshold})`, { symbol, balance, threshold });
     }
+    lowBalanceAlerted[symbol] = low;
+  }
+}
 
-    if (targetOutcome === null) {
-      // Target closed their position
-      const lastSeen = lastSeenPositions.get(slug);
-      if (lastSeen) {
-        logInfo('🔔', `[${slug}] Target CLOSED position (was ${lastSeen.outcomeIndex === 0 ? 'NO' : 'YES'})`);
-        await replicateClose(provider, wallet, slug, market, lastSeen.outcomeIndex);
-        lastSeenPositions.delete(slug);
-      }
-      return;
+// Ms until the next DAILY_DIGEST_HOUR_UTC
+function msUntilDigest(now = new Date()) {
+  const next = new Date(now);
+  next.setUTCHours(DAILY_DIGEST_HOUR_UTC, 0, 0, 0);
+  if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+  return next - now;
+}
+
+// The last 24 hours of trading plus the running totals
+function sendDailyDigest() {
+  if (!tradeTracker) return;
+  const now = Date.now();
+  const trades = tradeTracker.getTradesByDateRange(now - 86400000, now);
+  const buys = trades.filter(t => t.type === 'BUY' && t.targetWalletAction !== 'RECONCILED').length;
+  const sells = trades.filter(t => t.type === 'SELL');
+  const skipped = trades.filter(t => t.type === 'SKIP').length;
+  const realized24h = sells.reduce((sum, t) => sum + toUsdcNumber(t.pnlAmount || 0, t.collateralDecimals), 0);
+  const stats = tradeTracker.getStats();
+  const signed = (v) => `${v >= 0 ? '+' : ''}${v.toFixed(2)}`;
+  const lines = [
+    `📊 Daily digest${EXECUTION_MODE !== 'onchain' ? ` (${EXECUTION_MODE})` : ''}`,
+    `Last 24h: ${buys} buys, ${sells.length} sells, ${skipped} skipped - realized PnL ${signed(realized24h)} USDC`,
+    `Overall: realized ${signed(toUsdcNumber(stats.realizedPnL))} USDC, unrealized ${signed(toUsdcNumber(stats.unrealizedPnL))} USDC, ${stats.activePositions} open position(s)` +
+      (stats.equity != null ? `, equity ${toUsdcNumber(stats.equity).toFixed(2)} USDC` : '')
+  ];
+  notifier.notify('daily_digest', lines.join('\n'), { buys, sells: sells.length, skipped, realizedPnL24h: realized24h, stats });
+}
+
+// ========= Metrics =========
+const metricsRegistry = new Registry();
+const metrics = {
+  pollDuration: metricsRegistry.histogram({
+    name: 'limitless_poll_duration_seconds',
+    help: 'Time to fetch a target\'s positions from the portfolio API',
+    labelNames: ['target'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15]
+  }),
+  apiErrors: metricsRegistry.counter({ name: 'limitless_api_errors_total', help: 'Failed Limitless API requests', labelNames: ['endpoint'] }),
+  targetEvents: metricsRegistry.counter({ name: 'limitless_target_events_total', help: 'Target position changes detected', labelNames: ['type'] }),
+  copiesAttempted: metricsRegistry.counter({ name: 'limitless_copies_attempted_total', help: 'Trades the strategy decided to copy', labelNames: ['side'] }),
+  copiesSucceeded: metricsRegistry.counter({ name: 'limitless_copies_succeeded_total', help: 'Copied trades that went through and were recorded', labelNames: ['side'] }),
+  copiesSkipped: metricsRegistry.counter({ name: 'limitless_copies_skipped_total', help: 'Target moves we did not copy', labelNames: ['reason'] }),
+  copyLatency: metricsRegistry.histogram({
+    name: 'limitless_copy_latency_seconds',
+    help: 'From detecting a target change to our trade being confirmed and recorded',
+    labelNames: ['side'],
+    buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300]
+  }),
+  gasSpent: metricsRegistry.counter({ name: 'limitless_gas_spent_eth_total', help: 'ETH spent on gas by our transactions (reverted ones included)', labelNames: ['tx'] }),
+  balance: metricsRegistry.gauge({
+    name: 'limitless_wallet_balance',
+    help: 'Our wallet balance (USDC is the paper balance in paper mode)',
+    labelNames: ['asset'],
+    collect: (gauge) => {
+      if (executor instanceof PaperExecutor) gauge.set({ asset: 'USDC' }, executor.balance);
     }
+  }),
+  openPositions: metricsRegistry.gauge({
+    name: 'limitless_open_positions',
+    help: 'Open positions in the trade log',
+    collect: (gauge) => tradeTracker && gauge.set(tradeTracker.getStats().activePositions)
+  }),
+  exposure: metricsRegistry.gauge({
+    name: 'limitless_exposure_usdc',
+    help: 'Cost basis of our open positions',
+    collect: (gauge) => gauge.set(getOpenPositions().reduce((sum, p) => sum + p.cost, 0))
+  }),
+  pnl: metricsRegistry.gauge({
+    name: 'limitless_pnl_usdc',
+    help: 'Realized and unrealized PnL from the trade log',
+    labelNames: ['kind'],
+    collect: (gauge) => {
+      if (!tradeTracker) return;
+      const stats = tradeTracker.getStats();
+      gauge.set({ kind: 'realized' }, toUsdcNumber(stats.realizedPnL));
+      gauge.set({ kind: 'unrealized' }, toUsdcNumber(stats.unrealizedPnL));
+    }
+  })
+};
+
+function startMetricsServer() {
+  const server = createMetricsServer(metricsRegistry);
+  server.listen(METRICS_PORT, METRICS_HOST, () => {
+    logInfo('📈', `Metrics listening on http://${METRICS_HOST}:${METRICS_PORT}/metrics`);
+  });
+  server.on('error', (err) => logErr('💥', 'Metrics server error:', err?.message || err));
+  return server;
+}
+
+// Skip reasons are free text; metrics get a fixed set of kinds
+const SKIP_KINDS = [
+  [/paused/i, 'paused'],
+  [/^Market filter/i, 'market_filter'],
+  [/loss limit|drawdown|cooling down|open positions|exposure/i, 'risk_limit'],
+  [/price/i, 'price_filter'],
+  [/no matching position/i, 'no_position'],
+  [/conflict|already holding|another target/i, 'conflict']
+];
+function skipKind(reason) {
+  return SKIP_KINDS.find(([pattern]) => pattern.test(reason || ''))?.[1] || 'other';
+}
+
+function countActions(actions) {
+  for (const a of actions) {
+    if (a.type === 'OPEN') metrics.copiesAttempted.inc({ side: 'buy' });
+    else if (a.type === 'CLOSE' || a.type === 'REDUCE') metrics.copiesAttempted.inc({ side: 'sell' });
+    else if (a.type === 'SKIP') metrics.copiesSkipped.inc({ reason: skipKind(a.reason) });
+  }
+}
 
-    // Check if this is a new position or changed
-    const lastSeen = lastSeenPositions.get(slug);
+// Only trades that follow a detected target change count as copies
+function countTrade(trade) {
+  const { detectedAt } = getContext();
+  if (trade.type === 'SKIP') {
+    metrics.copiesSkipped.inc({ reason: skipKind(trade.skipReason) });
+    return;
+  }
+  if (!detectedAt || !['BUY', 'SELL'].includes(trade.type) || trade.targetWalletAction === 'MARKET_RESOLVED') return;
+  const side = trade.type === 'BUY' ? 'buy' : 'sell';
+  metrics.copiesSucceeded.inc({ side });
+  metrics.copyLatency.observe({ side }, (Date.now() - detectedAt) / 1000);
+}
+
+function countGas(tx, receipt) {
+  const price = receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n;
+  const kind = tx.label.replace(/^\[[^\]]*\]\s*/, ''); // without the market slug
+  metrics.gasSpent.inc({ tx: kind }, Number(ethers.formatEther(BigInt(receipt.gasUsed) * BigInt(price))));
+}
+
+function strategyOptions(target) {
+  return { target, scaleThresholdPct: SCALE_THRESHOLD_PCT, conflictPolicy: CONFLICT_POLICY };
+}
+
+// Remember the latest prices for valuing our open positions
+function rememberPrices(position) {
+  const slug = position.market?.slug;
+  if (!slug) return;
+  const prices = latestPrices.get(slug) || [null, null];
+  latestPrices.set(slug, [getLatestPrice(position, 0) ?? prices[0], getLatestPrice(position, 1) ?? prices[1]]);
+}
 
-    if (!lastSeen) {
-      // NEW position detected
+function logChange(target, slug, change, isInitialSync) {
+  const label = change.outcomeIndex === 0 ? 'NO' : 'YES';
+  if (change.type !== 'NONE' && !isInitialSync) metrics.targetEvents.inc({ type: change.type });
+  switch (change.type) {
+    case 'RESOLVED':
+      logInfo('ℹ️', `[${slug}] Market is resolved, not copying`);
+      break;
+    case 'CLOSE':
+      logInfo('🔔', `[${target.label}] [${slug}] Target CLOSED position (was ${label})`);
+      notifier.notify('target_closed', `🔔 ${target.label} closed ${label} in ${slug}`, { target: target.address, slug, outcome: label });
+      break;
+    case 'OPEN':
       if (isInitialSync) {
         // First poll - just record, don't replicate
-        logInfo('📝', `[${slug}] Recording existing ${targetOutcome === 0 ? 'NO' : 'YES'} position (not replicating)`);
+        logInfo('📝', `[${target.label}] [${slug}] Recording existing ${label} position (not replicating)`);
       } else {
-        // Subsequent polls - this is truly new, replicate it
-        logInfo('🎯', `[${slug}] Target OPENED ${targetOutcome === 0 ? 'NO' : 'YES'} position`);
-        await replicateOpen(provider, wallet, slug, market, targetOutcome);
+        logInfo('🎯', `[${target.label}] [${slug}] Target OPENED ${label} position`);
+        notifier.notify('target_opened', `🎯 ${target.label} opened ${label} in ${slug}`, { target: target.address, slug, outcome: label });
       }
-      lastSeenPositions.set(slug, { outcomeIndex: targetOutcome, tokensBalance: targetBalance.toString() });
-    } else if (lastSeen.outcomeIndex !== targetOutcome) {
-      // Target flipped sides
-      logInfo('🔄', `[${slug}] Target SWITCHED from ${lastSeen.outcomeIndex === 0 ? 'NO' : 'YES'} to ${targetOutcome === 0 ? 'NO' : 'YES'}`);
-      // Close old position and open new one
-      await replicateClose(provider, wallet, slug, market, lastSeen.outcomeIndex);
-      await replicateOpen(provider, wallet, slug, market, targetOutcome);
-      lastSeenPositions.set(slug, { outcomeIndex: targetOutcome, tokensBalance: targetBalance.toString() });
-    } else {
-      // Same position, check if balance increased significantly (new buy)
-      const lastBalance = BigInt(lastSeen.tokensBalance || '0');
-      const increase = targetBalance - lastBalance;
-      const increasePercent = lastBalance > 0n ? Number((increase * 100n) / lastBalance) : 0;
-
-      if (increasePercent > 10) {
-        logInfo('📈', `[${slug}] Target INCREASED ${targetOutcome === 0 ? 'NO' : 'YES'} position by ${increasePercent.toFixed(0)}%`);
-        // Optionally replicate the increase - for now we'll just log it
+      break;
+    case 'SWITCH': {
+      const previous = change.previousOutcomeIndex === 0 ? 'NO' : 'YES';
+      logInfo('🔄', `[${target.label}] [${slug}] Target SWITCHED from ${previous} to ${label}`);
+      notifier.notify('target_switched', `🔄 ${target.label} switched from ${previous} to ${label} in ${slug}`, { target: target.address, slug, from: previous, outcome: label });
+      break;
+    }
+    case 'INCREASE':
+      logInfo('📈', `[${target.label}] [${slug}] Target INCREASED ${label} position by ${change.changePercent.toFixed(0)}%`);
+      break;
+    case 'REDUCE':
+      logInfo('📉', `[${target.label}] [${slug}] Target REDUCED ${label} position by ${(change.fraction * 100).toFixed(0)}%`);
+      break;
+    default:
+      break;
+  }
+}
+
+// ========= Strategy execution =========
+// On-chain executor for the strategy's actions; dry-run only logs them
+function createExecutor(provider, wallet) {
+  if (EXECUTION_MODE === 'dry-run') return new DryRunExecutor({ log: logInfo });
+  if (EXECUTION_MODE === 'paper') {
+    return new PaperExecutor({
+      provider,
+      tradeTracker,
+      startingBalance: STARTING_BALANCE_USDC,
+      guard: allowPaperOpen,
+      priceFilter: PRICE_FILTER,
+      log: logInfo
+    });
+  }
+
+  // Actions for markets the target no longer lists carry only the slug
+  const marketFor = ({ slug, market }) => {
+    if (market.address || market.title) return market;
+    const pos = ourPositions.get(slug);
+    return (pos?.marketAddress && marketsByAddress.get(pos.marketAddress.toLowerCase())) || market;
+  };
+
+  return {
+    open: (a) => replicateOpen(provider, wallet, a.target, a.slug, a.market, a.outcomeIndex,
+      { targetCost: a.targetCost, targetPortfolioValue: a.targetPortfolioValue, targetPrice: a.targetPrice }, a.action),
+    close: (a) => sellPosition(provider, wallet, a.force ? null : a.target, a.slug, marketFor(a), a.outcomeIndex, 1, 'CLOSE_POSITION', a.reason),
+    reduce: (a) => sellPosition(provider, wallet, a.target, a.slug, marketFor(a), a.outcomeIndex, a.fraction, 'REDUCE_POSITION'),
+    settle: async (a) => {
+      const ourPos = ourPositions.get(a.slug);
+      if (!ourPos) return;
+      try {
+        await settleIfResolved(wallet, a.slug, ourPos);
+      } catch (err) {
+        logErr('💥', `[${a.slug}] Resolution check failed:`, err?.message || err);
+        return false;
       }
+    },
+    skip: async (a) => logInfo('ℹ️', `[${a.target.label}] [${a.slug}] ${a.reason}`)
+  };
+}
 
-      lastSeenPositions.set(slug, { outcomeIndex: targetOutcome, tokensBalance: targetBalance.toString() });
-    }
+// Paper opens go through the same pause switch and risk limits as live ones
+function allowPaperOpen({ target, slug, market, outcomeIndex, action }, amount) {
+  const reason = opensPaused
+    ? 'Opens paused via control API'
+    : checkRiskLimits(slug, getMarketCategory(market), amount).reason;
+  if (!reason) return true;
 
-  } catch (err) {
-    logErr('💥', `Error processing position:`, err?.message || err);
+  logWarn('🛡️', `[${target.label}] [${slug}] Not opening: ${reason}`);
+  recordOpenSkip({ target, slug, market, outcomeIndex, action }, reason, { amount });
+  return false;
+}
+
+// Record an open (or a copy we gave up on) we decided not to make, with why (amount in USDC)
+function recordOpenSkip({ target, slug, market, outcomeIndex, action }, reason, { amount = null, entryPrice = null, targetPrice = null } = {}) {
+  if (!tradeTracker) return;
+  const decimals = market.collateralToken?.decimals ?? 6;
+  tradeTracker.recordSkip({
+    marketSlug: slug,
+    marketTitle: market.title || slug,
+    marketAddress: market.address || null,
+    outcome: outcomeIndex,
+    investmentAmount: amount != null ? ethers.parseUnits(amount.toFixed(decimals), decimals).toString() : null,
+    investmentAmountFormatted: amount != null ? amount.toFixed(2) : null,
+    entryPrice,
+    targetEntryPrice: targetPrice,
+    sourceWallet: target.address,
+    sourceLabel: target.label,
+    targetWalletAction: action,
+    skipReason: reason
+  });
+}
+
+// The positions the strategy plans against: the paper wallet's, or our live ones
+function heldPositions() {
+  return executor instanceof PaperExecutor ? executor.positions : ourPositions;
+}
+
+// Our open positions as { slug, outcomeIndex, cost, tokens } in USDC/token units, live or paper
+function getOpenPositions() {
+  if (executor instanceof PaperExecutor) {
+    return Array.from(executor.positions.entries()).map(([slug, pos]) => ({
+      slug,
+      outcomeIndex: pos.outcomeIndex,
+      category: pos.category || 'uncategorized',
+      cost: pos.invested,
+      tokens: pos.tokens,
+      markValue: null
+    }));
+  }
+  return Array.from(ourPositions.entries()).map(([slug, pos]) => ({
+    slug,
+    outcomeIndex: pos.outcomeIndex,
+    category: pos.category || 'uncategorized',
+    cost: Number(ethers.formatUnits(pos.amount, pos.decimals)),
+    tokens: pos.tokens ? Number(ethers.formatUnits(pos.tokens, pos.decimals)) : null,
+    markValue: pos.markValue != null ? Number(ethers.formatUnits(pos.markValue, pos.decimals)) : null
+  }));
+}
+
+// ========= Risk limits =========
+// Unrealized PnL of our open positions at their last mark, or the target's latest
+// prices if not marked yet (positions with neither count as flat)
+function getUnrealizedPnL() {
+  let total = 0;
+  for (const pos of getOpenPositions()) {
+    if (pos.markValue != null) {
+      total += pos.markValue - pos.cost;
+      continue;
+    }
+    const price = latestPrices.get(pos.slug)?.[pos.outcomeIndex];
+    if (price == null || !pos.tokens) continue;
+    total += pos.tokens * price - pos.cost;
   }
+  return total;
+}
+
+// Realized plus unrealized PnL in USDC, what the loss limits are measured on
+function getTotalPnL() {
+  const realized = tradeTracker ? toUsdcNumber(tradeTracker.getRealizedPnL()) : 0;
+  return realized + getUnrealizedPnL();
+}
+
+// Move the risk manager's peak and day start along with PnL, not only when an open is checked
+function trackPnL() {
+  riskManager.updatePnL(getTotalPnL());
+}
+
+function checkRiskLimits(slug, category, amount) {
+  const positions = getOpenPositions().map(pos => ({ slug: pos.slug, category: pos.category, amount: pos.cost }));
+  const check = riskManager.checkOpen({
+    slug,
+    category,
+    amount,
+    positions,
+    totalPnL: getTotalPnL(),
+    lossStreak: tradeTracker ? tradeTracker.getLossStreak() : null
+  });
+  if (!check.allowed) notifyRiskLimit(slug, check.reason);
+  return check;
 }
 
 // ========= Replicate opening a position =========
-async function replicateOpen(provider, wallet, slug, market, outcomeIndex) {
+// Returns false when the open failed and should be retried; a decision not to copy counts as done
+async function replicateOpen(provider, wallet, target, slug, market, outcomeIndex, sizing = {}, action = 'NEW_POSITION') {
   try {
-    // For CLOB markets, we don't have direct market contract address
-    // We need to use the Limitless API or SDK to place orders
-    // For now, we'll skip CLOB markets and only support AMM markets with direct addresses
+    const skipContext = { target, slug, market, outcomeIndex, action };
+    if (opensPaused) {
+      logWarn('⏸️', `[${target.label}] [${slug}] New opens are paused - not copying ${outcomeIndex === 0 ? 'NO' : 'YES'}`);
+      recordOpenSkip(skipContext, 'Opens paused via control API');
+      return;
+    }
 
-    if (!market.address) {
-      logWarn('⚠️', `[${slug}] No market address (likely CLOB) - skipping replication`);
+    // Conflicts and ownership are settled by the strategy; a failed close can still leave the other side
+    const existing = ourPositions.get(slug);
+    if (existing && existing.outcomeIndex !== outcomeIndex) {
+      logWarn('⚠️', `[${target.label}] [${slug}] Still holding ${existing.outcomeIndex === 0 ? 'NO' : 'YES'} - not opening ${outcomeIndex === 0 ? 'NO' : 'YES'}`);
+      return false;
+    }
+
+    // AMM markets trade through the market contract, CLOB markets through signed orders
+    const clob = isClobMarket(market);
+    if (!market.address && !clob) {
+      logWarn('⚠️', `[${slug}] No market address or CLOB token IDs - skipping replication`);
+      return;
+    }
+    if (clob && !clobClient) {
+      logWarn('⚠️', `[${slug}] CLOB market but CLOB client is not initialized - skipping replication`);
       return;
     }
 
-    const marketAddress = market.address;
     const collateralTokenAddress = market.collateralToken.address;
     const decimals = market.collateralToken.decimals;
 
-    logInfo('🔁', `[${slug}] Replicating BUY ${outcomeIndex === 0 ? 'NO' : 'YES'}`);
+    logInfo('🔁', `[${slug}] Replicating ${action === 'INCREASE_POSITION' ? 'SCALE-IN' : 'BUY'} ${outcomeIndex === 0 ? 'NO' : 'YES'}${clob ? ' (CLOB)' : ''}`);
 
-    // Use configured bet amount
-    const ourInvestmentNumber = Math.max(MIN_BET_USDC, Math.min(MAX_BET_USDC, MIN_BET_USDC * BET_MULTIPLIER));
-    const investment = ethers.parseUnits(ourInvestmentNumber.toFixed(decimals), decimals);
-
-    const marketContract = new ethers.Contract(marketAddress, MARKET_ABI, wallet);
     const usdc = new ethers.Contract(collateralTokenAddress, ERC20_ABI, wallet);
 
-    // Check balance
+    // Size the bet from the target's trade and our bankroll
     const usdcBal = await usdc.balanceOf(wallet.address);
-    if (usdcBal < investment) {
-      logWarn('⚠️', `Insufficient USDC: have ${ethers.formatUnits(usdcBal, decimals)}, need ${ourInvestmentNumber}`);
+    let ourInvestmentNumber = computeBetSize({
+      mode: target.sizingMode,
+      targetCost: sizing.targetCost ?? null,
+      targetPortfolioValue: sizing.targetPortfolioValue ?? null,
+      bankroll: Number(ethers.formatUnits(usdcBal, decimals)),
+      multiplier: target.multiplier,
+      fixedAmount: target.fixedAmount,
+      bankrollPct: target.bankrollPct,
+      minBet: target.minBet,
+      maxBet: target.maxBet
+    });
+    let investment = ethers.parseUnits(ourInvestmentNumber.toFixed(decimals), decimals);
+    const targetCostLabel = sizing.targetCost != null ? `${sizing.targetCost.toFixed(2)} USDC` : 'unknown';
+    logInfo('📐', `[${target.label}] [${slug}] Sizing (${target.sizingMode}): target cost ${targetCostLabel} -> our bet ${ourInvestmentNumber.toFixed(2)} USDC`);
+
+    // Account-level risk limits block opens (closes are never blocked)
+    const category = getMarketCategory(market);
+    const risk = checkRiskLimits(slug, category, ourInvestmentNumber);
+    if (!risk.allowed) {
+      logWarn('🛡️', `[${target.label}] [${slug}] Risk limit - not opening: ${risk.reason}`);
+      recordOpenSkip(skipContext, risk.reason, { amount: ourInvestmentNumber });
       return;
     }
 
-    // Approve
-    const approvalOk = await ensureUsdcApproval(wallet, usdc, marketAddress, investment);
-    if (!approvalOk) {
-      logWarn('🛑', 'Approval failed');
+    // Don't chase the target's fills at much worse prices
+    const entryPrice = await quoteEntryPrice(wallet, market, outcomeIndex, investment, clob);
+    const targetPrice = sizing.targetPrice ?? null;
+    const priceCheck = checkEntryPrice({ ...PRICE_FILTER, price: entryPrice, targetPrice });
+    if (!priceCheck.allowed || ourInvestmentNumber * priceCheck.scale < target.minBet) {
+      const reason = priceCheck.allowed ? `${priceCheck.reason} - below the ${target.minBet} USDC min bet` : priceCheck.reason;
+      logWarn('📉', `[${target.label}] [${slug}] Price filter - not opening: ${reason}`);
+      recordOpenSkip(skipContext, reason, { amount: ourInvestmentNumber, entryPrice, targetPrice });
       return;
     }
+    if (priceCheck.scale < 1) {
+      ourInvestmentNumber *= priceCheck.scale;
+      investment = ethers.parseUnits(ourInvestmentNumber.toFixed(decimals), decimals);
+      logWarn('📉', `[${target.label}] [${slug}] ${priceCheck.reason} -> ${ourInvestmentNumber.toFixed(2)} USDC`);
+    }
 
-    // Calculate min tokens
-    const expectedTokens = await marketContract.calcBuyAmount(investment, outcomeIndex);
-    const minOutcomeTokensToBuy = expectedTokens - (expectedTokens * BigInt(SLIPPAGE_BPS)) / 10000n;
-
-    // Estimate gas
-    const gasEst = await estimateGasFor(marketContract, wallet, 'buy', [investment, outcomeIndex, minOutcomeTokensToBuy]);
-    if (!gasEst) {
-      logWarn('🛑', 'Gas estimate failed');
+    // Check balance
+    if (usdcBal < investment) {
+      logWarn('⚠️', `Insufficient USDC: have ${ethers.formatUnits(usdcBal, decimals)}, need ${ourInvestmentNumber}`);
       return;
     }
 
-    const padded = (gasEst * 120n) / 100n + 10000n;
-    const buyOv = await txOverrides(wallet.provider, padded);
-
-    logInfo('💸', `Buying ${ourInvestmentNumber} USDC...`);
-    const buyTx = await marketContract.buy(investment, outcomeIndex, minOutcomeTokensToBuy, buyOv);
-    logInfo('🧾', `Tx: ${buyTx.hash}`);
-
-    const receipt = await buyTx.wait(CONFIRMATIONS);
-    logInfo('✅', `Buy completed!`);
-
-    // Track our position
-    ourPositions.set(slug, {
+    const intentId = journalBegin({
+      type: 'BUY',
+      slug,
       outcomeIndex,
       amount: investment.toString(),
-      marketAddress,
-      collateralToken: collateralTokenAddress,
-      decimals
+      venue: clob ? 'clob' : 'amm',
+      sourceWallet: target.key,
+      sourceLabel: target.label,
+      action
     });
+    let fill;
+    try {
+      fill = clob
+        ? await executeClobBuy(wallet, usdc, slug, market, outcomeIndex, investment)
+        : await executeAmmBuy(wallet, usdc, market, outcomeIndex, investment, ourInvestmentNumber);
+    } catch (err) {
+      journalFailed(intentId, err);
+      throw err;
+    }
+    if (!fill) {
+      journalEnd(intentId, 'NOT_FILLED');
+      return false;
+    }
+
+    // Track our position, accumulating cost basis across fills
+    const ourPos = existing || {
+        outcomeIndex,
+        amount: '0',
+        marketAddress: market.address || null,
+        conditionId: market.conditionId || null,
+        category,
+        collateralToken: collateralTokenAddress,
+        decimals,
+        venue: clob ? 'clob' : 'amm',
+        tokenId: clob ? getClobTokenId(market, outcomeIndex) : null,
+        exchangeAddress: clob ? getExchangeAddress(market) : null,
+        sourceWallet: target.key,
+        tradeIds: []
+      };
+    ourPos.amount = (BigInt(ourPos.amount) + fill.investment).toString();
+    ourPos.tokens = (BigInt(ourPos.tokens || '0') + (fill.tokensReceived ?? fill.expectedTokens ?? 0n)).toString();
+    // Dust left by an earlier close of this outcome is in the wallet again: sell it with the position
+    const leftover = sellLeftovers.get(slug);
+    if (leftover) {
+      if (leftover.outcomeIndex === outcomeIndex) ourPos.tokens = (BigInt(ourPos.tokens) + BigInt(leftover.tokens)).toString();
+      sellLeftovers.delete(slug);
+    }
+    ourPos.markValue = null;
+    ourPositions.set(slug, ourPos);
 
     // Record trade in tracker
+    let tradeId = null;
     if (tradeTracker) {
-      const tradeId = tradeTracker.recordBuy({
+      tradeId = tradeTracker.recordBuy({
         marketSlug: slug,
         marketTitle: market.title || slug,
-        marketAddress: marketAddress,
+        marketAddress: market.address || null,
         conditionId: market.conditionId || null,
         outcome: outcomeIndex,
-        investmentAmount: investment.toString(),
-        investmentAmountFormatted: ourInvestmentNumber.toFixed(2),
-        expectedTokens: expectedTokens.toString(),
-        minTokens: minOutcomeTokensToBuy.toString(),
-        txHash: buyTx.hash,
-        gasUsed: receipt.gasUsed?.toString() || null,
-        targetWalletAction: 'NEW_POSITION',
-        replicationReason: 'Target opened position',
+        investmentAmount: fill.investment.toString(),
+        investmentAmountFormatted: ethers.formatUnits(fill.investment, decimals),
+        expectedTokens: fill.expectedTokens?.toString() || null,
+        minTokens: fill.minTokens?.toString() || null,
+        actualTokensReceived: fill.tokensReceived?.toString() || null,
+        entryPrice: fill.price ?? null,
+        txHash: fill.txHash || null,
+        gasUsed: fill.gasUsed || null,
+        venue: clob ? 'CLOB' : 'AMM',
+        orderId: fill.orderId || null,
+        sourceWallet: target.address,
+        sourceLabel: target.label,
+        targetWalletAction: action,
+        replicationReason: `${target.label} ${action === 'INCREASE_POSITION' ? 'increased' : 'opened'} position (sizing: ${target.sizingMode}, target cost: ${targetCostLabel})`,
         collateralToken: collateralTokenAddress,
         collateralDecimals: decimals
       });
-      ourPositions.get(slug).tradeId = tradeId; // Store trade ID for later sell
+      // Store trade IDs for later sells
+      ourPos.tradeIds = [...(ourPos.tradeIds || (ourPos.tradeId ? [ourPos.tradeId] : [])), tradeId];
+      if (!ourPos.tradeId) ourPos.tradeId = tradeId;
     }
+    saveState();
+    journalEnd(intentId, 'DONE', { tradeId, txHash: fill.txHash || null, orderId: fill.orderId || null });
+    return true;
 
   } catch (err) {
     logErr('💥', `Error replicating open:`, err?.message || err);
+    return false;
+  }
+}
+
+// ========= Entry price quote =========
+// Price per token we'd pay now: the AMM's calcBuyAmount quote or the CLOB's best ask
+async function quoteEntryPrice(wallet, market, outcomeIndex, investment, clob) {
+  try {
+    if (clob) return (await clobClient.getBestPrices(market.slug)).bestAsk;
+    const tokens = await new ethers.Contract(market.address, MARKET_ABI, wallet).calcBuyAmount(investment, outcomeIndex);
+    return tokens > 0n ? Number(investment) / Number(tokens) : null;
+  } catch (e) {
+    logWarn('⚠️', `[${market.slug}] Entry price quote failed: ${e?.shortMessage || e?.message || e}`);
+    return null;
+  }
+}
+
+// ========= AMM buy through the market contract =========
+async function executeAmmBuy(wallet, usdc, market, outcomeIndex, investment, investmentNumber) {
+  const marketAddress = market.address;
+  const marketContract = new ethers.Contract(marketAddress, MARKET_ABI, wallet);
+
+  // Approve
+  const approvalOk = await ensureUsdcApproval(wallet, usdc, marketAddress, investment, market.collateralToken?.decimals ?? 6);
+  if (!approvalOk) {
+    logWarn('🛑', 'Approval failed');
+    notifier.notify('tx_failed', `❌ [${market.slug}] USDC approval failed - buy not sent`, { slug: market.slug, label: 'USDC approve' });
+    return null;
+  }
+
+  // Calculate min tokens
+  const expectedTokens = await marketContract.calcBuyAmount(investment, outcomeIndex);
+  const minOutcomeTokensToBuy = expectedTokens - (expectedTokens * BigInt(SLIPPAGE_BPS)) / 10000n;
+
+  // Estimate gas
+  const gasEst = await estimateGasFor(marketContract, wallet, 'buy', [investment, outcomeIndex, minOutcomeTokensToBuy]);
+  if (!gasEst) {
+    logWarn('🛑', 'Gas estimate failed');
+    return null;
   }
+
+  const padded = (gasEst * 120n) / 100n + 10000n;
+
+  logInfo('💸', `Buying ${investmentNumber} USDC...`);
+  const receipt = await txManager.send(`[${market.slug}] buy`, marketContract, 'buy', [investment, outcomeIndex, minOutcomeTokensToBuy], padded);
+
+  // Tokens actually received, for the entry price
+  const parsed = parseBuyReceipt(receipt, { marketAddress, buyer: wallet.address });
+  const tokensReceived = parsed.tokensBought;
+  const entryPrice = tokensReceived ? Number(investment) / Number(tokensReceived) : null;
+  logInfo('✅', `Buy completed!${tokensReceived ? ` Received ${ethers.formatUnits(tokensReceived, market.collateralToken.decimals)} tokens @ ${entryPrice.toFixed(4)}` : ''}`);
+
+  return {
+    investment,
+    expectedTokens,
+    minTokens: minOutcomeTokensToBuy,
+    tokensReceived,
+    price: entryPrice,
+    txHash: receipt.hash,
+    gasUsed: receipt.gasUsed?.toString() || null
+  };
 }
 
-// ========= Replicate closing a position =========
-async function replicateClose(provider, wallet, slug, market, outcomeIndex) {
+// ========= CLOB buy through a signed order =========
+async function executeClobBuy(wallet, usdc, slug, market, outcomeIndex, investment) {
+  const exchangeAddress = getExchangeAddress(market);
+
+  // The exchange pulls collateral from us when the order matches
+  const approvalOk = await ensureUsdcApproval(wallet, usdc, exchangeAddress, investment, market.collateralToken?.decimals ?? 6);
+  if (!approvalOk) {
+    logWarn('🛑', 'Approval failed');
+    notifier.notify('tx_failed', `❌ [${market.slug}] USDC approval failed - buy not sent`, { slug: market.slug, label: 'USDC approve' });
+    return null;
+  }
+
+  logInfo('💸', `[${slug}] Placing CLOB ${CLOB_ORDER_TYPE} buy for ${ethers.formatUnits(investment, market.collateralToken.decimals)} USDC...`);
+  const result = await clobClient.marketBuy({
+    market,
+    outcomeIndex,
+    investment,
+    slippageBps: SLIPPAGE_BPS,
+    orderType: CLOB_ORDER_TYPE,
+    timeoutMs: CLOB_FILL_TIMEOUT_MS
+  });
+  logInfo('🧾', `Order: ${result.orderId || '-'} status=${result.status}${result.cancelled ? ' (remainder cancelled)' : ''}`);
+
+  if (result.collateralSpent === 0n) {
+    logWarn('⚠️', `[${slug}] CLOB order not filled`);
+    return null;
+  }
+  logInfo('✅', `Buy filled: ${ethers.formatUnits(result.tokensReceived, market.collateralToken.decimals)} tokens @ <= ${result.price}`);
+
+  return {
+    investment: result.collateralSpent,
+    tokensReceived: result.tokensReceived,
+    price: result.price,
+    orderId: result.orderId
+  };
+}
+
+// ========= Sell a fraction (0-1] of our position =========
+// `target` is the wallet whose move we are mirroring; only the target that opened
+// our position can close it. Pass null to sell regardless of owner.
+// Returns false when the sell failed and should be retried.
+async function sellPosition(provider, wallet, target, slug, market, outcomeIndex, fraction, action, reason = null) {
   try {
     const ourPos = ourPositions.get(slug);
     if (!ourPos || ourPos.outcomeIndex !== outcomeIndex) {
-      logInfo('ℹ️', `[${slug}] No matching position to close`);
+      logInfo('ℹ️', `[${slug}] No matching position to ${action === 'REDUCE_POSITION' ? 'reduce' : 'close'}`);
+      return;
+    }
+    if (target && ourPos.sourceWallet && ourPos.sourceWallet !== target.key) {
+      logInfo('ℹ️', `[${target.label}] [${slug}] Position was opened for another target - not mirroring this exit`);
       return;
     }
 
-    if (!market.address) {
-      logWarn('⚠️', `[${slug}] No market address (CLOB) - skipping close`);
-      ourPositions.delete(slug);
+    const clob = ourPos.venue === 'clob';
+    if (!clob && !ourPos.marketAddress) {
+      logWarn('⚠️', `[${slug}] No market address - skipping close`);
+      if (action === 'CLOSE_POSITION') ourPositions.delete(slug);
+      return;
+    }
+    if (clob && !clobClient) {
+      logWarn('⚠️', `[${slug}] CLOB position but CLOB client is not initialized - skipping close`);
       return;
     }
 
-    logInfo('🔁', `[${slug}] Replicating SELL ${outcomeIndex === 0 ? 'NO' : 'YES'}`);
+    const isFullClose = fraction >= 1;
+    const fractionBps = isFullClose ? 10000n : BigInt(Math.round(fraction * 10000));
 
-    const marketAddress = ourPos.marketAddress;
-    const decimals = ourPos.decimals;
-    const marketContract = new ethers.Contract(marketAddress, MARKET_ABI, wallet);
+    logInfo('🔁', `[${slug}] Replicating ${isFullClose ? 'SELL' : `PARTIAL SELL (${Number(fractionBps) / 100}%)`} ${outcomeIndex === 0 ? 'NO' : 'YES'}${clob ? ' (CLOB)' : ''}`);
 
-    // Get position IDs
-    const positionId0 = await marketContract.positionId(0);
-    const positionId1 = await marketContract.positionId(1);
-    const tokenId = outcomeIndex === 0 ? positionId0 : positionId1;
+    const decimals = ourPos.decimals;
 
-    // Get conditionalTokens address
-    const conditionalTokensAddress = await marketContract.conditionalTokens();
+    // Resolve the outcome token and the contract allowed to move it
+    let tokenId;
+    let conditionalTokensAddress;
+    let operator;
+    let marketContract = null;
+    if (clob) {
+      tokenId = ourPos.tokenId || getClobTokenId(market, outcomeIndex);
+      conditionalTokensAddress = CONDITIONAL_TOKENS_ADDRESS;
+      operator = ourPos.exchangeAddress || getExchangeAddress(market);
+    } else {
+      marketContract = new ethers.Contract(ourPos.marketAddress, MARKET_ABI, wallet);
+      const outcomeTokens = await getOutcomeTokens(marketContract);
+      tokenId = outcomeTokens.tokenIds[outcomeIndex];
+      conditionalTokensAddress = outcomeTokens.conditionalTokensAddress;
+      operator = ourPos.marketAddress;
+    }
     const erc1155 = new ethers.Contract(conditionalTokensAddress, ERC1155_ABI, wallet);
 
     // Check balance
@@ -531,109 +1476,1089 @@ async function replicateClose(provider, wallet, slug, market, outcomeIndex) {
       return;
     }
 
+    const tokensToSell = isFullClose ? balance : (balance * fractionBps) / 10000n;
+    if (tokensToSell === 0n) {
+      logWarn('⚠️', `[${slug}] Partial sell rounds to 0 tokens - skipping`);
+      return;
+    }
+
     // Approve
-    const approvalOk = await ensureErc1155Approval(wallet, erc1155, marketAddress);
+    const approvalOk = await ensureErc1155Approval(wallet, erc1155, operator);
     if (!approvalOk) {
       logWarn('🛑', 'ERC1155 approval failed');
-      return;
+      notifier.notify('tx_failed', `❌ [${slug}] Outcome token approval failed - sell not sent`, { slug, label: 'setApprovalForAll' });
+      return false;
     }
 
-    // Calculate return amount (conservative)
-    const investedAmount = BigInt(ourPos.amount);
-    const returnAmount = investedAmount - (investedAmount / 100n); // 1% safety margin
-
-    // Estimate gas
-    const gasEst = await estimateGasFor(marketContract, wallet, 'sell', [returnAmount, outcomeIndex, balance]);
-    if (!gasEst) {
-      logWarn('🛑', 'Gas estimate failed');
-      return;
+    const sourceTarget = TARGETS.find(t => t.key === ourPos.sourceWallet) || target;
+    const totalInvested = BigInt(ourPos.amount);
+    const intentId = journalBegin({
+      type: 'SELL',
+      slug,
+      outcomeIndex,
+      tokens: tokensToSell.toString(),
+      venue: clob ? 'clob' : 'amm',
+      sourceWallet: ourPos.sourceWallet || null,
+      sourceLabel: sourceTarget?.label || null,
+      action
+    });
+    let fill;
+    try {
+      fill = clob
+        ? await executeClobSell(slug, market, outcomeIndex, tokensToSell, decimals)
+        : await executeAmmSell(wallet, marketContract, outcomeIndex, tokensToSell, ourPos.collateralToken, decimals, { erc1155, tokenId, balance });
+    } catch (err) {
+      journalFailed(intentId, err);
+      throw err;
+    }
+    if (!fill) {
+      journalEnd(intentId, 'NOT_FILLED');
+      return false;
     }
 
-    const padded = (gasEst * 120n) / 100n + 10000n;
-    const sellOv = await txOverrides(wallet.provider, padded);
-
-    logInfo('💰', `Selling ${ethers.formatUnits(balance, 0)} tokens...`);
-    const sellTx = await marketContract.sell(returnAmount, outcomeIndex, balance, sellOv);
-    logInfo('🧾', `Tx: ${sellTx.hash}`);
-
-    const receipt = await sellTx.wait(CONFIRMATIONS);
-    logInfo('✅', `Sell completed!`);
+    // Cost basis of the tokens actually sold; a full close may leave sub-0.1% quote dust
+    const remaining = balance > fill.tokensSold ? balance - fill.tokensSold : 0n;
+    const soldAll = remaining === 0n || (isFullClose && remaining * 1000n <= balance);
+    const investedAmount = soldAll ? totalInvested : (totalInvested * fill.tokensSold) / balance;
+    const returnAmount = fill.returnAmount;
+    const actualReturn = fill.actualReturnReceived ?? returnAmount;
 
-    // Calculate PnL
-    const pnlAmount = returnAmount - investedAmount;
+    // Calculate PnL from what we actually received
+    const pnlAmount = actualReturn - investedAmount;
     const pnlPercentage = investedAmount > 0n ? Number((pnlAmount * 10000n) / investedAmount) / 100 : 0;
 
     // Record trade in tracker
+    let tradeId = null;
     if (tradeTracker) {
-      tradeTracker.recordSell({
+      tradeId = tradeTracker.recordSell({
         marketSlug: slug,
         marketTitle: market.title || slug,
-        marketAddress: marketAddress,
+        marketAddress: ourPos.marketAddress || null,
         conditionId: market.conditionId || null,
         outcome: outcomeIndex,
-        tokensSold: balance.toString(),
+        tokensSold: fill.tokensSold.toString(),
         returnAmount: returnAmount.toString(),
         returnAmountFormatted: ethers.formatUnits(returnAmount, decimals),
-        actualReturnReceived: returnAmount.toString(), // Could parse from logs for exact amount
-        txHash: sellTx.hash,
-        gasUsed: receipt.gasUsed?.toString() || null,
-        targetWalletAction: 'CLOSE_POSITION',
-        replicationReason: 'Target closed position',
-        relatedBuyTradeId: ourPos.tradeId || null,
+        actualReturnReceived: actualReturn.toString(),
+        exitPrice: fill.price ?? null,
+        txHash: fill.txHash || null,
+        gasUsed: fill.gasUsed || null,
+        venue: clob ? 'CLOB' : 'AMM',
+        orderId: fill.orderId || null,
+        sourceWallet: sourceTarget?.address || ourPos.sourceWallet || null,
+        sourceLabel: sourceTarget?.label || null,
+        targetWalletAction: action,
+        replicationReason: reason || (isFullClose ? `${sourceTarget?.label || 'Target'} closed position` : `${sourceTarget?.label || 'Target'} reduced position by ${Number(fractionBps) / 100}%`),
+        relatedBuyTradeIds: ourPos.tradeIds || (ourPos.tradeId ? [ourPos.tradeId] : []),
+        partial: !soldAll,
+        leftoverTokens: soldAll && remaining > 0n ? remaining.toString() : null,
         investedAmount: investedAmount.toString(),
         pnlAmount: pnlAmount.toString(),
-        pnlPercentage: pnlPercentage
+        pnlPercentage: pnlPercentage,
+        collateralDecimals: decimals
       });
     }
 
-    ourPositions.delete(slug);
+    if (soldAll) {
+      ourPositions.delete(slug);
+      if (remaining > 0n) sellLeftovers.set(slug, { outcomeIndex, tokens: remaining.toString() });
+    } else {
+      ourPos.amount = (totalInvested - investedAmount).toString();
+      ourPos.tokens = remaining.toString();
+      ourPos.markValue = null;
+    }
+    saveState();
+    journalEnd(intentId, 'DONE', { tradeId, txHash: fill.txHash || null, orderId: fill.orderId || null });
+    return soldAll || !isFullClose; // a close that left more than dust isn't done
 
   } catch (err) {
-    logErr('💥', `Error replicating close:`, err?.message || err);
+    logErr('💥', `Error replicating ${action === 'REDUCE_POSITION' ? 'reduce' : 'close'}:`, err?.message || err);
+    return false;
   }
 }
 
-// ========= Main =========
-async function main() {
-  console.log('🤖 Starting Limitless Replication Bot...');
-  console.log(`📋 Configuration:`);
-  console.log(`   RPC_URL: ${RPC_URL}`);
-  console.log(`   CHAIN_ID: ${CHAIN_ID}`);
-  console.log(`   TARGET_WALLET: ${TARGET_WALLET}`);
-  console.log(`   POLL_INTERVAL_MS: ${POLL_INTERVAL_MS}`);
-  console.log(`   BET_MULTIPLIER: ${BET_MULTIPLIER}x`);
-  console.log(`   MIN_BET_USDC: ${MIN_BET_USDC}`);
-  console.log(`   MAX_BET_USDC: ${MAX_BET_USDC}`);
+// ========= AMM sell through the market contract =========
+// Quotes the largest return for our tokens from calcSellAmount and sells for exactly
+// that, with our full token amount as the cap. If the price moves before the sell
+// lands we re-quote, giving up once the quote falls more than SLIPPAGE_BPS below
+// the first one. A sell is only sent again when the last one certainly didn't go
+// through; `erc1155`, `tokenId` and `balance` (ours before the sell) tell whether a
+// dropped one did.
+async function executeAmmSell(wallet, marketContract, outcomeIndex, tokensToSell, collateralToken, decimals, { erc1155, tokenId, balance }) {
+  const initialQuote = await quoteSellReturn(marketContract, outcomeIndex, tokensToSell);
+  if (initialQuote === 0n) {
+    logWarn('🛑', 'Sell quote is 0 - pool cannot buy these tokens');
+    return null;
+  }
+  const minReturn = initialQuote - (initialQuote * BigInt(SLIPPAGE_BPS)) / 10000n;
+  logInfo('💱', `Quoted ${ethers.formatUnits(initialQuote, decimals)} USDC for ${ethers.formatUnits(tokensToSell, decimals)} tokens (min ${ethers.formatUnits(minReturn, decimals)})`);
+
+  // A revert or a send that never reached the node sold nothing; a dropped sell's nonce went
+  // to another transaction, which sold nothing as long as our tokens are all still there
+  const sellDidNotLand = async (err) => {
+    if (err?.txStatus === 'reverted' || err?.txStatus === 'unsent') return true;
+    if (err?.txStatus !== 'dropped') return false;
+    try {
+      return (await erc1155.balanceOf(wallet.address, tokenId)) >= balance;
+    } catch (_) {
+      return false;
+    }
+  };
+
+  for (let attempt = 0; attempt < SELL_REQUOTE_ATTEMPTS; attempt++) {
+    const returnAmount = attempt === 0 ? initialQuote : await quoteSellReturn(marketContract, outcomeIndex, tokensToSell);
+    if (returnAmount < minReturn) {
+      logWarn('🛑', `Price moved beyond slippage: quote ${ethers.formatUnits(returnAmount, decimals)} < min ${ethers.formatUnits(minReturn, decimals)} USDC`);
+      return null;
+    }
+
+    // Estimate gas (also catches a quote that is already stale)
+    const gasEst = await estimateGasFor(marketContract, wallet, 'sell', [returnAmount, outcomeIndex, tokensToSell]);
+    if (!gasEst) {
+      logWarn('🔁', `Sell would revert at ${ethers.formatUnits(returnAmount, decimals)} USDC - re-quoting`);
+      continue;
+    }
+
+    const padded = (gasEst * 120n) / 100n + 10000n;
+
+    logInfo('💰', `Selling up to ${ethers.formatUnits(tokensToSell, decimals)} tokens for ${ethers.formatUnits(returnAmount, decimals)} USDC...`);
+    let receipt;
+    try {
+      receipt = await txManager.send('sell', marketContract, 'sell', [returnAmount, outcomeIndex, tokensToSell], padded);
+    } catch (e) {
+      if (e?.txStatus === 'timeout') {
+        // It may still land - don't send a second sell on top of it; reconciliation picks up the result
+        logWarn('🛑', `Sell not mined in time (${e.txHash}) - left pending`);
+        throw e;
+      }
+      if (!(await sellDidNotLand(e))) {
+        // Sending another sell could sell twice; the journal leaves this one to reconciliation
+        throw new Error(`Sell result unknown (${e?.shortMessage || e?.message || e}) - not re-sending`);
+      }
+      logWarn('🔁', `Sell failed (${e?.shortMessage || e?.message || e}) - re-quoting`);
+      continue;
+    }
+
+    // Read what actually happened from the receipt
+    const parsed = parseSellReceipt(receipt, {
+      marketAddress: marketContract.target,
+      seller: wallet.address,
+      collateralToken
+    });
+    const actualReturn = parsed.returnAmount ?? returnAmount;
+    const tokensSold = parsed.tokensSold ?? tokensToSell;
+    const exitPrice = tokensSold > 0n ? Number(actualReturn) / Number(tokensSold) : null;
+    logInfo('✅', `Sell completed: received ${ethers.formatUnits(actualReturn, decimals)} USDC for ${ethers.formatUnits(tokensSold, decimals)} tokens${exitPrice !== null ? ` @ ${exitPrice.toFixed(4)}` : ''}`);
+
+    return {
+      tokensSold,
+      returnAmount,
+      actualReturnReceived: actualReturn,
+      price: exitPrice,
+      feeAmount: parsed.feeAmount?.toString() || null,
+      txHash: receipt.hash,
+      gasUsed: receipt.gasUsed?.toString() || null
+    };
+  }
+
+  logWarn('🛑', `Sell did not go through after ${SELL_REQUOTE_ATTEMPTS} attempt(s)`);
+  return null;
+}
+
+// ========= CLOB sell through a signed order =========
+async function executeClobSell(slug, market, outcomeIndex, tokensToSell, decimals) {
+  logInfo('💰', `[${slug}] Placing CLOB ${CLOB_ORDER_TYPE} sell for ${ethers.formatUnits(tokensToSell, decimals)} tokens...`);
+  const result = await clobClient.marketSell({
+    market,
+    outcomeIndex,
+    tokens: tokensToSell,
+    slippageBps: SLIPPAGE_BPS,
+    orderType: CLOB_ORDER_TYPE,
+    timeoutMs: CLOB_FILL_TIMEOUT_MS
+  });
+  logInfo('🧾', `Order: ${result.orderId || '-'} status=${result.status}${result.cancelled ? ' (remainder cancelled)' : ''}`);
+
+  if (result.tokensSold === 0n) {
+    logWarn('⚠️', `[${slug}] CLOB order not filled`);
+    return null;
+  }
+  logInfo('✅', `Sell filled: ${ethers.formatUnits(result.collateralReceived, decimals)} USDC @ >= ${result.price}`);
+
+  return {
+    tokensSold: result.tokensSold,
+    returnAmount: result.collateralReceived,
+    actualReturnReceived: result.collateralReceived,
+    price: result.price,
+    orderId: result.orderId
+  };
+}
+
+// ========= Mark open positions to market =========
+async function markToMarket(wallet) {
+  if (!tradeTracker) return;
+  let marked = 0;
+  for (const [slug, pos] of Array.from(ourPositions.entries())) {
+    try {
+      const mark = await valuePosition(wallet, slug, pos);
+      if (!mark) continue;
+      pos.markValue = mark.value.toString();
+      tradeTracker.markPosition(pos.tradeIds || (pos.tradeId ? [pos.tradeId] : []), {
+        price: mark.price,
+        value: mark.value,
+        costBasis: pos.amount
+      });
+      marked++;
+    } catch (err) {
+      logErr('💥', `[${slug}] Mark to market failed:`, err?.message || err);
+    }
+  }
+
+  let cash = null;
+  try {
+    cash = await new ethers.Contract(USDC_ADDRESS, ERC20_ABI, wallet).balanceOf(wallet.address);
+  } catch (e) {
+    logWarn('⚠️', `Cash balance read failed: ${e?.message || e}`);
+  }
+  tradeTracker.completeMark(cash);
+  if (marked) logInfo('📏', `Marked ${marked} open position(s) to market`);
+}
+
+// What our tokens would fetch now: the AMM's calcSellAmount quote, or the latest traded price for CLOB markets
+async function valuePosition(wallet, slug, pos) {
+  const amm = pos.venue !== 'clob' && pos.marketAddress;
+  const marketContract = amm ? new ethers.Contract(pos.marketAddress, MARKET_ABI, wallet) : null;
+
+  // Positions from before token tracking: read the balance on-chain once
+  if (pos.tokens == null) {
+    let ctfAddress = CONDITIONAL_TOKENS_ADDRESS;
+    let tokenId = pos.tokenId;
+    if (amm) {
+      const outcomeTokens = await getOutcomeTokens(marketContract);
+      ctfAddress = outcomeTokens.conditionalTokensAddress;
+      tokenId = outcomeTokens.tokenIds[pos.outcomeIndex];
+    }
+    if (!tokenId) return null;
+    pos.tokens = (await new ethers.Contract(ctfAddress, ERC1155_ABI, wallet).balanceOf(wallet.address, tokenId)).toString();
+  }
+
+  const tokens = BigInt(pos.tokens);
+  if (tokens === 0n) return null;
+
+  if (amm) {
+    const value = await quoteSellReturn(marketContract, pos.outcomeIndex, tokens);
+    return { value, price: Number(value) / Number(tokens) };
+  }
+  const price = latestPrices.get(slug)?.[pos.outcomeIndex];
+  if (price == null) return null;
+  return { value: BigInt(Math.round(Number(tokens) * price)), price };
+}
+
+// ========= Redeem resolved positions =========
+async function checkResolutions(wallet) {
+  for (const slug of Array.from(ourPositions.keys())) {
+    try {
+      // Re-read under the lock: a trade may have closed the position meanwhile
+      await runForMarket(slug, async () => {
+        const ourPos = ourPositions.get(slug);
+        if (ourPos) await withContext({ correlationId: newCorrelationId(), slug }, () => settleIfResolved(wallet, slug, ourPos));
+      });
+    } catch (err) {
+      logErr('💥', `[${slug}] Resolution check failed:`, err?.message || err);
+    }
+  }
+}
+
+// Once the condition has payouts reported, redeem a winning position or close a losing one at zero
+async function settleIfResolved(wallet, slug, ourPos) {
+  let conditionalTokensAddress;
+  let conditionId;
+  let tokenId;
+  if (ourPos.venue === 'clob') {
+    const market = ourPos.conditionId && ourPos.collateralToken ? null : await fetchMarket(slug);
+    conditionId = ourPos.conditionId || market?.conditionId;
+    if (!conditionId || !ourPos.tokenId) return;
+    ourPos.conditionId = conditionId;
+    ourPos.collateralToken = ourPos.collateralToken || market?.collateralToken?.address || null;
+    conditionalTokensAddress = CONDITIONAL_TOKENS_ADDRESS;
+    tokenId = ourPos.tokenId;
+  } else {
+    if (!ourPos.marketAddress) return;
+    const outcomeTokens = await getOutcomeTokens(new ethers.Contract(ourPos.marketAddress, MARKET_ABI, wallet));
+    conditionalTokensAddress = outcomeTokens.conditionalTokensAddress;
+    conditionId = outcomeTokens.conditionId;
+    tokenId = outcomeTokens.tokenIds[ourPos.outcomeIndex];
+    ourPos.collateralToken = ourPos.collateralToken || outcomeTokens.collateralToken;
+  }
+
+  const ctf = new ethers.Contract(conditionalTokensAddress, CTF_ABI, wallet);
+  const denominator = await ctf.payoutDenominator(conditionId);
+  if (denominator === 0n) return; // not resolved yet
+
+  const numerator = await ctf.payoutNumerators(conditionId, ourPos.outcomeIndex);
+  const balance = await ctf.balanceOf(wallet.address, tokenId);
+  const won = numerator > 0n;
+  const decimals = ourPos.decimals;
+  logInfo('🏁', `[${slug}] Market resolved - our ${ourPos.outcomeIndex === 0 ? 'NO' : 'YES'} ${won ? `won (${numerator}/${denominator})` : 'lost'}, holding ${ethers.formatUnits(balance, decimals)} tokens`);
+
+  let payout = 0n;
+  let txHash = null;
+  let gasUsed = null;
+  let intentId = null;
+  if (won && balance > 0n) {
+    if (!ourPos.collateralToken) {
+      logWarn('⚠️', `[${slug}] Can't redeem - collateral token unknown`);
+      return; // try again on the next check
+    }
+    const args = [ourPos.collateralToken, ethers.ZeroHash, conditionId, [1n, 2n]];
+    const gasEst = await estimateGasFor(ctf, wallet, 'redeemPositions', args);
+    if (!gasEst) return; // try again on the next check
 
+    const padded = (gasEst * 120n) / 100n + 10000n;
+    intentId = journalBegin({
+      type: 'REDEEM',
+      slug,
+      outcomeIndex: ourPos.outcomeIndex,
+      tokens: balance.toString(),
+      venue: ourPos.venue || 'amm',
+      sourceWallet: ourPos.sourceWallet || null,
+      action: 'MARKET_RESOLVED'
+    });
+    let receipt;
+    try {
+      receipt = await txManager.send(`[${slug}] redeem`, ctf, 'redeemPositions', args, padded);
+    } catch (err) {
+      journalFailed(intentId, err);
+      throw err;
+    }
+    txHash = receipt.hash;
+    gasUsed = receipt.gasUsed?.toString() || null;
+
+    // Real payout from PayoutRedemption, falling back to the reported payout ratio
+    payout = (balance * numerator) / denominator;
+    for (const log of receipt.logs || []) {
+      if (log.address.toLowerCase() !== conditionalTokensAddress.toLowerCase()) continue;
+      try {
+        const parsed = ctf.interface.parseLog(log);
+        if (parsed?.name === 'PayoutRedemption' && parsed.args.redeemer.toLowerCase() === wallet.address.toLowerCase()) {
+          payout = parsed.args.payout;
+        }
+      } catch (_) {}
+    }
+    logInfo('✅', `[${slug}] Redeemed ${ethers.formatUnits(payout, decimals)} USDC`);
+  } else if (won) {
+    logWarn('⚠️', `[${slug}] Winning position but no tokens left to redeem`);
+  }
+
+  const investedAmount = BigInt(ourPos.amount);
+  const pnlAmount = payout - investedAmount;
+  const pnlPercentage = investedAmount > 0n ? Number((pnlAmount * 10000n) / investedAmount) / 100 : 0;
+  const sourceTarget = TARGETS.find(t => t.key === ourPos.sourceWallet);
+
+  let tradeId = null;
+  if (tradeTracker) {
+    tradeId = tradeTracker.recordSell({
+      marketSlug: slug,
+      marketTitle: slug,
+      marketAddress: ourPos.marketAddress || null,
+      conditionId,
+      outcome: ourPos.outcomeIndex,
+      tokensSold: balance.toString(),
+      returnAmount: payout.toString(),
+      returnAmountFormatted: ethers.formatUnits(payout, decimals),
+      actualReturnReceived: payout.toString(),
+      exitPrice: Number(numerator) / Number(denominator),
+      txHash,
+      gasUsed,
+      venue: ourPos.venue === 'clob' ? 'CLOB' : 'AMM',
+      sourceWallet: sourceTarget?.address || ourPos.sourceWallet || null,
+      sourceLabel: sourceTarget?.label || null,
+      targetWalletAction: 'MARKET_RESOLVED',
+      replicationReason: won ? 'Market resolved in our favor - redeemed' : 'Market resolved against us - closed at zero',
+      relatedBuyTradeIds: ourPos.tradeIds || (ourPos.tradeId ? [ourPos.tradeId] : []),
+      investedAmount: investedAmount.toString(),
+      pnlAmount: pnlAmount.toString(),
+      pnlPercentage,
+      collateralDecimals: decimals
+    });
+  }
+
+  ourPositions.delete(slug);
+  saveState();
+  journalEnd(intentId, 'DONE', { tradeId, txHash });
+}
+
+// ========= Reconcile our positions with the wallet =========
+// Reads our outcome token balances for every market we hold, the portfolio API lists
+// for our address or an unfinished journal intent names, and repairs ourPositions and
+// the trade log where they differ. Once no transaction is pending, the intents are
+// closed: their trades either show up in the drift or never happened.
+async function reconcilePositions(wallet) {
+  const apiPositions = await fetchTargetPositions(wallet.address);
+  const apiBySlug = new Map();
+  for (const p of apiPositions) {
+    if (!p.market?.slug) continue;
+    rememberMarket(p.market);
+    apiBySlug.set(p.market.slug, p);
+  }
+
+  const intentSlugs = journal ? journal.unfinished().map(i => i.slug) : [];
+  const slugs = new Set([...ourPositions.keys(), ...apiBySlug.keys(), ...intentSlugs]);
+  const drift = [];
+  for (const slug of slugs) {
+    try {
+      await runForMarket(slug, async () => {
+        const apiPosition = apiBySlug.get(slug) || null;
+        const market = apiPosition?.market || await fetchMarket(slug);
+        const balances = await readOutcomeBalances(wallet, slug, ourPositions.get(slug), market);
+        if (!balances) return;
+        // No trade runs while we hold the market's lock, so its open intents are from trades cut short
+        const intents = journal ? journal.unfinished().filter(i => i.slug === slug) : [];
+        // A full close may leave up to 0.1% of the position unsold; that leftover isn't a new position
+        const leftover = sellLeftovers.get(slug);
+        if (leftover && balances[leftover.outcomeIndex] === 0n) sellLeftovers.delete(slug);
+        const dust = [0, 1].map(o => (leftover?.outcomeIndex === o && BigInt(leftover.tokens) > RECONCILE_DUST ? BigInt(leftover.tokens) : RECONCILE_DUST));
+        const found = findDrift(ourPositions, new Map([[slug, balances]]), { dust });
+        const collateralToken = found.some(d => d.kind === 'UNTRACKED') ? await resolveCollateral(wallet, market) : null;
+        for (const d of found) {
+          repairDrift(d, market, apiPosition, intents, collateralToken);
+          drift.push(d);
+        }
+        if (intents.length > 0 && txManager.pending.size === 0) {
+          for (const intent of intents) {
+            const kinds = found.filter(d => d.outcomeIndex === intent.outcomeIndex).map(d => d.kind);
+            journalEnd(intent.id, 'RECONCILED', { drift: kinds });
+            logInfo('📓', `[${slug}] Unfinished ${intent.type} from ${intent.at} reconciled: ${kinds.length ? kinds.join(', ') : 'no change in the wallet'}`);
+          }
+        }
+      });
+    } catch (err) {
+      logErr('💥', `[${slug}] Reconciliation failed:`, err?.message || err);
+    }
+  }
+
+  lastReconciliation = { at: new Date().toISOString(), markets: slugs.size, drift: drift.length };
+  if (drift.length) logWarn('🧮', `Reconciled ${slugs.size} market(s): ${drift.length} difference(s) repaired`);
+  else logInfo('🧮', `Reconciled ${slugs.size} market(s): state matches the wallet`);
+  saveState();
+}
+
+// Our [NO, YES] outcome token balances in a market, or null if we can't tell
+async function readOutcomeBalances(wallet, slug, ourPos, market) {
+  let ctfAddress;
+  let tokenIds;
+  if ((ourPos?.venue || (isClobMarket(market) ? 'clob' : 'amm')) === 'clob') {
+    ctfAddress = CONDITIONAL_TOKENS_ADDRESS;
+    tokenIds = [0, 1].map(o => getClobTokenId(market, o) || (ourPos?.outcomeIndex === o ? ourPos.tokenId : null));
+  } else {
+    const address = ourPos?.marketAddress || market?.address;
+    if (!address) return null;
+    const outcomeTokens = await getOutcomeTokens(new ethers.Contract(address, MARKET_ABI, wallet));
+    ctfAddress = outcomeTokens.conditionalTokensAddress;
+    tokenIds = outcomeTokens.tokenIds;
+  }
+  if (!tokenIds.some(Boolean)) {
+    logWarn('⚠️', `[${slug}] No outcome token IDs - can't reconcile`);
+    return null;
+  }
+  const ctf = new ethers.Contract(ctfAddress, ERC1155_ABI, wallet);
+  return Promise.all(tokenIds.map(id => (id ? ctf.balanceOf(wallet.address, id) : 0n)));
+}
+
+// The collateral a market's outcome tokens redeem to: from the API, else (AMM) the market contract
+async function resolveCollateral(wallet, market) {
+  if (market?.collateralToken?.address) return market.collateralToken.address;
+  if (!market?.address || isClobMarket(market)) return null;
+  try {
+    return (await getOutcomeTokens(new ethers.Contract(market.address, MARKET_ABI, wallet))).collateralToken;
+  } catch (e) {
+    logWarn('⚠️', `[${market.slug}] Collateral token lookup failed: ${e?.message || e}`);
+    return null;
+  }
+}
+
+// Bring ourPositions and the trade log in line with one difference. `intents` are the
+// market's unfinished journal intents, which say what a lost trade was for; `collateralToken`
+// is needed to adopt untracked tokens (redeeming them needs it)
+function repairDrift(d, market, apiPosition, intents = [], collateralToken = null) {
+  const { slug, kind, outcomeIndex, recorded, actual } = d;
+  const side = outcomeIndex === 0 ? 'NO' : 'YES';
+  const pos = ourPositions.get(slug);
+  const decimals = pos?.decimals ?? market?.collateralToken?.decimals ?? 6;
+  const fmt = (v) => ethers.formatUnits(v, decimals);
+  const apiCost = apiPosition ? getTargetCost(apiPosition, outcomeIndex) : null;
+  const buyIntent = intents.find(i => i.type === 'BUY' && i.outcomeIndex === outcomeIndex) || null;
+  const exitIntent = intents.find(i => i.type !== 'BUY' && i.outcomeIndex === outcomeIndex) || null;
+  let resolution;
+
+  if (kind === 'MISSING') {
+    const reason = exitIntent
+      ? `${exitIntent.type === 'REDEEM' ? 'Redeemed' : 'Sold'} by a trade whose result was lost (journal ${exitIntent.id})`
+      : 'Tokens no longer in wallet (reconciliation)';
+    tradeTracker?.closeUnrecorded(pos.tradeIds || [], reason);
+    ourPositions.delete(slug);
+    resolution = 'Position removed';
+    logWarn('🧮', `[${slug}] Drift: state has ${fmt(recorded)} ${side} tokens, wallet has none - ${resolution}`);
+  } else if (kind === 'MISMATCH') {
+    // The API's cost for our address if it has one, else the recorded cost plus a lost buy,
+    // else the recorded cost scaled to the balance
+    if (apiCost != null) pos.amount = ethers.parseUnits(apiCost.toFixed(decimals), decimals).toString();
+    else if (buyIntent && actual > recorded) pos.amount = (BigInt(pos.amount) + BigInt(buyIntent.amount)).toString();
+    else pos.amount = ((BigInt(pos.amount) * actual) / (recorded > 0n ? recorded : actual)).toString();
+    pos.tokens = actual.toString();
+    pos.markValue = null;
+    resolution = `Tokens set to ${fmt(actual)}, cost basis ${fmt(BigInt(pos.amount))} USDC`;
+    logWarn('🧮', `[${slug}] Drift: state has ${fmt(recorded)} ${side} tokens, wallet has ${fmt(actual)} - ${resolution}`);
+  } else if (pos) {
+    resolution = 'Not adopted - we already track the other side';
+    logWarn('🧮', `[${slug}] Drift: wallet also holds ${fmt(actual)} ${side} tokens - ${resolution}`);
+  } else if (!collateralToken) {
+    resolution = 'Not adopted - unknown collateral token';
+    logWarn('🧮', `[${slug}] Drift: wallet holds ${fmt(actual)} untracked ${side} tokens - ${resolution}`);
+  } else {
+    const cost = apiCost ?? (buyIntent ? Number(ethers.formatUnits(buyIntent.amount, decimals)) : null);
+    adoptPosition(slug, market, outcomeIndex, actual, cost, collateralToken, buyIntent);
+    resolution = `Adopted${cost != null ? ` at a cost of ${cost.toFixed(2)} USDC` : ' with unknown cost'}${buyIntent ? ` for ${buyIntent.sourceLabel}` : ''}`;
+    logWarn('🧮', `[${slug}] Drift: wallet holds ${fmt(actual)} untracked ${side} tokens - ${resolution}`);
+  }
+
+  tradeTracker?.recordReconcile({
+    marketSlug: slug,
+    marketTitle: market?.title || slug,
+    marketAddress: market?.address || pos?.marketAddress || null,
+    outcome: outcomeIndex,
+    drift: kind,
+    recordedTokens: recorded.toString(),
+    actualTokens: actual.toString(),
+    journalIntentId: (buyIntent || exitIntent)?.id || null,
+    resolution
+  });
+}
+
+// Track tokens we found in the wallet. They belong to the target of the journal intent
+// they came from; without one no target owns them, so any target's exit can sell them
+function adoptPosition(slug, market, outcomeIndex, tokens, cost, collateralToken, intent = null) {
+  const clob = isClobMarket(market);
+  const decimals = market.collateralToken?.decimals ?? 6;
+  const amount = cost != null ? ethers.parseUnits(cost.toFixed(decimals), decimals) : 0n;
+  const ourPos = {
+    outcomeIndex,
+    amount: amount.toString(),
+    tokens: tokens.toString(),
+    markValue: null,
+    marketAddress: market.address || null,
+    conditionId: market.conditionId || null,
+    category: getMarketCategory(market),
+    collateralToken,
+    decimals,
+    venue: clob ? 'clob' : 'amm',
+    tokenId: clob ? getClobTokenId(market, outcomeIndex) : null,
+    exchangeAddress: clob ? getExchangeAddress(market) : null,
+    sourceWallet: intent?.sourceWallet || null,
+    tradeIds: []
+  };
+  const sourceTarget = intent ? TARGETS.find(t => t.key === intent.sourceWallet) : null;
+  if (tradeTracker) {
+    ourPos.tradeIds.push(tradeTracker.recordBuy({
+      marketSlug: slug,
+      marketTitle: market.title || slug,
+      marketAddress: market.address || null,
+      conditionId: market.conditionId || null,
+      outcome: outcomeIndex,
+      investmentAmount: amount.toString(),
+      investmentAmountFormatted: ethers.formatUnits(amount, decimals),
+      actualTokensReceived: tokens.toString(),
+      entryPrice: cost != null && tokens > 0n ? Number(amount) / Number(tokens) : null,
+      venue: clob ? 'CLOB' : 'AMM',
+      sourceWallet: sourceTarget?.address || intent?.sourceWallet || null,
+      sourceLabel: intent?.sourceLabel || null,
+      targetWalletAction: 'RECONCILED',
+      replicationReason: intent
+        ? `${intent.sourceLabel || 'Target'} ${intent.action === 'INCREASE_POSITION' ? 'increased' : 'opened'} position - buy result lost, found in the wallet (journal ${intent.id})`
+        : 'Found in the wallet during reconciliation',
+      collateralToken,
+      collateralDecimals: decimals
+    }));
+  }
+  ourPositions.set(slug, ourPos);
+}
+
+// ========= Manual actions (control API and CLI) =========
+/**
+ * Sell our whole position in `slug` regardless of which target opened it, through the
+ * same path as a copied close. `via` names who asked, for the log and the trade record.
+ * Returns whether the position is gone.
+ */
+async function forceClose(provider, wallet, slug, via) {
+  const positions = heldPositions();
+  const pos = positions.get(slug);
+  if (!pos) return false;
+  await withContext({ correlationId: newCorrelationId(), slug }, () => runForMarket(slug, async () => {
+    logInfo('🛑', `[${slug}] Force-close requested via ${via}`);
+    const market = (pos.marketAddress && marketsByAddress.get(pos.marketAddress.toLowerCase())) || await fetchMarket(slug) || { slug };
+    const reason = `Force-closed via ${via}`;
+    if (executor instanceof PaperExecutor) {
+      await executor.close({ slug, market, outcomeIndex: pos.outcomeIndex, price: latestPrices.get(slug)?.[pos.outcomeIndex] ?? null, force: true, reason });
+    } else {
+      await sellPosition(provider, wallet, null, slug, market, pos.outcomeIndex, 1, 'CLOSE_POSITION', reason);
+    }
+    saveState();
+  }));
+  return !positions.has(slug);
+}
+
+// The contract that spends our collateral and outcome tokens in a market (the market
+// itself, or the CLOB exchange), and the collateral and outcome token contracts
+async function getMarketSpender(wallet, market) {
+  const usdc = new ethers.Contract(market.collateralToken?.address || USDC_ADDRESS, ERC20_ABI, wallet);
+  if (isClobMarket(market)) {
+    return { spender: getExchangeAddress(market), usdc, erc1155: new ethers.Contract(CONDITIONAL_TOKENS_ADDRESS, ERC1155_ABI, wallet) };
+  }
+  if (!market.address) throw new Error(`${market.slug} has no market address or CLOB exchange`);
+  const { conditionalTokensAddress } = await getOutcomeTokens(new ethers.Contract(market.address, MARKET_ABI, wallet));
+  return { spender: market.address, usdc, erc1155: new ethers.Contract(conditionalTokensAddress, ERC1155_ABI, wallet) };
+}
+
+/**
+ * Our allowances for a market: { slug, spender, usdc (collateral units), outcomeTokens (bool) }
+ */
+async function getAllowances(wallet, market) {
+  const { spender, usdc, erc1155 } = await getMarketSpender(wallet, market);
+  const decimals = market.collateralToken?.decimals ?? 6;
+  const [allowance, approved] = await Promise.all([readAllowance(usdc, wallet.address, spender), erc1155.isApprovedForAll(wallet.address, spender)]);
+  return { slug: market.slug, spender, usdc: ethers.formatUnits(allowance, decimals), outcomeTokens: approved };
+}
+
+/**
+ * Let a market move our outcome tokens (for sells) and, with `usdc` > 0, that much of
+ * our collateral (for buys) - the approvals the bot otherwise makes before each trade
+ */
+async function approveMarket(wallet, market, usdcAmount = 0) {
+  const { spender, usdc, erc1155 } = await getMarketSpender(wallet, market);
+  let ok = await ensureErc1155Approval(wallet, erc1155, spender);
+  if (usdcAmount > 0) {
+    const decimals = market.collateralToken?.decimals ?? 6;
+    ok = (await ensureUsdcApproval(wallet, usdc, spender, ethers.parseUnits(String(usdcAmount), decimals), decimals)) && ok;
+  }
+  return ok;
+}
+
+/**
+ * Take back a market's collateral allowance and outcome token approval
+ */
+async function revokeMarket(wallet, market) {
+  const { spender, usdc, erc1155 } = await getMarketSpender(wallet, market);
+  const [allowance, approved] = await Promise.all([readAllowance(usdc, wallet.address, spender), erc1155.isApprovedForAll(wallet.address, spender)]);
+  const sends = [];
+  if (allowance > 0n) sends.push(['USDC approve(0)', usdc, 'approve', [spender, 0n]]);
+  if (approved) sends.push(['setApprovalForAll(false)', erc1155, 'setApprovalForAll', [spender, false]]);
+  if (sends.length === 0) {
+    logInfo('ℹ️', `[${market.slug}] Nothing to revoke`);
+    return true;
+  }
+  for (const [label, contract, method, args] of sends) {
+    const gasEst = await estimateGasFor(contract, wallet, method, args);
+    if (!gasEst) {
+      logWarn('🛑', `Gas estimate ${label} failed`);
+      return false;
+    }
+    logInfo('🔒', `[${market.slug}] ${label}...`);
+    await txManager.send(`[${market.slug}] ${label}`, contract, method, args, (gasEst * 120n) / 100n + 10000n);
+  }
+  return true;
+}
+
+// ========= Local control/status API =========
+function getPublicConfig() {
+  return {
+    configFile: config.file,
+    profile: config.PROFILE,
+    rpcUrl: redactUrl(RPC_URL),
+    chainId: CHAIN_ID,
+    targets: TARGETS,
+    conflictPolicy: CONFLICT_POLICY,
+    detectionMode: DETECTION_MODE,
+    pollIntervalMs: POLL_INTERVAL_MS,
+    resyncIntervalMs: RESYNC_INTERVAL_MS,
+    sizingMode: config.SIZING_MODE,
+    betMultiplier: config.BET_MULTIPLIER,
+    minBetUsdc: config.MIN_BET_USDC,
+    maxBetUsdc: config.MAX_BET_USDC,
+    scaleThresholdPct: SCALE_THRESHOLD_PCT,
+    slippageBps: SLIPPAGE_BPS,
+    confirmations: CONFIRMATIONS,
+    executionMode: EXECUTION_MODE,
+    tradesFile: TRADES_FILE,
+    tradeStore: TRADE_STORE,
+    tradesDb: TRADE_STORE === 'sqlite' ? TRADES_DB : null,
+    riskLimits: riskManager.limits,
+    priceFilter: PRICE_FILTER,
+    notifications: notifier.sinks.map(({ sink }) => ({ sink: sink.name, events: sink.events })),
+    logLevel: logger.level,
+    logFormat: logger.format,
+    logFile: logger.file ? logger.file.filePath : null,
+    metricsPort: METRICS_PORT,
+    metricsHost: METRICS_HOST,
+    clobApiUrl: CLOB_API_URL,
+    clobOrderType: CLOB_ORDER_TYPE,
+    privateKey: '[redacted]',
+    controlToken: '[redacted]'
+  };
+}
+
+// What .env held when last read; reloads re-apply it to the keys it set at startup
+let envFileValues = readEnvFile();
+
+// Re-read .env, the config file and the targets. Settings marked `reload` in the schema
+// (targets, sizing, filters, risk limits, alerts) apply now; the rest keep their current
+// values until a restart. Throws, changing nothing, when the new config is invalid.
+function reloadConfig() {
+  const envValues = readEnvFile();
+  const restoreEnv = applyEnvFile(envValues, envFileValues, SHELL_ENV_KEYS);
+  let next;
+  let targets;
+  try {
+    next = loadConfig();
+    targets = readTargets(next);
+  } catch (e) {
+    restoreEnv();
+    throw e;
+  }
+  envFileValues = envValues;
+  const { reloadable, restartNeeded } = diffConfig(config, next);
+  config = { ...next, ...Object.fromEntries(restartNeeded.map(name => [name, config[name]])) };
+
+  TARGETS = targets;
+  CONFLICT_POLICY = config.CONFLICT_POLICY;
+  SCALE_THRESHOLD_PCT = config.SCALE_THRESHOLD_PCT;
+  SLIPPAGE_BPS = config.SLIPPAGE_BPS;
+  LOW_USDC_BALANCE = config.LOW_USDC_BALANCE;
+  LOW_ETH_BALANCE = config.LOW_ETH_BALANCE;
+  Object.assign(PRICE_FILTER, priceFilterFrom(config));
+  Object.assign(riskManager.limits, riskLimitsFrom(config));
+  if (logDetector) logDetector.setTargetWallets(TARGETS.filter(t => t.enabled).map(t => t.address));
+
+  logInfo('🔄', `Config reloaded: ${TARGETS.filter(t => t.enabled).length} enabled target(s)${reloadable.length ? `, updated ${reloadable.join(', ')}` : ''}`);
+  if (restartNeeded.length) logWarn('⚠️', `Changed but only applied after a restart: ${restartNeeded.join(', ')}`);
+  return TARGETS;
+}
+
+// Reload from a signal or a file change; a bad config is reported and the current one kept
+function reloadConfigQuietly(trigger) {
+  try {
+    reloadConfig();
+  } catch (e) {
+    logWarn('⚠️', `Config reload (${trigger}) failed - keeping the current config: ${e?.message || e}`);
+  }
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body, (_, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(json);
+}
+
+function isAuthorized(req) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-control-token'];
+  if (!token) return false;
+  const given = Buffer.from(String(token));
+  const expected = Buffer.from(CONTROL_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function handleControlRequest(provider, wallet, req, res) {
+  if (!isAuthorized(req)) return sendJson(res, 401, { error: 'Unauthorized' });
+
+  const url = new URL(req.url, 'http://localhost');
+  const route = `${req.method} ${url.pathname.replace(/\/$/, '')}`;
+  const closeMatch = url.pathname.match(/^\/positions\/([^/]+)\/close\/?$/);
+
+  if (route === 'GET /status') {
+    return sendJson(res, 200, {
+      wallet: wallet?.address ?? null,
+      executionMode: EXECUTION_MODE,
+      startedAt: startedAt.toISOString(),
+      uptimeSec: Math.round((Date.now() - startedAt.getTime()) / 1000),
+      opensPaused,
+      detectionMode: DETECTION_MODE,
+      lastBlock: logDetector?.lastBlock ?? null,
+      targets: TARGETS.map(t => ({ label: t.label, address: t.address, enabled: t.enabled, synced: syncedTargets.has(t.key) })),
+      openPositions: getOpenPositions().length,
+      lastReconciliation,
+      unfinishedTrades: journal ? journal.unfinished().length : null,
+      paperBalance: executor instanceof PaperExecutor ? executor.balance : undefined
+    });
+  }
+  if (route === 'GET /config') return sendJson(res, 200, getPublicConfig());
+  if (route === 'GET /positions') {
+    const positions = heldPositions();
+    return sendJson(res, 200, Array.from(positions.entries()).map(([slug, pos]) => ({ slug, ...pos })));
+  }
+  if (route === 'GET /trades') {
+    const limit = Math.max(1, Math.min(500, parseInt(url.searchParams.get('limit') || '20', 10) || 20));
+    // With a filter or a page: one page of the matching trades, newest first
+    const params = url.searchParams;
+    const filter = {
+      from: params.get('from') || undefined,
+      to: params.get('to') || undefined,
+      sourceWallet: params.get('target') || undefined,
+      marketSlug: params.get('market') || undefined,
+      status: params.get('status') ? params.get('status').toUpperCase().split(',') : undefined,
+      type: params.get('type') ? params.get('type').toUpperCase().split(',') : undefined
+    };
+    if (!Object.values(filter).some(Boolean) && !params.has('page')) {
+      return sendJson(res, 200, tradeTracker ? tradeTracker.getRecentTrades(limit) : []);
+    }
+    if (!tradeTracker) return sendJson(res, 200, { trades: [], total: 0, page: 1, pageSize: limit, pages: 0 });
+    try {
+      return sendJson(res, 200, tradeTracker.getTradesPage({ ...filter, page: parseInt(params.get('page') || '1', 10) || 1, pageSize: limit }));
+    } catch (e) {
+      return sendJson(res, 400, { error: e?.message || String(e) });
+    }
+  }
+  if (route === 'GET /stats') {
+    if (!tradeTracker) return sendJson(res, 200, {});
+    return sendJson(res, 200, { ...tradeTracker.getStats(), byTarget: tradeTracker.getStatsByTarget() });
+  }
+  if (route === 'POST /pause' || route === 'POST /resume') {
+    opensPaused = route === 'POST /pause';
+    logInfo(opensPaused ? '⏸️' : '▶️', `New opens ${opensPaused ? 'paused' : 'resumed'} via control API`);
+    return sendJson(res, 200, { opensPaused });
+  }
+  if (req.method === 'POST' && closeMatch) {
+    const slug = decodeURIComponent(closeMatch[1]);
+    if (!heldPositions().has(slug)) return sendJson(res, 404, { error: `No open position in ${slug}` });
+    const closed = await forceClose(provider, wallet, slug, 'control API');
+    return sendJson(res, closed ? 200 : 502, { slug, closed });
+  }
+  if (route === 'POST /export') {
+    const ok = tradeTracker ? tradeTracker.exportToCSV(TRADES_CSV) : false;
+    return sendJson(res, ok ? 200 : 500, { exported: ok, path: TRADES_CSV });
+  }
+  if (route === 'POST /reload-config') {
+    try {
+      const targets = reloadConfig();
+      return sendJson(res, 200, { reloaded: true, targets });
+    } catch (e) {
+      logWarn('⚠️', `Config reload failed: ${e?.message || e}`);
+      return sendJson(res, 400, { reloaded: false, error: e?.message || String(e) });
+    }
+  }
+  return sendJson(res, 404, { error: 'Not found' });
+}
+
+function startControlServer(provider, wallet) {
+  const server = http.createServer((req, res) => {
+    handleControlRequest(provider, wallet, req, res).catch((err) => {
+      logErr('💥', 'Control API error:', err?.message || err);
+      if (!res.headersSent) sendJson(res, 500, { error: err?.message || String(err) });
+    });
+  });
+  server.listen(CONTROL_PORT, CONTROL_HOST, () => {
+    logInfo('🕹️', `Control API listening on http://${CONTROL_HOST}:${CONTROL_PORT}`);
+  });
+  server.on('error', (err) => logErr('💥', 'Control API server error:', err?.message || err));
+  return server;
+}
+
+// ========= Startup =========
+/**
+ * Connect to the chain and load what the bot trades from: the wallet (on-chain mode),
+ * trade tracker, executor, saved state and trade journal. Shared with the CLI.
+ * Returns { provider, wallet, unfinished } - the journal's intents left open by the last run.
+ */
+async function connect() {
   const provider = new ethers.JsonRpcProvider(RPC_URL);
 
   // Verify network
+  let net;
   try {
-    const net = await provider.getNetwork();
-    logInfo('🌐', `Connected to chainId=${net.chainId}`);
-    if (Number(net.chainId) !== CHAIN_ID) {
-      logErr('❌', `Wrong network. Expected ${CHAIN_ID} but connected to ${net.chainId}`);
-      process.exit(1);
-    }
+    net = await provider.getNetwork();
   } catch (e) {
-    logErr('💥', 'Failed to connect to RPC', e?.message || e);
-    process.exit(1);
+    throw new Error(`Failed to connect to RPC: ${e?.message || e}`);
+  }
+  logInfo('🌐', `Connected to chainId=${net.chainId}`);
+  if (Number(net.chainId) !== CHAIN_ID) {
+    throw new Error(`Wrong network. Expected ${CHAIN_ID} but connected to ${net.chainId}`);
   }
 
-  const pk = PRIVATE_KEY.startsWith('0x') ? PRIVATE_KEY : '0x' + PRIVATE_KEY;
-  const wallet = new ethers.Wallet(pk, provider);
+  // Paper and dry runs need no key; nothing is ever signed in those modes
+  let wallet = null;
+  if (EXECUTION_MODE === 'onchain') {
+    const pk = PRIVATE_KEY.startsWith('0x') ? PRIVATE_KEY : '0x' + PRIVATE_KEY;
+    wallet = new ethers.Wallet(pk, provider);
+    logInfo('🔑', `Replicator wallet: ${wallet.address}`);
+
+    clobClient = new ClobClient({
+      wallet,
+      baseUrl: CLOB_API_URL,
+      chainId: CHAIN_ID,
+      feeRateBps: CLOB_FEE_RATE_BPS
+    });
 
-  logInfo('🔑', `Replicator wallet: ${wallet.address}`);
+    txManager = new TxManager({
+      wallet,
+      maxGasWei: MAX_GAS_WEI,
+      fallbackGasPrice: ethers.parseUnits(GAS_PRICE_GWEI, 'gwei'),
+      confirmations: CONFIRMATIONS,
+      timeoutMs: TX_TIMEOUT_MS,
+      maxReplacements: TX_MAX_REPLACEMENTS,
+      feeBumpPct: TX_FEE_BUMP_PCT,
+      onChange: saveState,
+      tag: () => ({ correlationId: getContext().correlationId }),
+      onMined: countGas,
+      onFailed: (tx, status, hash) => notifier.notify('tx_failed', `❌ ${tx.label} tx ${status} (nonce ${tx.nonce}): ${hash}`, { label: tx.label, status, hash, nonce: tx.nonce }),
+      log: logInfo
+    });
+  }
+
+  // The trade log's totals (and the paper wallet's cash) are kept in USDC's decimals
+  try {
+    usdcDecimals = Number(await new ethers.Contract(USDC_ADDRESS, ERC20_ABI, provider).decimals());
+  } catch (e) {
+    logWarn('⚠️', `USDC decimals read failed - assuming ${usdcDecimals}: ${e?.shortMessage || e?.message || e}`);
+  }
 
   // Initialize trade tracker
-  tradeTracker = new TradeTracker('data/trades.json');
-  tradeTracker.printSummary();
+  const tradeStore = createTradeStore(TRADE_STORE, { filePath: TRADES_FILE, dbPath: TRADES_DB, ...BACKUP_OPTIONS });
+  tradeTracker = new TradeTracker(TRADES_FILE, {
+    store: tradeStore,
+    decimals: usdcDecimals,
+    onRecord: (trade) => {
+      countTrade(trade);
+      notifyTrade(trade);
+      // Sells and settles drop the position right after recording; measure PnL once they have
+      if (trade.type === 'SELL') queueMicrotask(trackPnL);
+    }
+  });
 
-  // Load saved state
+  // Load saved state (the paper wallet's balances included)
+  executor = createExecutor(provider, wallet);
   loadState();
 
+  // Trades cut short by the last run's end
+  let unfinished = [];
+  if (txManager) {
+    journal = new Journal(JOURNAL_FILE);
+    unfinished = journal.load();
+  }
+  return { provider, wallet, unfinished };
+}
+
+/**
+ * Save the state, close the trade store and send queued notifications - the CLI's
+ * counterpart to the bot's shutdown
+ */
+async function disconnect() {
+  saveState();
+  if (tradeTracker) tradeTracker.close();
+  await notifier.stop();
+  logger.close();
+}
+
+// ========= Main =========
+async function main() {
+  logInfo('🤖', 'Starting Limitless Replication Bot...');
+  const rules = Object.entries(loadMarketRules(config)).filter(([, v]) => (Array.isArray(v) ? v.length > 0 : v != null));
+  const activeLimits = Object.entries(riskManager.limits).filter(([k, v]) => k !== 'lossCooldownMs' && v > 0);
+  logger.report('Configuration', [
+    `📋 Configuration:`,
+    ...(config.file || config.PROFILE ? [`   CONFIG: ${config.file || 'environment only'}${config.PROFILE ? `, profile ${config.PROFILE}` : ''}`] : []),
+    `   RPC_URL: ${RPC_URL}`,
+    `   CHAIN_ID: ${CHAIN_ID}`,
+    ...TARGETS.map(t => `   TARGET: ${t.label} ${t.address}${t.enabled ? '' : ' (disabled)'}${t.profile ? ` [${t.profile}]` : ''} - ${t.sizingMode} x${t.multiplier}, ${t.minBet}-${t.maxBet} USDC${t.allowedMarkets.length ? `, markets: ${t.allowedMarkets.join(', ')}` : ''}`),
+    ...(rules.length ? [`   MARKET_RULES: ${rules.map(([k, v]) => `${k}=${v}`).join(', ')}`] : []),
+    `   CONFLICT_POLICY: ${CONFLICT_POLICY}`,
+    `   EXECUTION_MODE: ${EXECUTION_MODE}${EXECUTION_MODE === 'paper' ? ` (starting balance ${STARTING_BALANCE_USDC} USDC)` : ''}`,
+    `   DETECTION_MODE: ${DETECTION_MODE}`,
+    `   POLL_INTERVAL_MS: ${POLL_INTERVAL_MS}`,
+    `   SIZING_MODE: ${config.SIZING_MODE}`,
+    `   BET_MULTIPLIER: ${config.BET_MULTIPLIER}x`,
+    `   MIN_BET_USDC: ${config.MIN_BET_USDC}`,
+    `   MAX_BET_USDC: ${config.MAX_BET_USDC}`,
+    `   RISK LIMITS: ${activeLimits.length ? activeLimits.map(([k, v]) => `${k}=${v}`).join(', ') : 'none'}`,
+    `   NOTIFICATIONS: ${notifier.describe()}`,
+    `   LOGGING: ${logger.level}, ${logger.format}${logger.file ? ` -> ${logger.file.filePath}` : ''}`
+  ], { config: getPublicConfig() });
+
+  const { provider, wallet, unfinished } = await connect();
+  if (EXECUTION_MODE === 'paper') {
+    logInfo('📝', `Paper trading - fills are quoted read-only, nothing is sent (trades: ${TRADES_FILE})`);
+    logInfo('💰', `Paper wallet: ${executor.balance.toFixed(2)} USDC, ${executor.positions.size} open position(s)`);
+  } else if (EXECUTION_MODE === 'dry-run') {
+    logInfo('🧪', 'Dry run - planned trades are only logged');
+  }
+  tradeTracker.printSummary();
+
+  // Settle transactions left pending by timeouts or a previous run; they run
+  // outside the processing queue so a stuck one never holds up copying
+  let txInterval = null;
+  if (txManager) {
+    if (txManager.pending.size > 0) logWarn('⏳', `${txManager.pending.size} transaction(s) pending from the last run - re-checking`);
+
+    // Trades cut short by the last run's end are reconciled below
+    if (unfinished.length > 0) {
+      logWarn('📓', `${unfinished.length} trade(s) were in flight when the bot stopped - reconciling them with the wallet`);
+      for (const i of unfinished) {
+        logWarn('📓', `   ${i.type} [${i.slug}] ${i.outcomeIndex === 0 ? 'NO' : 'YES'}${i.sourceLabel ? ` for ${i.sourceLabel}` : ''} (${i.at})`);
+      }
+    }
+    const checkTxs = () => txManager.checkPending(reportSettledTx);
+    checkTxs();
+    txInterval = setInterval(checkTxs, TX_TIMEOUT_MS);
+  }
+
+  // Check the state we loaded against the wallet before acting on it
+  let reconcileInterval = null;
+  if (wallet) {
+    await runExclusive(() => reconcilePositions(wallet));
+    if (RECONCILE_INTERVAL_MS > 0) {
+      reconcileInterval = setInterval(() => reconcileQuietly(wallet), RECONCILE_INTERVAL_MS);
+    }
+  }
+
   // Start monitoring
-  const timer = await monitorTargetWallet(provider, wallet);
+  const timer = await monitorTargets(provider, wallet);
+
+  // Redeem or close out positions in markets that have resolved, and value open
+  // positions for unrealized PnL and equity (paper positions are settled from the API)
+  let resolutionInterval = null;
+  let markInterval = null;
+  if (EXECUTION_MODE !== 'dry-run') {
+    const paper = executor instanceof PaperExecutor;
+    const checkResolved = () => runExclusive(async () => {
+      try {
+        if (paper) await executor.checkResolutions(fetchMarket);
+        else await checkResolutions(wallet);
+      } catch (err) {
+        logErr('💥', `${paper ? 'Paper resolution' : 'Resolution'} check failed:`, err?.message || err);
+      }
+    });
+    checkResolved();
+    resolutionInterval = setInterval(checkResolved, RESOLUTION_CHECK_INTERVAL_MS);
+
+    const mark = () => runExclusive(async () => {
+      try {
+        if (paper) await executor.markToMarket((slug, outcomeIndex) => latestPrices.get(slug)?.[outcomeIndex] ?? null);
+        else await markToMarket(wallet);
+        trackPnL();
+        if (!paper) await checkBalances(wallet);
+      } catch (err) {
+        logErr('💥', `${paper ? 'Paper mark' : 'Mark'} to market failed:`, err?.message || err);
+      }
+    });
+    mark();
+    markInterval = setInterval(mark, MARK_INTERVAL_MS);
+  }
+
+  if (CONTROL_PORT) controlServer = startControlServer(provider, wallet);
+  const metricsServer = METRICS_PORT ? startMetricsServer() : null;
+
+  // Apply edits to the config file, .env and the targets file without a restart
+  process.on('SIGHUP', () => reloadConfigQuietly('SIGHUP'));
+  const stopWatching = CONFIG_WATCH_MS > 0
+    ? watchFiles([config.file, '.env', config.TARGETS_FILE], CONFIG_WATCH_MS, file => reloadConfigQuietly(`${path.basename(file)} changed`))
+    : () => {};
 
   // Print summary every 5 minutes
   const summaryInterval = setInterval(() => {
@@ -642,20 +2567,59 @@ async function main() {
     }
   }, 5 * 60 * 1000);
 
+  let digestTimer = null;
+  if (notifier.wants('daily_digest')) {
+    const scheduleDigest = () => {
+      digestTimer = setTimeout(() => {
+        sendDailyDigest();
+        scheduleDigest();
+      }, msUntilDigest());
+    };
+    scheduleDigest();
+  }
+
   process.on('SIGINT', () => {
-    console.log('👋 Shutting down...');
+    logInfo('👋', 'Shutting down...');
     saveState();
     if (tradeTracker) {
       tradeTracker.printSummary();
-      tradeTracker.exportToCSV();
+      tradeTracker.exportToCSV(TRADES_CSV);
+      tradeTracker.close();
     }
     clearInterval(timer);
     clearInterval(summaryInterval);
-    process.exit(0);
+    clearInterval(resolutionInterval);
+    clearInterval(markInterval);
+    clearInterval(txInterval);
+    clearInterval(reconcileInterval);
+    if (controlServer) controlServer.close();
+    if (metricsServer) metricsServer.close();
+    if (logDetector) logDetector.stop();
+    stopWatching();
+    clearTimeout(digestTimer);
+    // Send whatever notifications are still queued before exiting
+    notifier.stop().finally(() => {
+      logger.close();
+      process.exit(0);
+    });
   });
 }
 
-main().catch((e) => {
-  console.error('Fatal error:', e);
-  process.exit(1);
-});
+// Required by the CLI (src/cli.js) for manual closes and approvals
+module.exports = {
+  connect,
+  forceClose,
+  getAllowances,
+  approveMarket,
+  revokeMarket,
+  fetchMarket,
+  heldPositions,
+  disconnect
+};
+
+if (require.main === module) {
+  main().catch((e) => {
+    logErr('💥', 'Fatal error:', e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,204 @@
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+
+const MARKET_ABI = require('./abis/Market.json');
+const ERC1155_ABI = require('./abis/ERC1155.json');
+
+/**
+ * Log Detector - Watches on-chain logs for the target wallets' trades
+ *
+ * Picks up:
+ *   - FPMMBuy / FPMMSell where a target is buyer/seller, on the AMM markets in
+ *     `marketAddresses` (null: any contract emitting them, for history scans)
+ *   - TransferSingle / TransferBatch on the conditional tokens contract to or from
+ *     a target (CLOB fills, transfers, redemptions, trades on markets not listed yet)
+ *
+ * Backfills with provider.getLogs, then follows new blocks with a block listener.
+ *
+ * Events:
+ *   'trade'    { wallet, side, marketAddress, outcomeIndex, collateralAmount, feeAmount, tokens, blockNumber, logIndex, txHash, backfill }
+ *   'transfer' { wallet, direction, tokenIds, values, blockNumber, logIndex, txHash, backfill }
+ *   'error'    Error
+ */
+
+const marketIface = new ethers.Interface(MARKET_ABI);
+const erc1155Iface = new ethers.Interface(ERC1155_ABI);
+
+const TOPIC_BUY = marketIface.getEvent('FPMMBuy').topicHash;
+const TOPIC_SELL = marketIface.getEvent('FPMMSell').topicHash;
+const TOPIC_TRANSFER_SINGLE = erc1155Iface.getEvent('TransferSingle').topicHash;
+const TOPIC_TRANSFER_BATCH = erc1155Iface.getEvent('TransferBatch').topicHash;
+
+const MAX_SEEN_LOGS = 5000;
+
+class LogDetector extends EventEmitter {
+  constructor({ provider, targetWallets, marketAddresses = null, conditionalTokensAddress, chunkBlocks = 2000 }) {
+    super();
+    this.provider = provider;
+    this.setTargetWallets(targetWallets);
+    this.setMarketAddresses(marketAddresses);
+    this.conditionalTokensAddress = conditionalTokensAddress || null;
+    this.chunkBlocks = chunkBlocks;
+    this.lastBlock = null;
+    this.seenLogs = new Set();
+    this.blockHandler = null;
+    this.scanning = false;
+    this.pendingHead = null;
+  }
+
+  /**
+   * Replace the watched wallets; takes effect from the next scanned block
+   */
+  setTargetWallets(targetWallets) {
+    this.targetWallets = targetWallets.map(w => ethers.getAddress(w));
+    this.targetTopics = this.targetWallets.map(w => ethers.zeroPadValue(w, 32));
+  }
+
+  /**
+   * Replace the AMM markets whose trades are watched (null for all); takes effect from
+   * the next scanned block
+   */
+  setMarketAddresses(marketAddresses) {
+    this.marketAddresses = marketAddresses ? [...new Set(marketAddresses.map(a => ethers.getAddress(a)))] : null;
+  }
+
+  /**
+   * Filters for every log type involving a target
+   */
+  buildFilters() {
+    const filters = [];
+    // An empty address list would match every contract
+    if (!this.marketAddresses) {
+      filters.push({ topics: [[TOPIC_BUY, TOPIC_SELL], this.targetTopics] });
+    } else if (this.marketAddresses.length > 0) {
+      filters.push({ address: this.marketAddresses, topics: [[TOPIC_BUY, TOPIC_SELL], this.targetTopics] });
+    }
+    if (this.conditionalTokensAddress) {
+      const transferTopics = [TOPIC_TRANSFER_SINGLE, TOPIC_TRANSFER_BATCH];
+      filters.push({ address: this.conditionalTokensAddress, topics: [transferTopics, null, this.targetTopics] });
+      filters.push({ address: this.conditionalTokensAddress, topics: [transferTopics, null, null, this.targetTopics] });
+    }
+    return filters;
+  }
+
+  /**
+   * Fetch and emit all target logs in [fromBlock, toBlock], in chunks
+   */
+  async scan(fromBlock, toBlock, { backfill = false } = {}) {
+    for (let start = fromBlock; start <= toBlock; start += this.chunkBlocks) {
+      const end = Math.min(toBlock, start + this.chunkBlocks - 1);
+      const logs = [];
+      for (const filter of this.buildFilters()) {
+        logs.push(...await this.provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+      }
+
+      logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+      // AMM trades also move outcome tokens; report those transactions once, as trades
+      const tradeTxs = new Set(
+        logs.filter(l => l.topics[0] === TOPIC_BUY || l.topics[0] === TOPIC_SELL).map(l => l.transactionHash)
+      );
+      for (const log of logs) {
+        const isTransfer = log.topics[0] === TOPIC_TRANSFER_SINGLE || log.topics[0] === TOPIC_TRANSFER_BATCH;
+        if (isTransfer && tradeTxs.has(log.transactionHash)) continue;
+        this.handleLog(log, backfill);
+      }
+
+      this.lastBlock = end;
+    }
+  }
+
+  /**
+   * Backfill from `fromBlock` (or head - lookbackBlocks) and start following new blocks
+   */
+  async start({ fromBlock = null, lookbackBlocks = 10000 } = {}) {
+    const head = await this.provider.getBlockNumber();
+    const start = fromBlock != null
+      ? Math.max(fromBlock, head - lookbackBlocks)
+      : Math.max(0, head - lookbackBlocks);
+
+    if (start <= head) await this.scan(start, head, { backfill: true });
+    this.lastBlock = head;
+
+    this.blockHandler = (blockNumber) => {
+      this.onBlock(blockNumber).catch(err => this.emit('error', err));
+    };
+    await this.provider.on('block', this.blockHandler);
+  }
+
+  async stop() {
+    if (this.blockHandler) {
+      await this.provider.off('block', this.blockHandler);
+      this.blockHandler = null;
+    }
+  }
+
+  /**
+   * Scan new blocks; if a scan is in flight, remember the latest head and catch up after
+   */
+  async onBlock(blockNumber) {
+    if (this.scanning) {
+      this.pendingHead = Math.max(this.pendingHead || 0, blockNumber);
+      return;
+    }
+    this.scanning = true;
+    try {
+      let head = blockNumber;
+      while (head != null) {
+        this.pendingHead = null;
+        if (head > this.lastBlock) await this.scan(this.lastBlock + 1, head);
+        head = this.pendingHead;
+      }
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  /**
+   * Decode a log and emit it once
+   */
+  handleLog(log, backfill) {
+    const key = `${log.transactionHash}:${log.index}`;
+    if (this.seenLogs.has(key)) return;
+    this.seenLogs.add(key);
+    if (this.seenLogs.size > MAX_SEEN_LOGS) {
+      this.seenLogs.delete(this.seenLogs.values().next().value);
+    }
+
+    const topic0 = log.topics[0];
+    const base = { blockNumber: log.blockNumber, logIndex: log.index, txHash: log.transactionHash, backfill };
+
+    try {
+      if (topic0 === TOPIC_BUY || topic0 === TOPIC_SELL) {
+        const parsed = marketIface.parseLog(log);
+        const isBuy = topic0 === TOPIC_BUY;
+        this.emit('trade', {
+          ...base,
+          wallet: ethers.getAddress(isBuy ? parsed.args.buyer : parsed.args.seller),
+          side: isBuy ? 'BUY' : 'SELL',
+          marketAddress: ethers.getAddress(log.address),
+          outcomeIndex: Number(parsed.args.outcomeIndex),
+          collateralAmount: isBuy ? parsed.args.investmentAmount : parsed.args.returnAmount,
+          feeAmount: parsed.args.feeAmount,
+          tokens: isBuy ? parsed.args.outcomeTokensBought : parsed.args.outcomeTokensSold
+        });
+      } else if (topic0 === TOPIC_TRANSFER_SINGLE || topic0 === TOPIC_TRANSFER_BATCH) {
+        const parsed = erc1155Iface.parseLog(log);
+        const to = ethers.getAddress(parsed.args.to);
+        const incoming = this.targetWallets.includes(to);
+        const single = topic0 === TOPIC_TRANSFER_SINGLE;
+        this.emit('transfer', {
+          ...base,
+          wallet: incoming ? to : ethers.getAddress(parsed.args.from),
+          direction: incoming ? 'IN' : 'OUT',
+          tokenIds: single ? [parsed.args.id.toString()] : parsed.args.ids.map(id => id.toString()),
+          values: single ? [parsed.args.value] : [...parsed.args.values]
+        });
+      }
+    } catch (err) {
+      this.emit('error', err);
+    }
+  }
+}
+
+module.exports = LogDetector;
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Logger - Leveled, structured logs with correlation IDs
+ *
+ * Every entry has a level, an emoji, a message and optional fields. The text format
+ * (default) prints `<emoji> <message>` as the bot always has; the json format prints one
+ * object per line - { time, level, msg, ...context, ...fields } - for log shippers. With
+ * a `file`, every entry is also appended there as JSON, rotated at `maxBytes` keeping
+ * `maxFiles` old files (`<file>.1` is the newest).
+ *
+ * withContext(fields, fn) attaches fields to everything logged while fn runs, across
+ * awaits - the bot uses it to tag each detected target change with a correlation ID,
+ * from the approval through the receipt to the trade record.
+ *
+ * Secrets (the private key, tokens, RPC credentials) are redacted from every entry.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['text', 'json'];
+
+const contextStore = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `fields` added to the log context. Returns fn's result.
+ */
+function withContext(fields, fn) {
+  return contextStore.run({ ...getContext(), ...fields }, fn);
+}
+
+function getContext() {
+  return contextStore.getStore() || {};
+}
+
+function newCorrelationId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Just the scheme, host and port of a URL - API keys live in its path, query or user info
+ */
+function redactUrl(url) {
+  try {
+    return new URL(url).origin;
+  } catch (_) {
+    return '[redacted]';
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function errorFields(err) {
+  if (err instanceof Error) return { error: err.message, stack: err.stack };
+  if (err !== undefined && err !== null && typeof err !== 'object') return { error: String(err) };
+  return err || {};
+}
+
+// JSON.stringify that doesn't choke on BigInt
+function stringify(entry) {
+  return JSON.stringify(entry, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+}
+
+class RotatingFile {
+  constructor(filePath, { maxBytes, maxFiles }) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.fd = null;
+    this.size = 0;
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  rotate() {
+    this.close();
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.filePath}.${i}`)) fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+    }
+    if (this.maxFiles > 0) fs.renameSync(this.filePath, `${this.filePath}.1`);
+    else fs.unlinkSync(this.filePath);
+    this.open();
+  }
+
+  write(line) {
+    if (this.fd === null) this.open();
+    const bytes = Buffer.byteLength(line);
+    if (this.maxBytes > 0 && this.size > 0 && this.size + bytes > this.maxBytes) this.rotate();
+    fs.writeSync(this.fd, line);
+    this.size += bytes;
+  }
+
+  close() {
+    if (this.fd !== null) fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+class Logger {
+  constructor(options = {}) {
+    this.file = null;
+    this.configure(options);
+  }
+
+  /**
+   * (Re)apply { level, format, file, maxBytes, maxFiles, secrets }. `secrets` is a list of
+   * strings or [secret, replacement] pairs.
+   */
+  configure({ level = 'info', format = 'text', file = null, maxBytes = 10 * 1024 * 1024, maxFiles = 5, secrets = [] } = {}) {
+    if (!LOG_LEVELS.includes(level)) throw new Error(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')}`);
+    if (!LOG_FORMATS.includes(format)) throw new Error(`LOG_FORMAT must be one of: ${LOG_FORMATS.join(', ')}`);
+    this.level = level;
+    this.format = format;
+    this.minLevel = LOG_LEVELS.indexOf(level);
+    if (this.file) this.file.close();
+    this.file = file ? new RotatingFile(file, { maxBytes, maxFiles }) : null;
+    this.secrets = secrets
+      .map(s => (Array.isArray(s) ? s : [s, '[redacted]']))
+      .filter(([secret, replacement]) => secret && secret.length >= 8 && secret !== replacement)
+      .map(([secret, replacement]) => [new RegExp(escapeRegExp(secret), 'gi'), replacement]);
+  }
+
+  redact(text) {
+    let out = text.replace(/([a-z][a-z0-9+.-]*:\/\/)[^/\s:@]+:[^/\s@]+@/gi, '$1[redacted]@'); // user:password@ in any URL
+    for (const [pattern, replacement] of this.secrets) out = out.replace(pattern, replacement);
+    return out;
+  }
+
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) >= this.minLevel;
+  }
+
+  log(level, emoji, msg, fields = {}) {
+    if (!this.enabled(level)) return;
+    const context = getContext();
+    const json = this.writeEntry(level, msg, { ...context, ...fields });
+    const out = level === 'warn' || level === 'error' ? console.error : console.log;
+    if (this.format === 'json') return out(json);
+    const error = fields.error ? ` ${fields.error}` : '';
+    const cid = context.correlationId ? ` [cid:${context.correlationId}]` : '';
+    const stack = fields.stack ? `\n${fields.stack}` : '';
+    out(this.redact(`${emoji ? `${emoji} ` : ''}${msg}${error}${cid}${stack}`));
+  }
+
+  // Append the entry to the log file; returns it as redacted JSON (null when neither json output nor a file needs it)
+  writeEntry(level, msg, fields) {
+    if (this.format !== 'json' && !this.file) return null;
+    const json = this.redact(stringify({ time: new Date().toISOString(), level, msg: String(msg), ...fields }));
+    if (this.file) {
+      try {
+        this.file.write(json + '\n');
+      } catch (e) {
+        this.file = null;
+        console.error(`❌ Log file disabled: ${e?.message || e}`);
+      }
+    }
+    return json;
+  }
+
+  debug(emoji, msg, fields) {
+    this.log('debug', emoji, msg, fields);
+  }
+
+  info(emoji, msg, fields) {
+    this.log('info', emoji, msg, fields);
+  }
+
+  warn(emoji, msg, fields) {
+    this.log('warn', emoji, msg, fields);
+  }
+
+  /**
+   * `err` may be an Error (its message and stack are logged) or extra fields
+   */
+  error(emoji, msg, err) {
+    this.log('error', emoji, msg, errorFields(err));
+  }
+
+  /**
+   * A multi-line report (summaries, the startup banner): the lines as they are in text
+   * mode, one `title` entry carrying `fields` in json mode and in the log file
+   */
+  report(title, lines, fields = {}) {
+    if (!this.enabled('info')) return;
+    const json = this.writeEntry('info', title, { ...getContext(), ...fields });
+    if (this.format === 'json') console.log(json);
+    else for (const line of lines) console.log(this.redact(line));
+  }
+
+  close() {
+    if (this.file) this.file.close();
+  }
+}
+
+// Shared by every module; configured once at startup (configureLogger)
+const logger = new Logger();
+
+/**
+ * Configure the shared logger from LOG_LEVEL, LOG_FORMAT, LOG_FILE, LOG_MAX_BYTES and
+ * LOG_MAX_FILES, redacting PRIVATE_KEY, the control and bot tokens and the credentials in
+ * RPC_URL and the webhook URLs
+ */
+function configureLogger(env = process.env) {
+  const secrets = [env.PRIVATE_KEY, env.CONTROL_TOKEN, env.TELEGRAM_BOT_TOKEN];
+  if (env.PRIVATE_KEY && env.PRIVATE_KEY.startsWith('0x')) secrets.push(env.PRIVATE_KEY.slice(2));
+  for (const url of [env.RPC_URL, env.NOTIFY_WEBHOOK_URL, env.DISCORD_WEBHOOK_URL]) {
+    if (url) secrets.push([url, redactUrl(url)]);
+  }
+  logger.configure({
+    level: env.LOG_LEVEL || 'info',
+    format: env.LOG_FORMAT || 'text',
+    file: env.LOG_FILE || null,
+    maxBytes: parseInt(env.LOG_MAX_BYTES || String(10 * 1024 * 1024), 10),
+    maxFiles: parseInt(env.LOG_MAX_FILES || '5', 10),
+    secrets
+  });
+  return logger;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  Logger,
+  logger,
+  configureLogger,
+  withContext,
+  getContext,
+  newCorrelationId,
+  redactUrl
+};
@@ -0,0 +1,166 @@
+const { ethers } = require('ethers');
+
+/**
+ * Market Filter - Rules on which markets we open positions in
+ *
+ * Driven by the market metadata in the API response. Only new positions and
+ * scale-ins are filtered: exits from markets we already hold always go through.
+ * (Slug allow/deny lists live on the targets, see targets.js, and leave a market out entirely.)
+ *
+ * Rules (each off when empty or unset):
+ *   allowedCategories / deniedCategories  `*` patterns matched against the market's categories and tags
+ *   allowedCollateral / deniedCollateral  collateral token symbols or addresses
+ *   minTimeToExpiryMs / maxTimeToExpiryMs time left until the market expires
+ *   minLiquidity / minVolume              in collateral units (USDC)
+ * A rule passes when the market doesn't carry the data it needs.
+ */
+
+/**
+ * Glob match with `*` wildcards, case-insensitive
+ */
+function matchesPattern(pattern, value) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i').test(value);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Rules from the environment (MARKET_* / *_TIME_TO_EXPIRY_MS); the defaults for every target
+ */
+function loadMarketRules(env = process.env) {
+  return normalizeMarketRules({
+    allowedCategories: env.MARKET_ALLOWED_CATEGORIES,
+    deniedCategories: env.MARKET_DENIED_CATEGORIES,
+    allowedCollateral: env.MARKET_ALLOWED_COLLATERAL,
+    deniedCollateral: env.MARKET_DENIED_COLLATERAL,
+    minTimeToExpiryMs: env.MIN_TIME_TO_EXPIRY_MS,
+    maxTimeToExpiryMs: env.MAX_TIME_TO_EXPIRY_MS,
+    minLiquidity: env.MIN_MARKET_LIQUIDITY_USDC,
+    minVolume: env.MIN_MARKET_VOLUME_USDC
+  });
+}
+
+/**
+ * Parse rules; anything `rules` doesn't set falls back to `defaults`
+ */
+function normalizeMarketRules(rules = {}, defaults = {}) {
+  const pick = (key) => (rules[key] !== undefined ? rules[key] : defaults[key]);
+  return {
+    allowedCategories: toList(pick('allowedCategories')),
+    deniedCategories: toList(pick('deniedCategories')),
+    allowedCollateral: toList(pick('allowedCollateral')),
+    deniedCollateral: toList(pick('deniedCollateral')),
+    minTimeToExpiryMs: toNumber(pick('minTimeToExpiryMs')),
+    maxTimeToExpiryMs: toNumber(pick('maxTimeToExpiryMs')),
+    minLiquidity: toNumber(pick('minLiquidity')),
+    minVolume: toNumber(pick('minVolume'))
+  };
+}
+
+/**
+ * Category and tag names on a market
+ */
+function getMarketTags(market) {
+  const names = [];
+  for (const entry of [...(market?.categories || []), ...(market?.tags || []), market?.category]) {
+    const name = typeof entry === 'object' && entry !== null ? entry.name : entry;
+    if (name) names.push(String(name));
+  }
+  return names;
+}
+
+/**
+ * Expiry time in ms, or null if the market doesn't say
+ */
+function getMarketExpiry(market) {
+  const ts = Number(market?.expirationTimestamp);
+  if (Number.isFinite(ts) && ts > 0) return ts < 1e12 ? ts * 1000 : ts;
+  const parsed = Date.parse(market?.deadline || market?.expirationDate || '');
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * A USDC amount like `liquidity` or `volume`, preferring the API's formatted value
+ */
+function getMarketAmount(market, key) {
+  const formatted = market?.[`${key}Formatted`];
+  if (formatted != null && Number.isFinite(Number(formatted))) return Number(formatted);
+  const raw = market?.[key];
+  if (raw == null || raw === '') return null;
+  if (/^\d+$/.test(String(raw))) return Number(ethers.formatUnits(String(raw), market.collateralToken?.decimals ?? 6));
+  return Number.isFinite(Number(raw)) ? Number(raw) : null;
+}
+
+function formatDuration(ms) {
+  if (ms < 3600000) return `${Math.round(ms / 60000)}m`;
+  if (ms < 86400000) return `${(ms / 3600000).toFixed(1)}h`;
+  return `${(ms / 86400000).toFixed(1)}d`;
+}
+
+/**
+ * Check a market against the rules. Returns { allowed, reason }.
+ */
+function checkMarket(rules, market, now = Date.now()) {
+  if (!rules || !market) return { allowed: true, reason: null };
+  const deny = (reason) => ({ allowed: false, reason });
+
+  const tags = getMarketTags(market);
+  const tagged = (patterns) => patterns.find(p => tags.some(tag => matchesPattern(p, tag)));
+  const denied = tagged(rules.deniedCategories);
+  if (denied) return deny(`Market category matches denied "${denied}"`);
+  if (rules.allowedCategories.length > 0 && !tagged(rules.allowedCategories)) {
+    return deny(`Market category (${tags.join(', ') || 'none'}) is not in the allowed list`);
+  }
+
+  const token = market.collateralToken || {};
+  const ids = [token.symbol, token.address].filter(Boolean).map(s => String(s).toLowerCase());
+  const isCollateral = (list) => list.some(c => ids.includes(c.toLowerCase()));
+  if (ids.length > 0 && isCollateral(rules.deniedCollateral)) {
+    return deny(`Collateral ${token.symbol || token.address} is denied`);
+  }
+  if (ids.length > 0 && rules.allowedCollateral.length > 0 && !isCollateral(rules.allowedCollateral)) {
+    return deny(`Collateral ${token.symbol || token.address} is not in the allowed list`);
+  }
+
+  const expiry = getMarketExpiry(market);
+  if (expiry != null) {
+    const left = expiry - now;
+    if (rules.minTimeToExpiryMs && left < rules.minTimeToExpiryMs) {
+      return deny(`Expires in ${formatDuration(Math.max(left, 0))} (min ${formatDuration(rules.minTimeToExpiryMs)})`);
+    }
+    if (rules.maxTimeToExpiryMs && left > rules.maxTimeToExpiryMs) {
+      return deny(`Expires in ${formatDuration(left)} (max ${formatDuration(rules.maxTimeToExpiryMs)})`);
+    }
+  }
+
+  const liquidity = getMarketAmount(market, 'liquidity');
+  if (rules.minLiquidity && liquidity != null && liquidity < rules.minLiquidity) {
+    return deny(`Liquidity ${liquidity.toFixed(2)} is below ${rules.minLiquidity} USDC`);
+  }
+  const volume = getMarketAmount(market, 'volume');
+  if (rules.minVolume && volume != null && volume < rules.minVolume) {
+    return deny(`Volume ${volume.toFixed(2)} is below ${rules.minVolume} USDC`);
+  }
+
+  return { allowed: true, reason: null };
+}
+
+module.exports = {
+  matchesPattern,
+  loadMarketRules,
+  normalizeMarketRules,
+  getMarketTags,
+  getMarketExpiry,
+  getMarketAmount,
+  checkMarket
+};
@@ -0,0 +1,190 @@
+const http = require('http');
+
+/**
+ * Metrics - A small Prometheus registry and the endpoint that serves it
+ *
+ *   Counter    only goes up: inc(labels, by)
+ *   Gauge      set(labels, value); `collect(gauge)` runs before each scrape to refresh it
+ *   Histogram  observe(labels, value) into cumulative `buckets`, with _sum and _count
+ *
+ * Labels are passed as an object keyed by the metric's `labelNames`; metrics without
+ * labels take the value alone (inc(), set(5), observe(0.2)). render() produces the
+ * Prometheus text exposition format (version 0.0.4).
+ */
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  const present = pairs.filter(([, v]) => v !== undefined && v !== null);
+  return present.length ? `{${present.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label values (JSON) -> { labels, ... }
+  }
+
+  // (labels, value) or just (value) for a metric without labels
+  args(labels, value, fallback) {
+    if (typeof labels === 'number') return [{}, labels];
+    return [labels || {}, value === undefined ? fallback : value];
+  }
+
+  entry(labels, init) {
+    const key = JSON.stringify(this.labelNames.map(n => labels[n] ?? null));
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels: this.labelNames.map(n => [n, labels[n]]), ...init() };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels, by) {
+    const [l, v] = this.args(labels, by, 1);
+    if (!(v >= 0)) return; // counters never go down
+    this.entry(l, () => ({ value: 0 })).value += v;
+  }
+
+  lines() {
+    return Array.from(this.series.values()).map(e => `${this.name}${formatLabels(e.labels)} ${formatValue(e.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor({ collect = null, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    const [l, v] = this.args(labels, value);
+    this.entry(l, () => ({ value: 0 })).value = Number(v);
+  }
+
+  lines() {
+    return Array.from(this.series.values()).map(e => `${this.name}${formatLabels(e.labels)} ${formatValue(e.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const [l, v] = this.args(labels, value);
+    if (!Number.isFinite(v)) return;
+    const entry = this.entry(l, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (v <= le) entry.counts[i]++;
+    });
+    entry.sum += v;
+    entry.count++;
+  }
+
+  lines() {
+    const out = [];
+    for (const e of this.series.values()) {
+      this.buckets.forEach((le, i) => out.push(`${this.name}_bucket${formatLabels([...e.labels, ['le', formatValue(le)]])} ${e.counts[i]}`));
+      out.push(`${this.name}_bucket${formatLabels([...e.labels, ['le', '+Inf']])} ${e.count}`);
+      out.push(`${this.name}_sum${formatLabels(e.labels)} ${formatValue(e.sum)}`);
+      out.push(`${this.name}_count${formatLabels(e.labels)} ${e.count}`);
+    }
+    return out;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  add(metric) {
+    if (this.metrics.some(m => m.name === metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.add(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.add(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.add(new Histogram(options));
+  }
+
+  /**
+   * Every metric in the text exposition format. A gauge whose collect() throws keeps its last values.
+   */
+  async render() {
+    const out = [];
+    for (const metric of this.metrics) {
+      if (metric.collect) {
+        try {
+          await metric.collect(metric);
+        } catch (_) {}
+      }
+      out.push(...metric.header(), ...metric.lines());
+    }
+    return out.join('\n') + '\n';
+  }
+}
+
+/**
+ * An http.Server (not yet listening) that serves `registry` at GET /metrics
+ */
+function createMetricsServer(registry) {
+  return http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found\n');
+    }
+    try {
+      const body = await registry.render();
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(body);
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`${e?.message || e}\n`);
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  createMetricsServer
+};
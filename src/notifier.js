@@ -0,0 +1,253 @@
+const axios = require('axios');
+const { logger } = require('./logger');
+
+/**
+ * Notifier - Sends bot events to webhooks, Telegram and Discord
+ *
+ * Each sink subscribes to a list of events (all by default). Events are queued per
+ * sink and sent in batches: one message per sink every `batchMs`, and no more than
+ * `maxPerMinute` messages a minute - anything over that waits for the next slot and
+ * goes out together. A sink's queue holds at most `maxQueue` events; the oldest are
+ * dropped (and counted in the next message) when it overflows.
+ *
+ * All HTTP goes through `post(url, body)`, which can be swapped out to run without a network.
+ */
+
+const NOTIFY_EVENTS = [
+  'target_opened',   // a target opened a position
+  'target_closed',   // a target closed a position
+  'target_switched', // a target flipped from one outcome to the other
+  'copy_executed',   // we bought or sold
+  'copy_skipped',    // we didn't copy a trade, with the reason
+  'tx_failed',       // a transaction reverted, was dropped or timed out, or an approval failed
+  'low_balance',     // USDC or ETH balance under its threshold
+  'risk_limit',      // a risk limit blocked a copy
+  'daily_digest'     // daily PnL summary
+];
+
+const SEND_ATTEMPTS = 3; // tries per batch before its events are dropped
+
+function parseEvents(value, name) {
+  const list = String(value || '*').split(',').map(s => s.trim()).filter(Boolean);
+  if (list.includes('*') || list.includes('all')) return [...NOTIFY_EVENTS];
+  const unknown = list.filter(e => !NOTIFY_EVENTS.includes(e));
+  if (unknown.length) throw new Error(`${name}: unknown event(s) ${unknown.join(', ')} (use: ${NOTIFY_EVENTS.join(', ')})`);
+  return list;
+}
+
+function truncate(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+// One line per event; events already carry their emoji
+function formatLines(events, dropped) {
+  const lines = events.map(e => e.message);
+  if (dropped > 0) lines.push(`(${dropped} older notification(s) dropped)`);
+  return lines.join('\n');
+}
+
+class WebhookSink {
+  constructor({ url, events = NOTIFY_EVENTS }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.events = events;
+  }
+
+  // The events as JSON, for whatever is listening
+  request(events, dropped) {
+    return {
+      url: this.url,
+      body: {
+        events: events.map(({ event, message, data, at }) => ({ event, message, data, at })),
+        dropped
+      }
+    };
+  }
+}
+
+class TelegramSink {
+  constructor({ botToken, chatId, events = NOTIFY_EVENTS, apiUrl = 'https://api.telegram.org' }) {
+    this.name = 'telegram';
+    this.url = `${apiUrl}/bot${botToken}/sendMessage`;
+    this.chatId = chatId;
+    this.events = events;
+  }
+
+  request(events, dropped) {
+    return {
+      url: this.url,
+      body: { chat_id: this.chatId, text: truncate(formatLines(events, dropped), 4096), disable_web_page_preview: true }
+    };
+  }
+}
+
+class DiscordSink {
+  constructor({ webhookUrl, events = NOTIFY_EVENTS }) {
+    this.name = 'discord';
+    this.url = webhookUrl;
+    this.events = events;
+  }
+
+  request(events, dropped) {
+    return {
+      url: this.url,
+      body: { content: truncate(formatLines(events, dropped), 2000) }
+    };
+  }
+}
+
+class Notifier {
+  constructor({
+    sinks = [],
+    batchMs = 5000,
+    maxPerMinute = 20,
+    maxQueue = 100,
+    post = (url, body) => axios.post(url, body, { timeout: 10000 }),
+    log = (emoji, msg) => logger.warn(emoji, msg)
+  } = {}) {
+    this.sinks = sinks.map(sink => ({ sink, queue: [], dropped: 0, sentAt: [], attempts: 0 }));
+    this.batchMs = batchMs;
+    this.maxPerMinute = Math.max(1, maxPerMinute);
+    this.maxQueue = Math.max(1, maxQueue);
+    this.post = post;
+    this.log = log;
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  get enabled() {
+    return this.sinks.length > 0;
+  }
+
+  /**
+   * Sinks and their events, for the startup log
+   */
+  describe() {
+    if (!this.enabled) return 'none';
+    return this.sinks
+      .map(({ sink }) => `${sink.name} (${sink.events.length === NOTIFY_EVENTS.length ? 'all events' : sink.events.join(', ')})`)
+      .join(', ');
+  }
+
+  /**
+   * Whether any sink listens for `event`
+   */
+  wants(event) {
+    return this.sinks.some(s => s.sink.events.includes(event));
+  }
+
+  /**
+   * Queue an event for every sink subscribed to it
+   */
+  notify(event, message, data = {}) {
+    const entry = { event, message, data, at: new Date().toISOString() };
+    let queued = false;
+    for (const s of this.sinks) {
+      if (!s.sink.events.includes(event)) continue;
+      s.queue.push(entry);
+      if (s.queue.length > this.maxQueue) {
+        s.queue.shift();
+        s.dropped++;
+      }
+      queued = true;
+    }
+    if (queued) this.schedule(this.batchMs);
+  }
+
+  schedule(ms) {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, ms);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Send what's queued, as far as the rate limit allows; the rest is rescheduled
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = Promise.all(this.sinks.map(s => this.flushSink(s))).finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async flushSink(s) {
+    if (s.queue.length === 0) return;
+    const now = Date.now();
+    s.sentAt = s.sentAt.filter(t => now - t < 60000);
+    if (s.sentAt.length >= this.maxPerMinute) {
+      this.schedule(60000 - (now - s.sentAt[0]));
+      return;
+    }
+
+    const events = s.queue.splice(0, s.queue.length);
+    const dropped = s.dropped;
+    s.dropped = 0;
+    s.sentAt.push(now);
+    const { url, body } = s.sink.request(events, dropped);
+    try {
+      await this.post(url, body);
+      s.attempts = 0;
+    } catch (e) {
+      s.attempts++;
+      const status = e?.response?.status ? ` (HTTP ${e.response.status})` : '';
+      if (s.attempts < SEND_ATTEMPTS) {
+        s.queue.unshift(...events);
+        const overflow = Math.max(0, s.queue.length - this.maxQueue);
+        s.queue.splice(0, overflow);
+        s.dropped += dropped + overflow;
+        this.log('📵', `${s.sink.name} notification failed${status}: ${e?.message || e} - retrying`);
+        this.schedule(this.batchMs);
+      } else {
+        s.attempts = 0;
+        this.log('📵', `${s.sink.name} notification failed${status}: ${e?.message || e} - dropped ${events.length} event(s)`);
+      }
+    }
+  }
+
+  /**
+   * Send everything still queued (ignoring the batch delay) and stop
+   */
+  async stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    await this.flush();
+  }
+}
+
+/**
+ * A notifier with the sinks configured in the environment (NOTIFY_WEBHOOK_URL,
+ * TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID, DISCORD_WEBHOOK_URL and their *_EVENTS lists)
+ */
+function loadNotifier(env = process.env, options = {}) {
+  const sinks = [];
+  if (env.NOTIFY_WEBHOOK_URL) {
+    sinks.push(new WebhookSink({ url: env.NOTIFY_WEBHOOK_URL, events: parseEvents(env.NOTIFY_WEBHOOK_EVENTS, 'NOTIFY_WEBHOOK_EVENTS') }));
+  }
+  if (env.TELEGRAM_BOT_TOKEN || env.TELEGRAM_CHAT_ID) {
+    if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_CHAT_ID) throw new Error('TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID are both required');
+    sinks.push(new TelegramSink({ botToken: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID, events: parseEvents(env.TELEGRAM_EVENTS, 'TELEGRAM_EVENTS') }));
+  }
+  if (env.DISCORD_WEBHOOK_URL) {
+    sinks.push(new DiscordSink({ webhookUrl: env.DISCORD_WEBHOOK_URL, events: parseEvents(env.DISCORD_EVENTS, 'DISCORD_EVENTS') }));
+  }
+  return new Notifier({
+    sinks,
+    batchMs: parseInt(env.NOTIFY_BATCH_MS || '5000', 10),
+    maxPerMinute: parseInt(env.NOTIFY_MAX_PER_MINUTE || '20', 10),
+    ...options
+  });
+}
+
+module.exports = {
+  NOTIFY_EVENTS,
+  WebhookSink,
+  TelegramSink,
+  DiscordSink,
+  Notifier,
+  loadNotifier
+};
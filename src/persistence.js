@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Persistence - Crash-safe JSON files and the trade journal
+ *
+ * writeJsonAtomic writes to `<file>.tmp`, fsyncs it and renames it over the file, so a
+ * crash leaves either the old or the new version, never half of one. With `backups`
+ * the previous version is first copied to `<file>.1` (shifting older copies up to
+ * `<file>.<backups>`), at most once every `backupIntervalMs`.
+ *
+ * readJson falls back to the newest readable backup and refuses to continue (throws)
+ * when the file and every backup are unreadable - starting from empty would overwrite
+ * the history on the next save.
+ *
+ * Journal is an append-only JSON lines file: an intent is written (and fsynced) before
+ * a trade is sent and its outcome once the trade is recorded, so after a crash the
+ * intents without an outcome are the trades whose result we never saw.
+ */
+
+const JOURNAL_COMPACT_LINES = 1000; // rewrite the journal once it has this many lines and nothing is in flight
+
+function fsyncDir(dir) {
+  try {
+    const fd = fs.openSync(dir, 'r');
+    try { fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+  } catch (_) {} // not supported everywhere (Windows)
+}
+
+function writeFileDurable(file, content, flags = 'w') {
+  const fd = fs.openSync(file, flags);
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function rotateBackups(file, backups, backupIntervalMs) {
+  if (!fs.existsSync(file)) return;
+  const newest = `${file}.1`;
+  if (backupIntervalMs > 0 && fs.existsSync(newest) && Date.now() - fs.statSync(newest).mtimeMs < backupIntervalMs) return;
+  for (let i = backups - 1; i >= 1; i--) {
+    if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+  }
+  fs.copyFileSync(file, newest);
+}
+
+/**
+ * Replace `file` with `data` as JSON, atomically
+ */
+function writeJsonAtomic(file, data, { backups = 0, backupIntervalMs = 0 } = {}) {
+  const dir = path.dirname(file);
+  fs.mkdirSync(dir, { recursive: true });
+  const tmp = `${file}.tmp`;
+  writeFileDurable(tmp, JSON.stringify(data, null, 2));
+  if (backups > 0) rotateBackups(file, backups, backupIntervalMs);
+  fs.renameSync(tmp, file);
+  fsyncDir(dir);
+}
+
+/**
+ * Parsed contents of `file`, or of its newest readable backup. Returns null if neither
+ * the file nor any backup exists; throws if none of them can be read. When a backup is
+ * used, the corrupt file is kept as `<file>.corrupt-<time>` so the next save doesn't destroy it.
+ */
+function readJson(file, { backups = 0, log = (emoji, msg) => logger.warn(emoji, msg) } = {}) {
+  const candidates = [file];
+  for (let i = 1; i <= backups; i++) candidates.push(`${file}.${i}`);
+  const existing = candidates.filter(f => fs.existsSync(f));
+  if (existing.length === 0) return null;
+
+  let firstError = null;
+  for (const candidate of existing) {
+    try {
+      const data = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+      if (candidate !== file) {
+        const age = Math.round((Date.now() - fs.statSync(candidate).mtimeMs) / 60000);
+        log('🩹', `${file}: restored from backup ${candidate} (${age}m old)`);
+        if (firstError && fs.existsSync(file)) {
+          const kept = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+          fs.renameSync(file, kept);
+          log('🗄️', `Kept the unreadable file as ${kept}`);
+        }
+      }
+      return data;
+    } catch (e) {
+      firstError = firstError || e;
+      log('⚠️', `${candidate} is unreadable: ${e?.message || e}`);
+    }
+  }
+  throw new Error(`${file} is corrupt and no backup could be read (${firstError?.message || firstError}) - restore it or remove it to start fresh`);
+}
+
+class Journal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.open = new Map(); // id -> intent entry without an outcome
+    this.lines = 0;
+    this.seq = 0;
+  }
+
+  /**
+   * Read the journal and return the unfinished intents. The file is rewritten with just
+   * those, which also drops a line torn by a crash mid-append.
+   */
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (_) {
+          continue;
+        }
+        if (entry.phase === 'intent') this.open.set(entry.id, entry);
+        else if (entry.phase === 'outcome') this.open.delete(entry.id);
+      }
+    }
+    this.compact();
+    return this.unfinished();
+  }
+
+  /**
+   * Record that we're about to trade. Returns the intent's id for finish().
+   */
+  begin(intent) {
+    const id = `${Date.now().toString(36)}-${(this.seq++).toString(36)}`;
+    const entry = { id, phase: 'intent', at: new Date().toISOString(), ...intent };
+    this.append(entry);
+    this.open.set(id, entry);
+    return id;
+  }
+
+  /**
+   * Record how an intent ended ({ status, ... })
+   */
+  finish(id, outcome) {
+    if (!this.open.has(id)) return;
+    this.append({ id, phase: 'outcome', at: new Date().toISOString(), ...outcome });
+    this.open.delete(id);
+    if (this.open.size === 0 && this.lines >= JOURNAL_COMPACT_LINES) this.compact();
+  }
+
+  unfinished() {
+    return Array.from(this.open.values());
+  }
+
+  append(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    writeFileDurable(this.filePath, JSON.stringify(entry) + '\n', 'a');
+    this.lines++;
+  }
+
+  /**
+   * Rewrite the journal with only the unfinished intents
+   */
+  compact() {
+    const entries = this.unfinished();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    writeFileDurable(tmp, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.renameSync(tmp, this.filePath);
+    fsyncDir(path.dirname(this.filePath));
+    this.lines = entries.length;
+  }
+}
+
+module.exports = {
+  writeJsonAtomic,
+  readJson,
+  Journal
+};
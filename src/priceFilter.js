@@ -0,0 +1,47 @@
+/**
+ * Price Filter - Whether the price we'd pay to copy a buy is acceptable
+ *
+ * Compares our entry price (the quote) with the target's average entry price and
+ * with absolute price bands. Prices are per outcome token (0-1).
+ *
+ * Settings:
+ *   maxGapPct  how far our price may be above the target's, in %, before the copy
+ *              is skipped or scaled down (0 = off)
+ *   gapAction  'skip', or 'scale' to multiply the bet by targetPrice / ourPrice
+ *   minPrice   never buy below this price (0 = off)
+ *   maxPrice   never buy above this price (1 = off)
+ */
+
+const GAP_ACTIONS = ['skip', 'scale'];
+
+/**
+ * Check an entry price. Returns { allowed, scale, gapPct, reason }; `scale` (<= 1)
+ * is what to multiply the bet by, `reason` explains a skip or a scale-down.
+ * An unknown price is allowed - there is nothing to compare.
+ */
+function checkEntryPrice({ price, targetPrice = null, maxGapPct = 0, gapAction = 'skip', minPrice = 0, maxPrice = 1 }) {
+  if (price == null || !Number.isFinite(price)) return { allowed: true, scale: 1, gapPct: null, reason: null };
+
+  if (maxPrice > 0 && maxPrice < 1 && price > maxPrice) {
+    return { allowed: false, scale: 0, gapPct: null, reason: `Price ${price.toFixed(4)} is above the max entry price ${maxPrice}` };
+  }
+  if (minPrice > 0 && price < minPrice) {
+    return { allowed: false, scale: 0, gapPct: null, reason: `Price ${price.toFixed(4)} is below the min entry price ${minPrice}` };
+  }
+
+  if (!(targetPrice > 0)) return { allowed: true, scale: 1, gapPct: null, reason: null };
+  const gapPct = ((price - targetPrice) / targetPrice) * 100;
+  if (!(maxGapPct > 0) || gapPct <= maxGapPct) return { allowed: true, scale: 1, gapPct, reason: null };
+
+  const gap = `Price ${price.toFixed(4)} is ${gapPct.toFixed(1)}% above the target's entry ${targetPrice.toFixed(4)} (max ${maxGapPct}%)`;
+  if (gapAction === 'scale') {
+    const scale = targetPrice / price;
+    return { allowed: true, scale, gapPct, reason: `${gap} - bet scaled to ${(scale * 100).toFixed(0)}%` };
+  }
+  return { allowed: false, scale: 0, gapPct, reason: gap };
+}
+
+module.exports = {
+  GAP_ACTIONS,
+  checkEntryPrice
+};
@@ -0,0 +1,50 @@
+/**
+ * Reconciler - Where our recorded positions and the chain disagree
+ *
+ * Compares the positions in our state ({ outcomeIndex, tokens } with raw token
+ * amounts) with our actual outcome token balances. Balances at or below `dust`
+ * count as empty, so leftovers from a full sell aren't picked up as positions. `dust`
+ * is one limit for both outcomes or [no, yes], for a market with a known leftover.
+ *
+ * Drift kinds:
+ *   MISSING    we think we hold tokens the wallet doesn't have (sold manually, stale state)
+ *   MISMATCH   we hold the outcome, but a different amount than recorded
+ *   UNTRACKED  the wallet holds tokens we have no position for (manual buy, tx that
+ *              confirmed after a crash)
+ */
+
+const DRIFT_KINDS = ['MISSING', 'MISMATCH', 'UNTRACKED'];
+
+/**
+ * `held` is Map(slug -> { outcomeIndex, tokens }), `balances` is Map(slug -> [no, yes])
+ * as BigInt. Markets missing from `balances` couldn't be read and are left alone.
+ * Returns [{ slug, kind, outcomeIndex, recorded, actual }] with token amounts as BigInt.
+ */
+function findDrift(held, balances, { dust = 0n } = {}) {
+  const [noDust, yesDust] = Array.isArray(dust) ? dust : [dust, dust];
+  const drift = [];
+  for (const [slug, [no, yes]] of balances) {
+    const actual = [no > noDust ? no : 0n, yes > yesDust ? yes : 0n];
+    const pos = held.get(slug);
+
+    if (pos) {
+      const recorded = BigInt(pos.tokens || '0');
+      const have = actual[pos.outcomeIndex];
+      if (have === 0n) drift.push({ slug, kind: 'MISSING', outcomeIndex: pos.outcomeIndex, recorded, actual: 0n });
+      else if (have !== recorded) drift.push({ slug, kind: 'MISMATCH', outcomeIndex: pos.outcomeIndex, recorded, actual: have });
+    }
+
+    for (const outcomeIndex of actual[0] > actual[1] ? [0, 1] : [1, 0]) {
+      if (actual[outcomeIndex] === 0n) continue;
+      if (pos && pos.outcomeIndex === outcomeIndex) continue;
+      // Larger side first: our state holds one position per market, the other is only reported
+      drift.push({ slug, kind: 'UNTRACKED', outcomeIndex, recorded: 0n, actual: actual[outcomeIndex] });
+    }
+  }
+  return drift;
+}
+
+module.exports = {
+  DRIFT_KINDS,
+  findDrift
+};
@@ -0,0 +1,150 @@
+/**
+ * Risk Manager - Account-level limits on opening new positions
+ *
+ * Only opens (new positions and scale-ins) are checked; closes always go through.
+ * Amounts are in USDC. A limit of 0 or null is disabled.
+ *
+ * Limits:
+ *   maxTotalExposure     cost basis across all open positions
+ *   maxMarketExposure    cost basis in a single market
+ *   maxCategoryExposure  cost basis in a single market category
+ *   maxOpenPositions     number of open positions
+ *   dailyLossLimit       loss since the start of the UTC day (realized + unrealized)
+ *   maxDrawdown          loss from the peak total PnL (realized + unrealized)
+ *   lossStreakLimit      consecutive losing sells that trigger a cooldown of lossCooldownMs
+ */
+
+function isLimit(value) {
+  return Number.isFinite(value) && value > 0;
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Category of a market from the API, for per-category exposure
+ */
+function getMarketCategory(market) {
+  const category = Array.isArray(market?.categories) ? market.categories[0] : market?.category;
+  const name = typeof category === 'object' && category !== null ? category.name : category;
+  return name ? String(name) : 'uncategorized';
+}
+
+class RiskManager {
+  constructor({
+    maxTotalExposure = null,
+    maxMarketExposure = null,
+    maxCategoryExposure = null,
+    maxOpenPositions = null,
+    dailyLossLimit = null,
+    maxDrawdown = null,
+    lossStreakLimit = null,
+    lossCooldownMs = 0
+  } = {}) {
+    this.limits = {
+      maxTotalExposure,
+      maxMarketExposure,
+      maxCategoryExposure,
+      maxOpenPositions,
+      dailyLossLimit,
+      maxDrawdown,
+      lossStreakLimit,
+      lossCooldownMs
+    };
+    this.peakPnL = null;
+    this.day = null;
+    this.dayStartPnL = null;
+  }
+
+  /**
+   * Restore the PnL high-water mark and day start from saved state
+   */
+  load(state) {
+    if (!state) return;
+    this.peakPnL = state.peakPnL ?? null;
+    this.day = state.day ?? null;
+    this.dayStartPnL = state.dayStartPnL ?? null;
+  }
+
+  toJSON() {
+    return { peakPnL: this.peakPnL, day: this.day, dayStartPnL: this.dayStartPnL };
+  }
+
+  /**
+   * Track the peak and the start-of-day value of total PnL. Call it whenever PnL
+   * moves (marks, sells); checkOpen only samples it when an open comes along.
+   */
+  updatePnL(totalPnL, now = Date.now()) {
+    const day = utcDay(now);
+    if (this.day !== day) {
+      this.day = day;
+      this.dayStartPnL = totalPnL;
+    }
+    if (this.peakPnL === null || totalPnL > this.peakPnL) this.peakPnL = totalPnL;
+  }
+
+  /**
+   * Whether opening `amount` USDC in `slug` is allowed.
+   * `positions` are our open positions as [{ slug, category, amount }].
+   * Returns { allowed, reason }.
+   */
+  checkOpen({ slug, category, amount, positions = [], totalPnL = 0, lossStreak = null, now = Date.now() }) {
+    const l = this.limits;
+    this.updatePnL(totalPnL, now);
+
+    if (isLimit(l.dailyLossLimit)) {
+      const dailyPnL = totalPnL - this.dayStartPnL;
+      if (dailyPnL <= -l.dailyLossLimit) {
+        return { allowed: false, reason: `Daily loss limit hit: ${dailyPnL.toFixed(2)} USDC today (limit -${l.dailyLossLimit})` };
+      }
+    }
+
+    if (isLimit(l.maxDrawdown)) {
+      const drawdown = this.peakPnL - totalPnL;
+      if (drawdown >= l.maxDrawdown) {
+        return { allowed: false, reason: `Max drawdown hit: ${drawdown.toFixed(2)} USDC below peak PnL (limit ${l.maxDrawdown})` };
+      }
+    }
+
+    if (isLimit(l.lossStreakLimit) && lossStreak && lossStreak.count >= l.lossStreakLimit && lossStreak.lastLossAt) {
+      const resumeAt = new Date(lossStreak.lastLossAt).getTime() + (l.lossCooldownMs || 0);
+      if (now < resumeAt) {
+        return { allowed: false, reason: `Cooling down after ${lossStreak.count} consecutive losses until ${new Date(resumeAt).toISOString()}` };
+      }
+    }
+
+    const isNewPosition = !positions.some(p => p.slug === slug);
+    if (isLimit(l.maxOpenPositions) && isNewPosition && positions.length >= l.maxOpenPositions) {
+      return { allowed: false, reason: `Max open positions reached (${positions.length}/${l.maxOpenPositions})` };
+    }
+
+    if (isLimit(l.maxTotalExposure)) {
+      const total = positions.reduce((sum, p) => sum + p.amount, 0);
+      if (total + amount > l.maxTotalExposure) {
+        return { allowed: false, reason: `Max total exposure: ${total.toFixed(2)} + ${amount.toFixed(2)} USDC > ${l.maxTotalExposure}` };
+      }
+    }
+
+    if (isLimit(l.maxMarketExposure)) {
+      const inMarket = positions.filter(p => p.slug === slug).reduce((sum, p) => sum + p.amount, 0);
+      if (inMarket + amount > l.maxMarketExposure) {
+        return { allowed: false, reason: `Max market exposure: ${inMarket.toFixed(2)} + ${amount.toFixed(2)} USDC > ${l.maxMarketExposure} in ${slug}` };
+      }
+    }
+
+    if (isLimit(l.maxCategoryExposure)) {
+      const inCategory = positions.filter(p => p.category === category).reduce((sum, p) => sum + p.amount, 0);
+      if (inCategory + amount > l.maxCategoryExposure) {
+        return { allowed: false, reason: `Max category exposure: ${inCategory.toFixed(2)} + ${amount.toFixed(2)} USDC > ${l.maxCategoryExposure} in ${category}` };
+      }
+    }
+
+    return { allowed: true, reason: null };
+  }
+}
+
+module.exports = {
+  RiskManager,
+  getMarketCategory
+};
@@ -0,0 +1,130 @@
+/**
+ * Bet Sizing - Decides how much USDC to spend when copying a target's trade
+ *
+ * Modes:
+ *   fixed        - always spend FIXED_BET_USDC
+ *   proportional - target's cost * multiplier
+ *   bankroll     - a percentage of our own USDC balance
+ *   portfolio    - the target's portfolio share for this trade, applied to our bankroll
+ */
+
+const SIZING_MODES = ['fixed', 'proportional', 'bankroll', 'portfolio'];
+
+/**
+ * Convert a raw collateral amount (string/bigint) to a USDC number
+ */
+function toUsdc(raw, decimals = 6) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) return null;
+  return n / 10 ** decimals;
+}
+
+/**
+ * Latest price (0-1) for an outcome from an API position, if present
+ */
+function getLatestPrice(position, outcomeIndex) {
+  const key = outcomeIndex === 0 ? 'latestNoPrice' : 'latestYesPrice';
+  const price = Number(position?.latestTrade?.[key]);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+/**
+ * Target's cost for an outcome in USDC, read from `positions.yes/no.cost`
+ */
+function getTargetCost(position, outcomeIndex) {
+  const side = outcomeIndex === 0 ? 'no' : 'yes';
+  const decimals = position?.market?.collateralToken?.decimals ?? 6;
+  const cost = toUsdc(position?.positions?.[side]?.cost, decimals);
+  return cost !== null && cost > 0 ? cost : null;
+}
+
+/**
+ * Target's average entry price for an outcome (cost / tokens held), or null
+ */
+function getTargetEntryPrice(position, outcomeIndex) {
+  const side = outcomeIndex === 0 ? 'no' : 'yes';
+  const decimals = position?.market?.collateralToken?.decimals ?? 6;
+  const cost = getTargetCost(position, outcomeIndex);
+  const tokens = toUsdc(position?.tokensBalance?.[side], decimals);
+  return cost !== null && tokens > 0 ? cost / tokens : null;
+}
+
+/**
+ * Estimate what the target spent on a token amount when the API has no cost.
+ * Falls back to the token amount itself, which is an upper bound (price <= 1).
+ */
+function estimateCostFromTokens(position, outcomeIndex, tokens) {
+  const decimals = position?.market?.collateralToken?.decimals ?? 6;
+  const tokenAmount = toUsdc(tokens, decimals);
+  if (tokenAmount === null || tokenAmount <= 0) return null;
+  const price = getLatestPrice(position, outcomeIndex);
+  return price !== null ? tokenAmount * price : tokenAmount;
+}
+
+/**
+ * Total cost across all of the target's positions in USDC. Sides the API has no
+ * cost for are estimated from their tokens, as the cost of a trade on them is.
+ */
+function getPortfolioValue(positions) {
+  let total = 0;
+  for (const pos of positions || []) {
+    for (const [outcomeIndex, side] of [[0, 'no'], [1, 'yes']]) {
+      total += getTargetCost(pos, outcomeIndex) ?? estimateCostFromTokens(pos, outcomeIndex, pos?.tokensBalance?.[side]) ?? 0;
+    }
+  }
+  return total;
+}
+
+/**
+ * Compute our bet size in USDC, clamped to [minBet, maxBet].
+ *
+ * When the chosen mode has nothing to size from (no target cost, no bankroll)
+ * the bet falls back to minBet.
+ */
+function computeBetSize({
+  mode = 'proportional',
+  targetCost = null,
+  targetPortfolioValue = null,
+  bankroll = null,
+  multiplier = 1.0,
+  fixedAmount = null,
+  bankrollPct = 0,
+  minBet,
+  maxBet
+}) {
+  let size = null;
+
+  switch (mode) {
+    case 'fixed':
+      size = fixedAmount;
+      break;
+    case 'proportional':
+      if (targetCost !== null) size = targetCost * multiplier;
+      break;
+    case 'bankroll':
+      if (bankroll !== null) size = bankroll * (bankrollPct / 100);
+      break;
+    case 'portfolio':
+      // A trade can't be more than the whole portfolio; an estimated cost can say otherwise
+      if (targetCost !== null && targetPortfolioValue > 0 && bankroll !== null) {
+        size = Math.min(1, targetCost / targetPortfolioValue) * bankroll * multiplier;
+      }
+      break;
+    default:
+      throw new Error(`Unknown sizing mode: ${mode}`);
+  }
+
+  if (size === null || !Number.isFinite(size)) size = minBet;
+  return Math.max(minBet, Math.min(maxBet, size));
+}
+
+module.exports = {
+  SIZING_MODES,
+  getLatestPrice,
+  getTargetCost,
+  getTargetEntryPrice,
+  estimateCostFromTokens,
+  getPortfolioValue,
+  computeBetSize
+};
@@ -0,0 +1,326 @@
+const { getTargetCost, getTargetEntryPrice, estimateCostFromTokens, getLatestPrice } = require('./sizing');
+const { checkMarket } = require('./marketFilter');
+
+/**
+ * Strategy - How a change in the target's position maps to what we copy
+ *
+ * Shared by the live bot, the simulator and the backtester so all react to the same moves.
+ * Positions are API-shaped ({ market, tokensBalance, positions, latestTrade });
+ * a "last seen" snapshot is { outcomeIndex, tokensBalance, cost }.
+ *
+ * Change types:
+ *   NONE      nothing to copy (no position, or a move below the scale threshold)
+ *   OPEN      target opened a position we haven't seen
+ *   CLOSE     target no longer holds the position we saw
+ *   SWITCH    target flipped from one outcome to the other
+ *   INCREASE  target added more than the threshold to the same outcome
+ *   REDUCE    target sold more than the threshold of the same outcome
+ *
+ * The engine (planPosition / planActions) turns those changes into the actions we
+ * take, given what we hold. It is pure: executors carry the actions out.
+ *
+ * Actions ({ type, slug, market, target, outcomeIndex, ... }):
+ *   OPEN    buy `outcomeIndex`; `action` is NEW_POSITION or INCREASE_POSITION, sized
+ *           from `targetCost` / `targetPortfolioValue`; `targetPrice` is the
+ *           target's average entry price
+ *   CLOSE   sell all of our `outcomeIndex` position; `force` skips the owner check
+ *   REDUCE  sell `fraction` of our `outcomeIndex` position
+ *   SETTLE  the market resolved - redeem or write off our position
+ *   SKIP    a move we deliberately don't copy, with a `reason`
+ * OPEN, CLOSE and REDUCE carry the target's latest `price` for the outcome, if known.
+ */
+
+/**
+ * Outcome the target holds and its token balance; the larger side if it holds both
+ */
+function getHeldOutcome(tokensBalance) {
+  if (!tokensBalance) return null;
+  const yes = BigInt(tokensBalance.yes || '0');
+  const no = BigInt(tokensBalance.no || '0');
+  if (yes === 0n && no === 0n) return null;
+  return yes > no ? { outcomeIndex: 1, balance: yes } : { outcomeIndex: 0, balance: no };
+}
+
+/**
+ * Compare the target's current position with the last seen snapshot.
+ *
+ * Returns { type, outcomeIndex, previousOutcomeIndex, balance, changePercent,
+ * fraction, targetCost, seen } where `targetCost` is what the target spent on
+ * the part we'd copy (USDC) and `seen` is the snapshot to remember next.
+ */
+function classifyChange(lastSeen, position, { scaleThresholdPct = 10 } = {}) {
+  const held = getHeldOutcome(position?.tokensBalance);
+
+  if (!held) {
+    return lastSeen
+      ? { type: 'CLOSE', outcomeIndex: lastSeen.outcomeIndex, previousOutcomeIndex: lastSeen.outcomeIndex, seen: null }
+      : { type: 'NONE', seen: null };
+  }
+
+  const { outcomeIndex, balance } = held;
+  const cost = getTargetCost(position, outcomeIndex);
+  const seen = { outcomeIndex, tokensBalance: balance.toString(), cost };
+  const fullCost = cost ?? estimateCostFromTokens(position, outcomeIndex, balance);
+
+  if (!lastSeen) {
+    return { type: 'OPEN', outcomeIndex, balance, targetCost: fullCost, seen };
+  }
+  if (lastSeen.outcomeIndex !== outcomeIndex) {
+    return { type: 'SWITCH', outcomeIndex, previousOutcomeIndex: lastSeen.outcomeIndex, balance, targetCost: fullCost, seen };
+  }
+
+  // Same side - smaller moves keep the old baseline so they accumulate until they cross the threshold
+  const lastBalance = BigInt(lastSeen.tokensBalance || '0');
+  const change = balance - lastBalance;
+  const changePercent = lastBalance > 0n ? Number((change * 10000n) / lastBalance) / 100 : 0;
+
+  if (changePercent > scaleThresholdPct) {
+    const deltaCost = cost != null && lastSeen.cost != null ? cost - lastSeen.cost : null;
+    return {
+      type: 'INCREASE',
+      outcomeIndex,
+      balance,
+      changePercent,
+      targetCost: deltaCost != null && deltaCost > 0 ? deltaCost : estimateCostFromTokens(position, outcomeIndex, change),
+      seen
+    };
+  }
+  if (changePercent < -scaleThresholdPct) {
+    return {
+      type: 'REDUCE',
+      outcomeIndex,
+      balance,
+      changePercent,
+      fraction: Number(lastBalance - balance) / Number(lastBalance),
+      seen
+    };
+  }
+  return { type: 'NONE', outcomeIndex, balance, changePercent, seen: lastSeen };
+}
+
+/**
+ * Apply an on-chain trade ({ side, outcomeIndex, collateralAmount, tokens }) to the
+ * last seen snapshot, producing an API-shaped position
+ */
+function buildPositionFromTrade(market, lastSeen, trade) {
+  const decimals = market.collateralToken?.decimals ?? 6;
+  const balances = [0n, 0n];
+  const costs = [null, null];
+  if (lastSeen) {
+    balances[lastSeen.outcomeIndex] = BigInt(lastSeen.tokensBalance || '0');
+    costs[lastSeen.outcomeIndex] = lastSeen.cost ?? null;
+  }
+
+  const i = trade.outcomeIndex;
+  const before = balances[i];
+  const amount = Number(trade.collateralAmount) / 10 ** decimals;
+  const tokens = BigInt(trade.tokens);
+
+  if (trade.side === 'BUY') {
+    balances[i] = before + tokens;
+    costs[i] = before === 0n ? amount : (costs[i] != null ? costs[i] + amount : null);
+  } else {
+    balances[i] = before > tokens ? before - tokens : 0n;
+    costs[i] = costs[i] != null && before > 0n ? costs[i] * Number(balances[i]) / Number(before) : null;
+  }
+
+  const toRaw = (c) => (c != null ? String(Math.round(c * 10 ** decimals)) : null);
+  const price = getTradePrice(trade, decimals);
+
+  return {
+    market,
+    tokensBalance: { no: balances[0].toString(), yes: balances[1].toString() },
+    positions: { no: { cost: toRaw(costs[0]) }, yes: { cost: toRaw(costs[1]) } },
+    latestTrade: i === 0 ? { latestNoPrice: price } : { latestYesPrice: price }
+  };
+}
+
+/**
+ * Effective price per outcome token of a trade (collateral / tokens, fees included)
+ */
+function getTradePrice(trade, decimals = 6) {
+  const tokens = Number(trade.tokens) / 10 ** decimals;
+  const amount = Number(trade.collateralAmount) / 10 ** decimals;
+  return tokens > 0 ? amount / tokens : null;
+}
+
+/**
+ * Latest price of an outcome, or 1 - the other side's if only that one is known
+ */
+function getOutcomePrice(position, outcomeIndex) {
+  const price = getLatestPrice(position, outcomeIndex);
+  if (price != null) return price;
+  const other = getLatestPrice(position, 1 - outcomeIndex);
+  return other != null ? 1 - other : null;
+}
+
+function isMarketResolved(market) {
+  return market?.status === 'RESOLVED' || Boolean(market?.closed);
+}
+
+/**
+ * Plan what to do about one of the target's positions.
+ *
+ * `ourPosition` is what we hold in the market ({ outcomeIndex, sourceWallet }) or
+ * null. On the initial sync, positions the target already had are only recorded.
+ * Opens in markets the target's `marketRules` reject (as of `now`) are skipped.
+ * Returns { change, actions, seen } where `seen` is the snapshot to remember next
+ * (null to forget the market).
+ */
+function planPosition({
+  target = null,
+  position,
+  lastSeen = null,
+  ourPosition = null,
+  isInitialSync = false,
+  scaleThresholdPct = 10,
+  conflictPolicy = 'keep-first',
+  targetPortfolioValue = null,
+  now = Date.now()
+}) {
+  const market = position.market;
+  const base = { slug: market.slug, market, target };
+  const label = (o) => (o === 0 ? 'NO' : 'YES');
+
+  // Resolved markets are settled, never traded
+  if (isMarketResolved(market)) {
+    const actions = ourPosition ? [{ ...base, type: 'SETTLE', outcomeIndex: ourPosition.outcomeIndex }] : [];
+    return { change: { type: 'RESOLVED', seen: null }, actions, seen: null };
+  }
+  if (!position.tokensBalance) {
+    return { change: { type: 'NONE', seen: lastSeen }, actions: [], seen: lastSeen };
+  }
+
+  const change = classifyChange(lastSeen, position, { scaleThresholdPct });
+  const actions = [];
+  let held = ourPosition; // what we hold once the actions so far have run
+  const ownedByTarget = (pos) => !pos.sourceWallet || !target || pos.sourceWallet === target.key;
+
+  const skip = (outcomeIndex, reason) => actions.push({ ...base, type: 'SKIP', outcomeIndex, reason });
+  const close = (outcomeIndex, reason = null, force = false) => {
+    actions.push({ ...base, type: 'CLOSE', outcomeIndex, price: getOutcomePrice(position, outcomeIndex), reason, force });
+    held = null;
+  };
+
+  const exit = (outcomeIndex, fraction) => {
+    if (!held || held.outcomeIndex !== outcomeIndex) {
+      return skip(outcomeIndex, `No matching position to ${fraction >= 1 ? 'close' : 'reduce'}`);
+    }
+    if (!ownedByTarget(held)) return skip(outcomeIndex, 'Position was opened for another target - not mirroring this exit');
+    if (fraction >= 1) return close(outcomeIndex);
+    actions.push({ ...base, type: 'REDUCE', outcomeIndex, fraction, price: getOutcomePrice(position, outcomeIndex) });
+  };
+
+  const open = (outcomeIndex, action) => {
+    if (action === 'INCREASE_POSITION' && !(held && held.outcomeIndex === outcomeIndex && ownedByTarget(held))) {
+      return skip(outcomeIndex, 'No matching position to scale into');
+    }
+    const rules = checkMarket(target?.marketRules, market, now);
+    if (!rules.allowed) return skip(outcomeIndex, `Market filter: ${rules.reason}`);
+    if (held && !ownedByTarget(held)) {
+      if (held.outcomeIndex === outcomeIndex) {
+        return skip(outcomeIndex, `Already holding ${label(outcomeIndex)} via ${held.sourceWallet} - not adding`);
+      }
+      // Two targets on opposite sides of the same market
+      if (conflictPolicy === 'keep-first') {
+        return skip(outcomeIndex, `Conflicts with ${held.sourceWallet}'s ${label(held.outcomeIndex)} position (policy: keep-first)`);
+      }
+      close(held.outcomeIndex, `Conflict with ${target?.label || 'another target'} (${conflictPolicy})`, true);
+      if (conflictPolicy === 'exit') return;
+    } else if (held && held.outcomeIndex !== outcomeIndex) {
+      // We still hold the side the target left (a missed close)
+      close(held.outcomeIndex, `Target now holds ${label(outcomeIndex)}`);
+    }
+    actions.push({
+      ...base,
+      type: 'OPEN',
+      outcomeIndex,
+      action,
+      targetCost: change.targetCost ?? null,
+      targetPortfolioValue,
+      targetPrice: getTargetEntryPrice(position, outcomeIndex),
+      price: getOutcomePrice(position, outcomeIndex)
+    });
+  };
+
+  switch (change.type) {
+    case 'OPEN':
+      if (!isInitialSync) open(change.outcomeIndex, 'NEW_POSITION');
+      break;
+    case 'SWITCH':
+      exit(change.previousOutcomeIndex, 1);
+      open(change.outcomeIndex, 'NEW_POSITION');
+      break;
+    case 'INCREASE':
+      open(change.outcomeIndex, 'INCREASE_POSITION');
+      break;
+    case 'REDUCE':
+      exit(change.outcomeIndex, change.fraction);
+      break;
+    case 'CLOSE':
+      exit(change.outcomeIndex, 1);
+      break;
+    default:
+      break;
+  }
+
+  return { change, actions, seen: change.seen };
+}
+
+/**
+ * Plan a whole snapshot of the target's positions against the previous one.
+ *
+ * `previous` is the last seen Map (slug -> snapshot) and `ourPositions` ours
+ * (slug -> { outcomeIndex, sourceWallet }). Markets in `previous` that the target
+ * no longer lists are treated as closed; an empty snapshot is treated as missing
+ * data, not as the target exiting everything. `filter(slug)` leaves markets out.
+ * Returns { plans: [{ slug, position, change, actions, seen }], actions, seen } with
+ * `seen` the last seen Map to keep.
+ */
+function planActions({
+  target = null,
+  previous = new Map(),
+  current = [],
+  ourPositions = new Map(),
+  filter = () => true,
+  ...options
+}) {
+  const plans = [];
+  const seen = new Map(previous);
+  const listed = new Set();
+
+  const plan = (position) => {
+    const slug = position.market.slug;
+    const result = planPosition({ ...options, target, position, lastSeen: previous.get(slug) || null, ourPosition: ourPositions.get(slug) || null });
+    if (result.seen) seen.set(slug, result.seen);
+    else seen.delete(slug);
+    plans.push({ slug, position, change: result.change, actions: result.actions, seen: result.seen });
+  };
+
+  for (const position of current) {
+    const slug = position?.market?.slug;
+    if (!slug || !filter(slug)) continue;
+    listed.add(slug);
+    plan(position);
+  }
+
+  if (current.length > 0) {
+    for (const slug of previous.keys()) {
+      if (listed.has(slug) || !filter(slug)) continue;
+      plan({ market: { slug }, tokensBalance: { yes: '0', no: '0' } });
+    }
+  }
+
+  return { plans, actions: plans.flatMap(p => p.actions), seen };
+}
+
+module.exports = {
+  getHeldOutcome,
+  classifyChange,
+  getOutcomePrice,
+  isMarketResolved,
+  planPosition,
+  planActions,
+  buildPositionFromTrade,
+  getTradePrice
+};
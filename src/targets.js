@@ -0,0 +1,105 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { matchesPattern, normalizeMarketRules } = require('./marketFilter');
+
+/**
+ * Targets - The wallets we copy and their per-wallet settings
+ *
+ * Loaded from TARGETS_FILE (JSON array), the config file's `targets:` list or, failing
+ * those, TARGET_WALLETS / TARGET_WALLET. Anything a target doesn't set falls back to its
+ * `profile` (see config.js), then to the global config.
+ *
+ * TARGETS_FILE example:
+ * [
+ *   { "address": "0x...", "label": "whale", "betMultiplier": 0.5, "maxBetUsdc": 50,
+ *     "allowedMarkets": ["dollarbtc-*", "dollareth-*"] },
+ *   { "address": "0x...", "label": "macro", "marketRules": { "deniedCategories": ["Sports"],
+ *     "minTimeToExpiryMs": 600000 } },
+ *   { "address": "0x...", "label": "scalper", "profile": "aggressive" },
+ *   { "address": "0x...", "label": "degen", "enabled": false }
+ * ]
+ */
+
+const CONFLICT_POLICIES = ['keep-first', 'follow-latest', 'exit'];
+
+/**
+ * Fill in one target's settings from its profile and the defaults. Throws on an
+ * invalid address, an unknown profile or a setting that isn't a number.
+ */
+function normalizeTarget(raw, globalDefaults, index, profiles = {}) {
+  const entry = typeof raw === 'string' ? { address: raw } : (raw || {});
+  if (!entry.address || !ethers.isAddress(entry.address)) {
+    throw new Error(`Target #${index + 1} has an invalid address: ${entry.address}`);
+  }
+  const address = ethers.getAddress(entry.address);
+  if (entry.profile && !profiles[entry.profile]) {
+    throw new Error(`Target #${index + 1} has an unknown profile: ${entry.profile} (use: ${Object.keys(profiles).join(', ') || 'none defined'})`);
+  }
+  const defaults = entry.profile ? profiles[entry.profile] : globalDefaults;
+
+  const toNumber = (key, fallback) => {
+    const value = entry[key];
+    if (value === undefined || value === null || value === '') return fallback;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Target #${index + 1} ${key} must be a number >= 0 (got ${JSON.stringify(value)})`);
+    return n;
+  };
+
+  return {
+    address,
+    key: address.toLowerCase(),
+    label: entry.label || `${address.slice(0, 6)}…${address.slice(-4)}`,
+    enabled: entry.enabled !== false,
+    profile: entry.profile || null,
+    sizingMode: entry.sizingMode || defaults.sizingMode,
+    multiplier: toNumber('betMultiplier', defaults.multiplier),
+    minBet: toNumber('minBetUsdc', defaults.minBet),
+    maxBet: toNumber('maxBetUsdc', defaults.maxBet),
+    fixedAmount: toNumber('fixedBetUsdc', defaults.fixedAmount),
+    bankrollPct: toNumber('bankrollPct', defaults.bankrollPct),
+    allowedMarkets: Array.isArray(entry.allowedMarkets) ? entry.allowedMarkets : (defaults.allowedMarkets || []),
+    deniedMarkets: Array.isArray(entry.deniedMarkets) ? entry.deniedMarkets : (defaults.deniedMarkets || []),
+    marketRules: normalizeMarketRules(entry.marketRules || {}, defaults.marketRules || {})
+  };
+}
+
+/**
+ * Load all configured targets (enabled or not). `targets` is a list already read (the
+ * config file's); `profiles` maps profile names to defaults like `defaults`.
+ */
+function loadTargets({ targetsFile, targets: listed = null, targetWallets, defaults, profiles = {} }) {
+  let rawTargets;
+  if (targetsFile) {
+    const parsed = JSON.parse(fs.readFileSync(targetsFile, 'utf8'));
+    rawTargets = Array.isArray(parsed) ? parsed : parsed.targets;
+    if (!Array.isArray(rawTargets)) throw new Error(`${targetsFile} must contain an array of targets`);
+  } else if (listed) {
+    rawTargets = listed;
+  } else {
+    rawTargets = String(targetWallets || '').split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  const targets = rawTargets.map((t, i) => normalizeTarget(t, defaults, i, profiles));
+  const seen = new Set();
+  for (const t of targets) {
+    if (seen.has(t.key)) throw new Error(`Duplicate target ${t.address}`);
+    seen.add(t.key);
+  }
+  return targets;
+}
+
+/**
+ * Whether a target's market filters allow copying this market
+ */
+function isMarketAllowedForTarget(target, slug) {
+  if (target.deniedMarkets.some(p => matchesPattern(p, slug))) return false;
+  if (target.allowedMarkets.length === 0) return true;
+  return target.allowedMarkets.some(p => matchesPattern(p, slug));
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  loadTargets,
+  matchesPattern,
+  isMarketAllowedForTarget
+};
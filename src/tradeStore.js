@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./persistence');
+const { logger } = require('./logger');
+
+/**
+ * Trade Store - Where TradeTracker keeps its trades
+ *
+ *   JsonTradeStore    every trade in one JSON file, rewritten (atomically) on each save
+ *   SqliteTradeStore  one row per trade in a SQLite database (better-sqlite3), written as
+ *                     trades change; the first run imports an existing JSON trades file
+ *
+ * Both are synchronous and share one interface:
+ *   load()          -> the persisted stats, or null for a new store
+ *   insert(trade)   update(trade)   get(id)   batch(fn)   save(stats)   close()
+ *   query(filter)   count(filter)
+ *
+ * A filter takes { type, status, marketSlug, sourceWallet, outcome, from, to, order, limit,
+ * offset }; `type` and `status` may be lists, `from`/`to` are inclusive bounds on the
+ * trade timestamp (Date, ISO string or ms; a date-only `to` takes in the whole day) and
+ * `order` is 'asc' (oldest first, the default) or 'desc'.
+ */
+
+const TRADE_STORES = ['json', 'sqlite'];
+
+// `endOfDay` turns a date-only value (2024-05-01) into the last moment of that UTC day
+function toIso(value, { endOfDay = false } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const dayEnd = endOfDay && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = value instanceof Date ? value
+    : new Date(dayEnd ? `${value}T23:59:59.999Z` : typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+  return date.toISOString();
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+function matchesFilter(trade, filter) {
+  const types = toList(filter.type);
+  const statuses = toList(filter.status);
+  const from = toIso(filter.from);
+  const to = toIso(filter.to, { endOfDay: true });
+  if (types && !types.includes(trade.type)) return false;
+  if (statuses && !statuses.includes(trade.status)) return false;
+  if (filter.marketSlug && trade.marketSlug !== filter.marketSlug) return false;
+  if (filter.sourceWallet && (trade.sourceWallet || '').toLowerCase() !== filter.sourceWallet.toLowerCase()) return false;
+  if (filter.outcome !== undefined && filter.outcome !== null && trade.outcome !== filter.outcome) return false;
+  if (from && trade.timestamp < from) return false;
+  if (to && trade.timestamp > to) return false;
+  return true;
+}
+
+class JsonTradeStore {
+  constructor(filePath, { backups = 0, backupIntervalMs = 0 } = {}) {
+    this.filePath = filePath;
+    this.backupOptions = { backups, backupIntervalMs };
+    this.keepsStats = true; // the file carries the full stats, so they're recomputed on every save
+    this.trades = [];
+    this.byId = new Map();
+  }
+
+  load() {
+    const data = readJson(this.filePath, { backups: this.backupOptions.backups });
+    if (!data) return null;
+    this.trades = data.trades || [];
+    this.byId = new Map(this.trades.map(t => [t.id, t]));
+    return data.stats || {};
+  }
+
+  insert(trade) {
+    this.trades.push(trade);
+    this.byId.set(trade.id, trade);
+  }
+
+  update(trade) {
+    const current = this.byId.get(trade.id);
+    if (!current) return false;
+    if (current !== trade) Object.assign(current, trade);
+    return true;
+  }
+
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  query(filter = {}) {
+    let trades = this.trades.filter(t => matchesFilter(t, filter));
+    if (filter.order === 'desc') trades.reverse();
+    const offset = filter.offset || 0;
+    if (offset || filter.limit != null) trades = trades.slice(offset, filter.limit != null ? offset + filter.limit : undefined);
+    return trades;
+  }
+
+  count(filter = {}) {
+    return this.trades.filter(t => matchesFilter(t, filter)).length;
+  }
+
+  batch(fn) {
+    return fn();
+  }
+
+  save(stats) {
+    writeJsonAtomic(this.filePath, { trades: this.trades, stats, version: '1.0' }, this.backupOptions);
+  }
+
+  close() {}
+}
+
+class SqliteTradeStore {
+  /**
+   * `migrateFrom` is a JSON trades file imported into a new, empty database
+   */
+  constructor(dbPath, { migrateFrom = null, backups = 0 } = {}) {
+    this.dbPath = dbPath;
+    this.migrateFrom = migrateFrom;
+    this.backups = backups; // for reading the JSON file's backups during migration
+    this.keepsStats = false; // stats are computed when asked; only the cash balance and last mark are kept
+    this.db = null;
+  }
+
+  load() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (e) {
+      throw new Error(`TRADE_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${e?.message || e}`);
+    }
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL'); // the trade log is our tax record: a commit survives a power cut
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS trades (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        type TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        market_slug TEXT,
+        source_wallet TEXT,
+        outcome INTEGER,
+        status TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS trades_timestamp ON trades (timestamp);
+      CREATE INDEX IF NOT EXISTS trades_market ON trades (market_slug, outcome);
+      CREATE INDEX IF NOT EXISTS trades_source ON trades (source_wallet);
+      CREATE INDEX IF NOT EXISTS trades_type_status ON trades (type, status);
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    `);
+    this.statements = {
+      insert: this.db.prepare(`INSERT INTO trades (id, type, timestamp, market_slug, source_wallet, outcome, status, data)
+        VALUES (@id, @type, @timestamp, @marketSlug, @sourceWallet, @outcome, @status, @data)`),
+      update: this.db.prepare(`UPDATE trades SET type = @type, timestamp = @timestamp, market_slug = @marketSlug,
+        source_wallet = @sourceWallet, outcome = @outcome, status = @status, data = @data WHERE id = @id`),
+      get: this.db.prepare('SELECT data FROM trades WHERE id = ?'),
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    };
+
+    if (this.migrateFrom && !this.getMeta('migratedFrom') && this.count() === 0) this.migrate();
+    return this.getMeta('stats');
+  }
+
+  /**
+   * One-time import of the JSON trades file; the file itself is left in place
+   */
+  migrate() {
+    const data = readJson(this.migrateFrom, { backups: this.backups });
+    if (!data) return;
+    const trades = data.trades || [];
+    this.batch(() => {
+      for (const trade of trades) this.insert(trade);
+      if (data.stats) this.save(data.stats);
+      this.setMeta('migratedFrom', this.migrateFrom);
+    });
+    logger.info('📦', `Migrated ${trades.length} trade records from ${this.migrateFrom} to ${this.dbPath}`);
+  }
+
+  row(trade) {
+    return {
+      id: trade.id,
+      type: trade.type,
+      timestamp: trade.timestamp,
+      marketSlug: trade.marketSlug ?? null,
+      sourceWallet: trade.sourceWallet ? trade.sourceWallet.toLowerCase() : null,
+      outcome: trade.outcome ?? null,
+      status: trade.status ?? null,
+      data: JSON.stringify(trade)
+    };
+  }
+
+  insert(trade) {
+    this.statements.insert.run(this.row(trade));
+  }
+
+  update(trade) {
+    return this.statements.update.run(this.row(trade)).changes > 0;
+  }
+
+  get(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  where(filter) {
+    const clauses = [];
+    const params = [];
+    const list = (column, value) => {
+      const values = toList(value);
+      if (!values) return;
+      clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    };
+    list('type', filter.type);
+    list('status', filter.status);
+    if (filter.marketSlug) { clauses.push('market_slug = ?'); params.push(filter.marketSlug); }
+    if (filter.sourceWallet) { clauses.push('source_wallet = ?'); params.push(filter.sourceWallet.toLowerCase()); }
+    if (filter.outcome !== undefined && filter.outcome !== null) { clauses.push('outcome = ?'); params.push(filter.outcome); }
+    const from = toIso(filter.from);
+    const to = toIso(filter.to, { endOfDay: true });
+    if (from) { clauses.push('timestamp >= ?'); params.push(from); }
+    if (to) { clauses.push('timestamp <= ?'); params.push(to); }
+    return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  query(filter = {}) {
+    const { sql, params } = this.where(filter);
+    let paging = '';
+    if (filter.limit != null || filter.offset) {
+      paging = ' LIMIT ? OFFSET ?';
+      params.push(filter.limit != null ? filter.limit : -1, filter.offset || 0);
+    }
+    const order = filter.order === 'desc' ? 'DESC' : 'ASC';
+    return this.db.prepare(`SELECT data FROM trades ${sql} ORDER BY seq ${order}${paging}`).all(...params).map(r => JSON.parse(r.data));
+  }
+
+  count(filter = {}) {
+    const { sql, params } = this.where(filter);
+    return this.db.prepare(`SELECT COUNT(*) AS n FROM trades ${sql}`).get(...params).n;
+  }
+
+  batch(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  save(stats) {
+    this.setMeta('stats', { cashBalance: stats?.cashBalance ?? null, lastMarkedAt: stats?.lastMarkedAt ?? null });
+  }
+
+  getMeta(key) {
+    const row = this.statements.getMeta.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, JSON.stringify(value));
+  }
+
+  close() {
+    if (this.db) this.db.close();
+    this.db = null;
+  }
+}
+
+/**
+ * The store for TRADE_STORE: `json` keeps `filePath`, `sqlite` keeps `dbPath` and imports
+ * `filePath` on its first run
+ */
+function createTradeStore(type, { filePath, dbPath, backups = 0, backupIntervalMs = 0 }) {
+  if (type === 'sqlite') return new SqliteTradeStore(dbPath, { migrateFrom: filePath, backups });
+  return new JsonTradeStore(filePath, { backups, backupIntervalMs });
+}
+
+module.exports = {
+  TRADE_STORES,
+  JsonTradeStore,
+  SqliteTradeStore,
+  createTradeStore,
+  toIso
+};
@@ -1,20 +1,47 @@
 const fs = require('fs');
 const path = require('path');
+const { JsonTradeStore } = require('./tradeStore');
+const { logger, getContext } = require('./logger');
+
+/**
+ * Parse a raw amount to BigInt, tolerating float strings (e.g. from the simulator)
+ */
+function toBigInt(value) {
+  try {
+    return BigInt(value || '0');
+  } catch (_) {
+    const n = Number(value);
+    return Number.isFinite(n) ? BigInt(Math.round(n)) : 0n;
+  }
+}
 
 /**
  * Trade Tracker - Persists all trade activity and performance metrics
+ *
+ * Trades live in a store (see tradeStore.js): the JSON file at `filePath` by default,
+ * or the one passed as `store`. Trades read from the store are changed through
+ * store.update(), so both kinds of store see every change. `onRecord(trade)` is called
+ * for every trade recorded (BUY, SELL, SKIP, RECONCILE).
  */
 class TradeTracker {
-  constructor(filePath = 'data/trades.json') {
+  constructor(filePath = 'data/trades.json', { backups = 0, backupIntervalMs = 0, store = null, onRecord = () => {}, decimals = 6 } = {}) {
     this.filePath = filePath;
-    this.trades = [];
+    this.store = store || new JsonTradeStore(filePath, { backups, backupIntervalMs });
+    this.onRecord = onRecord;
+    this.decimals = decimals; // of the collateral the stats' raw totals are in
     this.stats = {
       totalTrades: 0,
       totalBuys: 0,
       totalSells: 0,
       totalInvested: '0',
       totalReturned: '0',
+      realizedPnL: '0',
+      unrealizedPnL: '0',
       totalPnL: '0',
+      openValue: '0',
+      cashBalance: null,
+      equity: null,
+      lastMarkedAt: null,
       activePositions: 0,
       closedPositions: 0,
       winRate: 0,
@@ -24,58 +51,34 @@ class TradeTracker {
   }
 
   /**
-   * Load trades from file
+   * Load trades from the store. The JSON store falls back to its newest readable backup
+   * and throws rather than starting empty when nothing can be read: the next save would
+   * overwrite the history.
    */
   load() {
-    try {
-      if (!fs.existsSync(this.filePath)) {
-        this.ensureDir();
-        this.save();
-        return;
-      }
-
-      const raw = fs.readFileSync(this.filePath, 'utf8');
-      const data = JSON.parse(raw);
+    const stats = this.store.load();
+    if (!stats) {
+      this.save();
+      return;
+    }
 
-      this.trades = data.trades || [];
-      this.stats = data.stats || this.stats;
+    this.stats = { ...this.stats, ...stats };
 
-      console.log(`📂 Loaded ${this.trades.length} trade records`);
-    } catch (e) {
-      console.warn('⚠️ Failed to load trade tracker:', e?.message || e);
-    }
+    logger.info('📂', `Loaded ${this.store.count()} trade records`);
   }
 
   /**
-   * Save trades to file
+   * Save trades and stats (the JSON file atomically, see persistence.js)
    */
   save() {
     try {
-      this.ensureDir();
-      this.updateStats();
-
-      const data = {
-        trades: this.trades,
-        stats: this.stats,
-        version: '1.0'
-      };
-
-      fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+      if (this.store.keepsStats) this.updateStats();
+      this.store.save(this.stats);
     } catch (e) {
-      console.warn('⚠️ Failed to save trade tracker:', e?.message || e);
+      logger.error('❌', 'Failed to save trade tracker:', e);
     }
   }
 
-  /**
-   * Ensure directory exists
-   */
-  ensureDir() {
-    try {
-      const dir = path.dirname(this.filePath);
-      fs.mkdirSync(dir, { recursive: true });
-    } catch (_) {}
-  }
-
   /**
    * Record a BUY trade
    */
@@ -102,12 +105,17 @@ class TradeTracker {
       minTokens: data.minTokens || null,
       actualTokensReceived: data.actualTokensReceived || null,
 
-      // Transaction
+      // Transaction (AMM) or order (CLOB)
+      venue: data.venue || 'AMM',
       txHash: data.txHash || null,
+      orderId: data.orderId || null,
       gasUsed: data.gasUsed || null,
       gasPrice: data.gasPrice || null,
 
       // Metadata
+      sourceWallet: data.sourceWallet || null, // target wallet this trade copies
+      sourceLabel: data.sourceLabel || null,
+      correlationId: data.correlationId || getContext().correlationId || null, // ties the record to its log lines
       targetWalletAction: data.targetWalletAction || 'NEW_POSITION',
       replicationReason: data.replicationReason || 'Target opened position',
 
@@ -118,7 +126,9 @@ class TradeTracker {
       // PnL tracking
       entryPrice: data.entryPrice || null,
       currentPrice: null,
+      currentValue: null,
       unrealizedPnL: null,
+      markedAt: null,
       realizedPnL: null,
 
       // Collateral
@@ -131,10 +141,11 @@ class TradeTracker {
       exitPrice: null
     };
 
-    this.trades.push(trade);
+    this.store.insert(trade);
     this.save();
 
-    console.log(`✅ Recorded BUY: ${trade.id} - ${trade.marketSlug} ${trade.outcomeLabel} for ${trade.investmentAmountFormatted}`);
+    logger.info('✅', `Recorded BUY: ${trade.id} - ${trade.marketSlug} ${trade.outcomeLabel} for ${trade.investmentAmountFormatted}`, { tradeId: trade.id, txHash: trade.txHash });
+    this.onRecord(trade);
     return trade.id;
   }
 
@@ -163,17 +174,26 @@ class TradeTracker {
       returnAmountFormatted: data.returnAmountFormatted || null,
       actualReturnReceived: data.actualReturnReceived || null,
 
-      // Transaction
+      // Transaction (AMM) or order (CLOB)
+      venue: data.venue || 'AMM',
       txHash: data.txHash || null,
+      orderId: data.orderId || null,
       gasUsed: data.gasUsed || null,
       gasPrice: data.gasPrice || null,
 
       // Metadata
+      sourceWallet: data.sourceWallet || null,
+      sourceLabel: data.sourceLabel || null,
+      correlationId: data.correlationId || getContext().correlationId || null,
       targetWalletAction: data.targetWalletAction || 'CLOSE_POSITION',
       replicationReason: data.replicationReason || 'Target closed position',
 
-      // Reference to original buy
+      // Reference to original buy(s)
       relatedBuyTradeId: data.relatedBuyTradeId || null,
+      relatedBuyTradeIds: data.relatedBuyTradeIds || (data.relatedBuyTradeId ? [data.relatedBuyTradeId] : []),
+      partial: data.partial || false,
+      leftoverTokens: data.leftoverTokens || null, // quote dust a full close left in the wallet
+      collateralDecimals: data.collateralDecimals || 6,
 
       // PnL
       investedAmount: data.investedAmount || null,
@@ -181,40 +201,33 @@ class TradeTracker {
       pnlPercentage: data.pnlPercentage || null,
 
       // Exit info
-      exitPrice: data.exitPrice || null,
+      exitPrice: data.exitPrice ?? null,
 
       status: 'CLOSED'
     };
 
-    this.trades.push(trade);
+    // Fall back to matching open buys by market slug and outcome
+    if (trade.relatedBuyTradeIds.length === 0) {
+      trade.relatedBuyTradeIds = this.findOpenBuys(data.marketSlug, data.outcome).map(t => t.id);
+      trade.relatedBuyTradeId = trade.relatedBuyTradeIds[0] || null;
+    }
+
+    this.store.batch(() => {
+      this.store.insert(trade);
 
-    // Update the related buy trade if found
-    if (data.relatedBuyTradeId) {
-      this.closeTrade(data.relatedBuyTradeId, {
+      // Attribute PnL to the related buys; a full exit also closes them
+      this.allocateRealizedPnL(trade.relatedBuyTradeIds, data.pnlAmount, {
+        close: !trade.partial,
         closedAt: trade.timestamp,
         closeTxHash: trade.txHash,
-        exitPrice: trade.exitPrice,
-        realizedPnL: data.pnlAmount,
-        status: 'CLOSED'
+        exitPrice: trade.exitPrice
       });
-    } else {
-      // Try to find matching buy by market slug and outcome
-      const relatedBuy = this.findOpenBuy(data.marketSlug, data.outcome);
-      if (relatedBuy) {
-        this.closeTrade(relatedBuy.id, {
-          closedAt: trade.timestamp,
-          closeTxHash: trade.txHash,
-          exitPrice: trade.exitPrice,
-          realizedPnL: data.pnlAmount,
-          status: 'CLOSED'
-        });
-        trade.relatedBuyTradeId = relatedBuy.id;
-      }
-    }
+    });
 
     this.save();
 
-    console.log(`✅ Recorded SELL: ${trade.id} - ${trade.marketSlug} ${trade.outcomeLabel} for ${trade.returnAmountFormatted}`);
+    logger.info('✅', `Recorded SELL: ${trade.id} - ${trade.marketSlug} ${trade.outcomeLabel} for ${trade.returnAmountFormatted}`, { tradeId: trade.id, txHash: trade.txHash });
+    this.onRecord(trade);
     return trade.id;
   }
 
@@ -222,13 +235,14 @@ class TradeTracker {
    * Update a trade (e.g., when it gets filled)
    */
   updateTrade(tradeId, updates) {
-    const trade = this.trades.find(t => t.id === tradeId);
+    const trade = this.store.get(tradeId);
     if (!trade) {
-      console.warn(`⚠️ Trade ${tradeId} not found`);
+      logger.warn('⚠️', `Trade ${tradeId} not found`);
       return false;
     }
 
     Object.assign(trade, updates);
+    this.store.update(trade);
     this.save();
     return true;
   }
@@ -237,9 +251,9 @@ class TradeTracker {
    * Close a trade (mark as closed and update PnL)
    */
   closeTrade(tradeId, closeData) {
-    const trade = this.trades.find(t => t.id === tradeId);
+    const trade = this.store.get(tradeId);
     if (!trade) {
-      console.warn(`⚠️ Trade ${tradeId} not found`);
+      logger.warn('⚠️', `Trade ${tradeId} not found`);
       return false;
     }
 
@@ -249,56 +263,279 @@ class TradeTracker {
     trade.exitPrice = closeData.exitPrice || null;
     trade.realizedPnL = closeData.realizedPnL || null;
 
+    this.store.update(trade);
     this.save();
     return true;
   }
 
+  /**
+   * Record a trade we decided not to copy (e.g. blocked by a risk limit).
+   * Skips are kept for the audit trail and excluded from stats.
+   */
+  recordSkip(data) {
+    const trade = {
+      id: this.generateTradeId(),
+      type: 'SKIP',
+      timestamp: new Date().toISOString(),
+
+      // Market info
+      marketSlug: data.marketSlug,
+      marketTitle: data.marketTitle || null,
+      marketAddress: data.marketAddress || null,
+
+      // What we would have done
+      outcome: data.outcome,
+      outcomeLabel: data.outcome === 0 ? 'NO' : 'YES',
+      investmentAmount: data.investmentAmount || null,
+      investmentAmountFormatted: data.investmentAmountFormatted || null,
+      entryPrice: data.entryPrice ?? null, // our quote, for price filter skips
+      targetEntryPrice: data.targetEntryPrice ?? null,
+
+      // Metadata
+      sourceWallet: data.sourceWallet || null,
+      sourceLabel: data.sourceLabel || null,
+      correlationId: data.correlationId || getContext().correlationId || null,
+      targetWalletAction: data.targetWalletAction || 'NEW_POSITION',
+      skipReason: data.skipReason || null,
+
+      status: 'SKIPPED'
+    };
+
+    this.store.insert(trade);
+    this.save();
+
+    logger.info('⏭️', `Recorded SKIP: ${trade.id} - ${trade.marketSlug} ${trade.outcomeLabel}: ${trade.skipReason}`, { tradeId: trade.id });
+    this.onRecord(trade);
+    return trade.id;
+  }
+
+  /**
+   * Record a difference reconciliation found between our state and the wallet.
+   * Kept for the audit trail and excluded from stats.
+   */
+  recordReconcile(data) {
+    const trade = {
+      id: this.generateTradeId(),
+      type: 'RECONCILE',
+      timestamp: new Date().toISOString(),
+
+      // Market info
+      marketSlug: data.marketSlug,
+      marketTitle: data.marketTitle || null,
+      marketAddress: data.marketAddress || null,
+
+      // What differed
+      outcome: data.outcome,
+      outcomeLabel: data.outcome === 0 ? 'NO' : 'YES',
+      drift: data.drift, // MISSING | MISMATCH | UNTRACKED
+      recordedTokens: data.recordedTokens ?? null,
+      actualTokens: data.actualTokens ?? null,
+      resolution: data.resolution || null,
+      journalIntentId: data.journalIntentId || null, // the unfinished trade it was put down to
+      correlationId: data.correlationId || getContext().correlationId || null,
+
+      status: 'RECONCILED'
+    };
+
+    this.store.insert(trade);
+    this.save();
+    this.onRecord(trade);
+    return trade.id;
+  }
+
+  /**
+   * Close open buys whose tokens left the wallet without a sell we recorded.
+   * What they returned is unknown, so no PnL is added.
+   */
+  closeUnrecorded(tradeIds, reason) {
+    const closedAt = new Date().toISOString();
+    this.store.batch(() => {
+      for (const id of tradeIds) {
+        const buy = this.store.get(id);
+        if (!buy || buy.status !== 'OPEN') continue;
+        buy.status = 'CLOSED';
+        buy.closedAt = closedAt;
+        buy.closeReason = reason;
+        buy.currentValue = null;
+        buy.unrealizedPnL = null;
+        this.store.update(buy);
+      }
+    });
+    this.save();
+  }
+
+  /**
+   * Split realized PnL across buys pro-rata by investment, adding to any PnL
+   * already realized by earlier partial sells. Closes the buys when requested.
+   */
+  allocateRealizedPnL(tradeIds, pnlAmount, { close = false, closedAt = null, closeTxHash = null, exitPrice = null } = {}) {
+    const buys = tradeIds.map(id => this.store.get(id)).filter(Boolean);
+    if (buys.length === 0) return;
+
+    const pnl = toBigInt(pnlAmount);
+    const weights = buys.map(b => toBigInt(b.investmentAmount));
+    const totalWeight = weights.reduce((a, w) => a + w, 0n);
+
+    buys.forEach((buy, i) => {
+      const share = totalWeight > 0n ? (pnl * weights[i]) / totalWeight : pnl / BigInt(buys.length);
+      buy.realizedPnL = (toBigInt(buy.realizedPnL) + share).toString();
+
+      if (close) {
+        buy.status = 'CLOSED';
+        buy.closedAt = closedAt || new Date().toISOString();
+        buy.closeTxHash = closeTxHash;
+        buy.exitPrice = exitPrice;
+        buy.currentValue = null;
+        buy.unrealizedPnL = null;
+      }
+      this.store.update(buy);
+    });
+  }
+
   /**
    * Find an open buy trade for a market/outcome
    */
   findOpenBuy(marketSlug, outcome) {
-    return this.trades.find(t =>
-      t.type === 'BUY' &&
-      t.marketSlug === marketSlug &&
-      t.outcome === outcome &&
-      t.status === 'OPEN'
-    );
+    return this.store.query({ type: 'BUY', marketSlug, outcome, status: 'OPEN', limit: 1 })[0];
+  }
+
+  /**
+   * Find all open buy trades (initial fill plus scale-ins) for a market/outcome
+   */
+  findOpenBuys(marketSlug, outcome) {
+    return this.store.query({ type: 'BUY', marketSlug, outcome, status: 'OPEN' });
+  }
+
+  /**
+   * Trades matching a filter, oldest first (see tradeStore.js for the filter fields)
+   */
+  queryTrades(filter = {}) {
+    return this.store.query(filter);
+  }
+
+  /**
+   * One page of the trades matching a filter: { trades, total, page, pageSize, pages }.
+   * Pages count from 1; `order` defaults to newest first.
+   */
+  getTradesPage({ page = 1, pageSize = 50, order = 'desc', ...filter } = {}) {
+    const size = Math.max(1, Math.floor(pageSize));
+    const current = Math.max(1, Math.floor(page));
+    const total = this.store.count(filter);
+    const trades = this.store.query({ ...filter, order, limit: size, offset: (current - 1) * size });
+    return { trades, total, page: current, pageSize: size, pages: Math.ceil(total / size) };
+  }
+
+  /**
+   * Get all trades between two times (inclusive; Date, ISO string or ms)
+   */
+  getTradesByDateRange(from, to) {
+    return this.store.query({ from, to });
+  }
+
+  /**
+   * Get all trades copied from a target wallet
+   */
+  getTradesByTarget(sourceWallet) {
+    return this.store.query({ sourceWallet });
   }
 
   /**
    * Get all trades for a specific market
    */
   getTradesByMarket(marketSlug) {
-    return this.trades.filter(t => t.marketSlug === marketSlug);
+    return this.store.query({ marketSlug });
+  }
+
+  /**
+   * Get all trades with a status (OPEN, CLOSED, SKIPPED, RECONCILED)
+   */
+  getTradesByStatus(status) {
+    return this.store.query({ status });
   }
 
   /**
    * Get all open positions
    */
   getOpenPositions() {
-    return this.trades.filter(t => t.type === 'BUY' && t.status === 'OPEN');
+    return this.store.query({ type: 'BUY', status: 'OPEN' });
   }
 
   /**
    * Get all closed positions
    */
   getClosedPositions() {
-    return this.trades.filter(t => t.type === 'BUY' && t.status === 'CLOSED');
+    return this.store.query({ type: 'BUY', status: 'CLOSED' });
   }
 
   /**
    * Get recent trades (last N)
    */
   getRecentTrades(count = 10) {
-    return this.trades.slice(-count).reverse();
+    return this.store.query({ order: 'desc', limit: count });
+  }
+
+  /**
+   * Mark an open position to market. `value` is what the remaining tokens are worth
+   * and `costBasis` what they cost (raw collateral units); both are split across the
+   * position's open buys pro-rata by investment.
+   */
+  markPosition(tradeIds, { price = null, value, costBasis, markedAt = new Date().toISOString() }) {
+    const buys = tradeIds.map(id => this.store.get(id)).filter(b => b && b.status === 'OPEN');
+    if (buys.length === 0) return;
+
+    const total = toBigInt(value);
+    const cost = toBigInt(costBasis);
+    const weights = buys.map(b => toBigInt(b.investmentAmount));
+    const totalWeight = weights.reduce((a, w) => a + w, 0n);
+
+    buys.forEach((buy, i) => {
+      const share = (amount) => totalWeight > 0n ? (amount * weights[i]) / totalWeight : amount / BigInt(buys.length);
+      buy.currentPrice = price;
+      buy.currentValue = share(total).toString();
+      buy.unrealizedPnL = (share(total) - share(cost)).toString();
+      buy.markedAt = markedAt;
+    });
+    this.store.batch(() => buys.forEach(buy => this.store.update(buy)));
+  }
+
+  /**
+   * Finish a mark-to-market pass: record the wallet's cash balance and save
+   */
+  completeMark(cashBalance = null) {
+    this.stats.cashBalance = cashBalance != null ? cashBalance.toString() : null;
+    this.stats.lastMarkedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Realized PnL (raw collateral units) across all sells
+   */
+  getRealizedPnL() {
+    return this.store.query({ type: 'SELL' })
+      .reduce((sum, t) => sum + toBigInt(t.pnlAmount), 0n);
+  }
+
+  /**
+   * Consecutive losing sells, counted back from the latest sell
+   */
+  getLossStreak() {
+    let count = 0;
+    let lastLossAt = null;
+    for (const sell of this.store.query({ type: 'SELL', order: 'desc' })) {
+      if (toBigInt(sell.pnlAmount) >= 0n) break;
+      if (!lastLossAt) lastLossAt = sell.timestamp;
+      count++;
+    }
+    return { count, lastLossAt };
   }
 
   /**
    * Update statistics
    */
   updateStats() {
-    const buys = this.trades.filter(t => t.type === 'BUY');
-    const sells = this.trades.filter(t => t.type === 'SELL');
+    const trades = this.store.query({ type: ['BUY', 'SELL'] });
+    const buys = trades.filter(t => t.type === 'BUY');
+    const sells = trades.filter(t => t.type === 'SELL');
     const openPositions = buys.filter(t => t.status === 'OPEN');
     const closedPositions = buys.filter(t => t.status === 'CLOSED');
 
@@ -326,7 +563,15 @@ class TradeTracker {
       }
     }
 
-    const totalPnL = totalReturned - totalInvested;
+    const realizedPnL = sells.reduce((sum, t) => sum + toBigInt(t.pnlAmount), 0n);
+    let unrealizedPnL = 0n;
+    let openValue = 0n;
+    for (const buy of openPositions) {
+      unrealizedPnL += toBigInt(buy.unrealizedPnL);
+      openValue += toBigInt(buy.currentValue);
+    }
+    const totalPnL = realizedPnL + unrealizedPnL;
+    const cashBalance = this.stats.cashBalance ?? null;
 
     // Win rate (closed positions that are profitable)
     const profitableClosedTrades = closedPositions.filter(t => {
@@ -343,12 +588,18 @@ class TradeTracker {
       : 0;
 
     this.stats = {
-      totalTrades: this.trades.length,
+      totalTrades: buys.length + sells.length,
       totalBuys: buys.length,
       totalSells: sells.length,
       totalInvested: totalInvested.toString(),
       totalReturned: totalReturned.toString(),
+      realizedPnL: realizedPnL.toString(),
+      unrealizedPnL: unrealizedPnL.toString(),
       totalPnL: totalPnL.toString(),
+      openValue: openValue.toString(),
+      cashBalance,
+      equity: cashBalance != null ? (toBigInt(cashBalance) + openValue).toString() : null,
+      lastMarkedAt: this.stats.lastMarkedAt ?? null,
       activePositions: openPositions.length,
       closedPositions: closedPositions.length,
       winRate: winRate.toFixed(2),
@@ -356,6 +607,69 @@ class TradeTracker {
     };
   }
 
+  /**
+   * Statistics broken down by source (target) wallet
+   */
+  getStatsByTarget() {
+    const byTarget = {};
+    for (const t of this.store.query({ type: ['BUY', 'SELL'] })) {
+      const key = t.sourceWallet ? t.sourceWallet.toLowerCase() : 'unattributed';
+      if (!byTarget[key]) {
+        byTarget[key] = {
+          wallet: t.sourceWallet || null,
+          label: null,
+          buys: 0,
+          sells: 0,
+          invested: 0n,
+          returned: 0n,
+          realized: 0n,
+          unrealized: 0n,
+          activePositions: 0,
+          closedPositions: 0,
+          wins: 0
+        };
+      }
+      const entry = byTarget[key];
+      if (t.sourceLabel) entry.label = t.sourceLabel;
+
+      if (t.type === 'BUY') {
+        entry.buys++;
+        entry.invested += toBigInt(t.investmentAmount);
+        entry.realized += toBigInt(t.realizedPnL);
+        if (t.status === 'OPEN') {
+          entry.activePositions++;
+          entry.unrealized += toBigInt(t.unrealizedPnL);
+        }
+        if (t.status === 'CLOSED') {
+          entry.closedPositions++;
+          if (toBigInt(t.realizedPnL) > 0n) entry.wins++;
+        }
+      } else if (t.type === 'SELL') {
+        entry.sells++;
+        entry.returned += toBigInt(t.actualReturnReceived || t.returnAmount);
+      }
+    }
+
+    const result = {};
+    for (const [key, e] of Object.entries(byTarget)) {
+      result[key] = {
+        wallet: e.wallet,
+        label: e.label || (e.wallet ? e.wallet : 'unattributed'),
+        buys: e.buys,
+        sells: e.sells,
+        totalInvested: e.invested.toString(),
+        totalReturned: e.returned.toString(),
+        realizedPnL: e.realized.toString(),
+        unrealizedPnL: e.unrealized.toString(),
+        totalPnL: (e.realized + e.unrealized).toString(),
+        activePositions: e.activePositions,
+        closedPositions: e.closedPositions,
+        winRate: e.closedPositions > 0 ? (e.wins / e.closedPositions * 100).toFixed(2) : '0.00'
+      };
+    }
+    return result;
+  }
+
   /**
    * Get statistics
    */
@@ -365,62 +679,77 @@ class TradeTracker {
   }
 
   /**
-   * Print summary to console
+   * Print summary (one `Trade summary` entry with the stats in JSON logs)
    */
   printSummary() {
     this.updateStats();
 
-    console.log('\n' + '='.repeat(60));
-    console.log('📊 TRADE TRACKER SUMMARY');
-    console.log('='.repeat(60));
-    console.log(`Total Trades:      ${this.stats.totalTrades}`);
-    console.log(`  - Buys:          ${this.stats.totalBuys}`);
-    console.log(`  - Sells:         ${this.stats.totalSells}`);
-    console.log(`Active Positions:  ${this.stats.activePositions}`);
-    console.log(`Closed Positions:  ${this.stats.closedPositions}`);
-    console.log(`Win Rate:          ${this.stats.winRate}%`);
+    const lines = [];
+    lines.push('\n' + '='.repeat(60));
+    lines.push('📊 TRADE TRACKER SUMMARY');
+    lines.push('='.repeat(60));
+    lines.push(`Total Trades:      ${this.stats.totalTrades}`);
+    lines.push(`  - Buys:          ${this.stats.totalBuys}`);
+    lines.push(`  - Sells:         ${this.stats.totalSells}`);
+    lines.push(`Active Positions:  ${this.stats.activePositions}`);
+    lines.push(`Closed Positions:  ${this.stats.closedPositions}`);
+    lines.push(`Win Rate:          ${this.stats.winRate}%`);
 
     try {
-      const invested = BigInt(this.stats.totalInvested);
-      const returned = BigInt(this.stats.totalReturned);
-      const pnl = BigInt(this.stats.totalPnL);
-
-      // Format assuming 6 decimals (USDC)
-      const investedFormatted = (Number(invested) / 1e6).toFixed(2);
-      const returnedFormatted = (Number(returned) / 1e6).toFixed(2);
-      const pnlFormatted = (Number(pnl) / 1e6).toFixed(2);
-      const pnlSign = pnl >= 0n ? '+' : '';
-
-      console.log(`Total Invested:    ${pnlSign}${investedFormatted} USDC`);
-      console.log(`Total Returned:    ${pnlSign}${returnedFormatted} USDC`);
-      console.log(`Total PnL:         ${pnlSign}${pnlFormatted} USDC`);
+      // Raw totals are at the collateral's decimals
+      const usdc = (raw) => (Number(BigInt(raw)) / 10 ** this.decimals).toFixed(2);
+      const signed = (raw) => `${BigInt(raw) >= 0n ? '+' : ''}${usdc(raw)}`;
+
+      lines.push(`Total Invested:    ${usdc(this.stats.totalInvested)} USDC`);
+      lines.push(`Total Returned:    ${usdc(this.stats.totalReturned)} USDC`);
+      lines.push(`Realized PnL:      ${signed(this.stats.realizedPnL)} USDC`);
+      lines.push(`Unrealized PnL:    ${signed(this.stats.unrealizedPnL)} USDC`);
+      lines.push(`Total PnL:         ${signed(this.stats.totalPnL)} USDC`);
+      lines.push(`Open Value:        ${usdc(this.stats.openValue)} USDC${this.stats.lastMarkedAt ? ` (marked ${this.stats.lastMarkedAt})` : ''}`);
+      if (this.stats.equity != null) {
+        lines.push(`Equity:            ${usdc(this.stats.equity)} USDC (cash ${usdc(this.stats.cashBalance)} + open positions)`);
+      }
     } catch (_) {
-      console.log(`Total Invested:    ${this.stats.totalInvested} (raw)`);
-      console.log(`Total Returned:    ${this.stats.totalReturned} (raw)`);
-      console.log(`Total PnL:         ${this.stats.totalPnL} (raw)`);
+      lines.push(`Total Invested:    ${this.stats.totalInvested} (raw)`);
+      lines.push(`Total Returned:    ${this.stats.totalReturned} (raw)`);
+      lines.push(`Total PnL:         ${this.stats.totalPnL} (raw)`);
+    }
+
+    const byTarget = Object.values(this.getStatsByTarget());
+    if (byTarget.length > 1 || (byTarget.length === 1 && byTarget[0].wallet)) {
+      lines.push('-'.repeat(60));
+      lines.push('Per Target:');
+      for (const t of byTarget) {
+        const pnl = (Number(t.totalPnL) / 10 ** this.decimals).toFixed(2);
+        const unrealized = (Number(t.unrealizedPnL) / 10 ** this.decimals).toFixed(2);
+        const invested = (Number(t.totalInvested) / 10 ** this.decimals).toFixed(2);
+        lines.push(`  ${t.label}: ${t.buys} buys / ${t.sells} sells, ${t.activePositions} open, invested ${invested} USDC, PnL ${Number(pnl) >= 0 ? '+' : ''}${pnl} USDC (unrealized ${unrealized}), win rate ${t.winRate}%`);
+      }
     }
 
-    console.log(`Last Updated:      ${this.stats.lastUpdated}`);
-    console.log('='.repeat(60) + '\n');
+    lines.push(`Last Updated:      ${this.stats.lastUpdated}`);
+    lines.push('='.repeat(60) + '\n');
+    logger.report('Trade summary', lines, { stats: this.stats });
   }
 
   /**
-   * Export trades to CSV
+   * Export trades to CSV; `filter` narrows them (see queryTrades)
    */
-  exportToCSV(outputPath = 'data/trades.csv') {
+  exportToCSV(outputPath = 'data/trades.csv', filter = {}) {
     try {
-      this.ensureDir();
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
 
       const headers = [
         'ID', 'Type', 'Timestamp', 'Market', 'Outcome',
         'Investment (USDC)', 'Return (USDC)', 'PnL (USDC)', 'PnL %',
-        'Status', 'Tx Hash', 'Market Address'
+        'Status', 'Source Wallet', 'Venue', 'Tx Hash', 'Order ID', 'Market Address'
       ];
 
-      const rows = this.trades.map(t => {
+      const trades = this.store.query(filter);
+      const rows = trades.map(t => {
         const investment = t.investmentAmountFormatted || '-';
         const returnAmt = t.returnAmountFormatted || '-';
-        const pnl = t.pnlAmount ? (Number(t.pnlAmount) / 1e6).toFixed(2) : '-';
+        const pnl = t.pnlAmount ? (Number(t.pnlAmount) / 10 ** (t.collateralDecimals || this.decimals)).toFixed(2) : '-';
         const pnlPct = t.pnlPercentage ? t.pnlPercentage.toFixed(2) + '%' : '-';
 
         return [
@@ -434,7 +763,10 @@ class TradeTracker {
           pnl,
           pnlPct,
           t.status,
+          t.sourceLabel || t.sourceWallet || '-',
+          t.venue || 'AMM',
           t.txHash || '-',
+          t.orderId || '-',
           t.marketAddress || '-'
         ].map(field => `"${field}"`).join(',');
       });
@@ -442,14 +774,37 @@ class TradeTracker {
       const csv = [headers.join(','), ...rows].join('\n');
       fs.writeFileSync(outputPath, csv);
 
-      console.log(`📄 Exported ${this.trades.length} trades to ${outputPath}`);
+      logger.info('📄', `Exported ${trades.length} trades to ${outputPath}`);
       return true;
     } catch (e) {
-      console.error('❌ Failed to export CSV:', e?.message || e);
+      logger.error('❌', 'Failed to export CSV:', e);
       return false;
     }
   }
 
+  /**
+   * Export trades as a JSON array with every recorded field; `filter` narrows them (see queryTrades)
+   */
+  exportToJSON(outputPath = 'data/trades-export.json', filter = {}) {
+    try {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      const trades = this.store.query(filter);
+      fs.writeFileSync(outputPath, JSON.stringify(trades, null, 2));
+      logger.info('📄', `Exported ${trades.length} trades to ${outputPath}`);
+      return true;
+    } catch (e) {
+      logger.error('❌', 'Failed to export JSON:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Close the store (the SQLite database) on shutdown
+   */
+  close() {
+    this.store.close();
+  }
+
   /**
    * Generate unique trade ID
    */
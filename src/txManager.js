@@ -0,0 +1,289 @@
+const { ethers } = require('ethers');
+const { logger } = require('./logger');
+
+/**
+ * Tx Manager - Sends our transactions and sees them through
+ *
+ * Nonces are assigned locally so a slow transaction never blocks the next one from
+ * being built. Every transaction is kept in `pending` (persisted with the bot's state)
+ * until it is confirmed, reverts or is dropped. One that isn't mined within
+ * `timeoutMs` is re-sent with the same nonce and fees bumped by `feeBumpPct`, never
+ * spending more than `maxGasWei` on gas; after `maxReplacements` the caller gets a
+ * timeout error and the transaction is left to `checkPending`, which bumps it once more
+ * per check and also resolves transactions left over from a previous run.
+ *
+ * Errors thrown by send() carry `txStatus` ('reverted', 'dropped' or 'timeout') and `txHash`,
+ * or `txStatus` 'unsent' when the transaction never reached the node. Any other error means
+ * it may still be out there.
+ * `onFailed(tx, status, hash)` hears about every revert and drop, and about timeouts send() gives up on.
+ * `onMined(tx, receipt)` hears about every receipt, confirmed or reverted (for gas accounting).
+ * `tag()` returns fields stored (and persisted) with each transaction, e.g. the log's correlation ID.
+ */
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function txError(message, txStatus, txHash) {
+  const err = new Error(message);
+  err.txStatus = txStatus;
+  err.txHash = txHash;
+  return err;
+}
+
+class TxManager {
+  constructor({
+    wallet,
+    maxGasWei,
+    fallbackGasPrice = ethers.parseUnits('0.005', 'gwei'),
+    confirmations = 1,
+    timeoutMs = 60000,
+    maxReplacements = 3,
+    feeBumpPct = 20,
+    pollMs = 2000,
+    onChange = () => {},
+    onFailed = () => {},
+    onMined = () => {},
+    tag = () => ({}),
+    log = null
+  }) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.maxGasWei = maxGasWei;
+    this.fallbackGasPrice = fallbackGasPrice;
+    this.confirmations = confirmations;
+    this.timeoutMs = timeoutMs;
+    this.maxReplacements = maxReplacements;
+    this.feeBumpPct = BigInt(Math.max(10, Math.round(feeBumpPct))); // nodes reject replacements under +10%
+    this.pollMs = pollMs;
+    this.onChange = onChange;
+    this.onFailed = onFailed;
+    this.onMined = onMined;
+    this.tag = tag;
+    this.log = log || ((emoji, msg) => logger.info(emoji, msg));
+
+    this.nonce = null; // next nonce to assign
+    this.pending = new Map(); // nonce -> { nonce, label, to, data, value, gasLimit, maxFeePerGas, maxPriorityFeePerGas, hashes, sentAt, replacements }
+    this.watching = new Set(); // nonces a send() or checkPending() is already waiting on
+  }
+
+  load(state) {
+    if (!Array.isArray(state)) return;
+    for (const tx of state) {
+      this.pending.set(tx.nonce, {
+        ...tx,
+        gasLimit: BigInt(tx.gasLimit),
+        maxFeePerGas: BigInt(tx.maxFeePerGas),
+        maxPriorityFeePerGas: BigInt(tx.maxPriorityFeePerGas),
+        value: BigInt(tx.value || 0)
+      });
+    }
+  }
+
+  toJSON() {
+    return Array.from(this.pending.values()).map(tx => ({
+      ...tx,
+      gasLimit: tx.gasLimit.toString(),
+      maxFeePerGas: tx.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+      value: tx.value.toString()
+    }));
+  }
+
+  /**
+   * Fees for a transaction, capped so gasLimit * maxFeePerGas stays within maxGasWei
+   */
+  async feeOverrides(gasLimit) {
+    const fee = await this.provider.getFeeData();
+    let maxFeePerGas = fee.maxFeePerGas ?? fee.gasPrice ?? this.fallbackGasPrice;
+    let maxPriorityFeePerGas = fee.maxPriorityFeePerGas ?? ethers.parseUnits('0.1', 'gwei');
+    const cap = this.maxGasWei / gasLimit;
+    if (maxFeePerGas > cap) maxFeePerGas = cap;
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  async nextNonce() {
+    if (this.nonce == null) {
+      const onChain = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+      if (this.nonce == null) this.nonce = onChain;
+    }
+    return this.nonce++;
+  }
+
+  /**
+   * Send `contract.method(...args)` and wait for it. Returns the receipt; throws if the
+   * transaction reverts, is dropped or times out.
+   */
+  async send(label, contract, method, args, gasLimit) {
+    let nonce = null;
+    let tx;
+    try {
+      nonce = await this.nextNonce();
+      tx = {
+        ...this.tag(),
+        nonce,
+        label,
+        to: contract.target,
+        data: contract.interface.encodeFunctionData(method, args),
+        value: 0n,
+        gasLimit: BigInt(gasLimit),
+        ...(await this.feeOverrides(BigInt(gasLimit))),
+        hashes: [],
+        sentAt: null,
+        replacements: 0
+      };
+      await this.broadcast(tx);
+    } catch (e) {
+      // Give the nonce back by re-reading it next time. The node may have taken the
+      // transaction and only the reply got lost: it's unsent only if the nonce is still free
+      this.nonce = null;
+      if (!e.txStatus && (nonce == null || (await this.nonceFree(nonce)))) e.txStatus = 'unsent';
+      throw e;
+    }
+    this.pending.set(nonce, tx);
+    this.onChange();
+    this.log('🧾', `${label} tx: ${tx.hashes[0]} (nonce ${nonce})`);
+
+    this.watching.add(nonce);
+    try {
+      return await this.waitFor(tx, { throwOnFail: true, replaceLimit: this.maxReplacements, resend: true });
+    } finally {
+      this.watching.delete(nonce);
+    }
+  }
+
+  async nonceFree(nonce) {
+    try {
+      return (await this.provider.getTransactionCount(this.wallet.address, 'pending')) <= nonce;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  async broadcast(tx) {
+    const sent = await this.wallet.sendTransaction({
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      nonce: tx.nonce,
+      gasLimit: tx.gasLimit,
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas
+    });
+    tx.hashes.push(sent.hash);
+    tx.sentAt = Date.now();
+  }
+
+  /**
+   * Where a transaction stands: { status, receipt, hash } with status 'confirmed', 'reverted',
+   * 'dropped', 'confirming' (mined, waiting for confirmations), 'pending' or 'missing' (the
+   * node no longer knows any of its hashes and the nonce is still free).
+   */
+  async check(tx) {
+    for (const hash of [...tx.hashes].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (!receipt) continue;
+      if ((await receipt.confirmations()) < this.confirmations) return { status: 'confirming', hash };
+      return { status: receipt.status === 1 ? 'confirmed' : 'reverted', receipt, hash };
+    }
+
+    const mined = await this.provider.getTransactionCount(this.wallet.address, 'latest');
+    if (mined > tx.nonce) {
+      // The nonce was used, but not by any of our hashes (receipts can lag - look once more)
+      await sleep(this.pollMs);
+      for (const hash of tx.hashes) {
+        if (await this.provider.getTransactionReceipt(hash)) return { status: 'confirming', hash };
+      }
+      return { status: 'dropped', hash: tx.hashes[tx.hashes.length - 1] };
+    }
+
+    const known = await Promise.all(tx.hashes.map(h => this.provider.getTransaction(h).catch(() => null)));
+    return { status: known.some(Boolean) ? 'pending' : 'missing', hash: tx.hashes[tx.hashes.length - 1] };
+  }
+
+  /**
+   * Re-send with bumped fees. Returns false when the gas cap leaves no room to bump.
+   */
+  async speedUp(tx, reason) {
+    const bump = (v) => (v * (100n + this.feeBumpPct)) / 100n;
+    const current = await this.feeOverrides(tx.gasLimit);
+    const cap = this.maxGasWei / tx.gasLimit;
+    let maxFeePerGas = bump(tx.maxFeePerGas) > current.maxFeePerGas ? bump(tx.maxFeePerGas) : current.maxFeePerGas;
+    let maxPriorityFeePerGas = bump(tx.maxPriorityFeePerGas) > current.maxPriorityFeePerGas ? bump(tx.maxPriorityFeePerGas) : current.maxPriorityFeePerGas;
+    if (maxFeePerGas > cap) maxFeePerGas = cap;
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+    if (reason !== 'missing' && maxFeePerGas < (tx.maxFeePerGas * 110n) / 100n) {
+      this.log('⛽', `${tx.label} (nonce ${tx.nonce}) is at the MAX_GAS_ETH cap - can't speed it up`);
+      return false;
+    }
+
+    const previous = { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas };
+    Object.assign(tx, { maxFeePerGas, maxPriorityFeePerGas });
+    try {
+      await this.broadcast(tx);
+    } catch (e) {
+      Object.assign(tx, previous);
+      this.log('⚠️', `${tx.label} (nonce ${tx.nonce}) replacement failed: ${e?.shortMessage || e?.message || e}`);
+      return false;
+    }
+    tx.replacements++;
+    this.onChange();
+    const action = reason === 'missing' ? 'Re-sent dropped' : 'Sped up';
+    this.log('⛽', `${action} ${tx.label} (nonce ${tx.nonce}) at ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei: ${tx.hashes[tx.hashes.length - 1]}`);
+    return true;
+  }
+
+  /**
+   * Wait until a transaction is settled, speeding it up (up to `replaceLimit` replacements
+   * in all) when it stalls. With `resend` a transaction the node lost is sent again,
+   * otherwise it counts as dropped. With `throwOnFail` a revert, drop or timeout throws;
+   * otherwise the final check is returned.
+   */
+  async waitFor(tx, { throwOnFail, replaceLimit, resend }) {
+    for (;;) {
+      const result = await this.check(tx);
+      if (result.status === 'missing' && !resend) result.status = 'dropped';
+      if (result.status === 'confirmed' || result.status === 'reverted' || result.status === 'dropped') {
+        this.pending.delete(tx.nonce);
+        if (result.status === 'dropped') this.nonce = null; // re-read, in case the nonce is free again
+        this.onChange();
+        if (result.receipt) this.onMined(tx, result.receipt);
+        if (result.status !== 'confirmed') this.onFailed(tx, result.status, result.hash);
+        if (!throwOnFail) return result;
+        if (result.status === 'confirmed') return result.receipt;
+        throw txError(`${tx.label} tx ${result.status}: ${result.hash}`, result.status, result.hash);
+      }
+
+      const stalled = result.status !== 'confirming' && Date.now() - tx.sentAt >= this.timeoutMs;
+      if (result.status === 'missing' || stalled) {
+        const sped = tx.replacements < replaceLimit && (await this.speedUp(tx, result.status));
+        if (!sped && stalled) {
+          if (!throwOnFail) return result;
+          this.onFailed(tx, 'timeout', result.hash);
+          throw txError(`${tx.label} tx not mined after ${tx.replacements} replacement(s): ${result.hash}`, 'timeout', result.hash);
+        }
+      }
+      await sleep(this.pollMs);
+    }
+  }
+
+  /**
+   * Resolve transactions nobody is waiting on (timed out, or from before a restart).
+   * `onSettled(tx, result)` is called for each one that confirmed, reverted or was dropped.
+   */
+  async checkPending(onSettled = () => {}) {
+    for (const tx of Array.from(this.pending.values())) {
+      if (this.watching.has(tx.nonce)) continue;
+      this.watching.add(tx.nonce);
+      try {
+        const result = await this.waitFor(tx, { throwOnFail: false, replaceLimit: tx.replacements + 1, resend: false });
+        if (['confirmed', 'reverted', 'dropped'].includes(result.status)) onSettled(tx, result);
+      } catch (e) {
+        this.log('⚠️', `${tx.label} (nonce ${tx.nonce}) check failed: ${e?.shortMessage || e?.message || e}`);
+      } finally {
+        this.watching.delete(tx.nonce);
+      }
+    }
+  }
+}
+
+module.exports = TxManager;
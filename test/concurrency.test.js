@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KeyedMutex, Limiter } = require('../src/concurrency');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('tasks with the same key run one after another, other keys in parallel', async () => {
+  const mutex = new KeyedMutex();
+  const events = [];
+  const task = (name) => async () => {
+    events.push(`${name} start`);
+    await tick();
+    events.push(`${name} end`);
+  };
+  await Promise.all([mutex.run('a', task('a1')), mutex.run('a', task('a2')), mutex.run('b', task('b1'))]);
+  assert.ok(events.indexOf('a1 end') < events.indexOf('a2 start'));
+  assert.ok(events.indexOf('b1 start') < events.indexOf('a1 end'));
+  assert.equal(mutex.isLocked('a'), false);
+});
+
+test('a failed task does not block the next one for its key', async () => {
+  const mutex = new KeyedMutex();
+  await assert.rejects(mutex.run('a', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await mutex.run('a', async () => 'ok'), 'ok');
+});
+
+test('the limiter caps how many tasks run at once', async () => {
+  const limiter = new Limiter(2);
+  let running = 0;
+  let most = 0;
+  const task = async () => {
+    running++;
+    most = Math.max(most, running);
+    await tick();
+    running--;
+  };
+  await Promise.all(Array.from({ length: 5 }, () => limiter.run(task)));
+  assert.equal(most, 2);
+  assert.equal(limiter.active, 0);
+});
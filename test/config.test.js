@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, diffConfig, applyEnvFile, readEnvFile } = require('../src/config');
+
+test('settings come from the environment over the config file', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'config.yaml');
+  fs.writeFileSync(file, 'MIN_BET_USDC: 3\nMAX_BET_USDC: 40\n');
+
+  const config = loadConfig({ env: { MAX_BET_USDC: '50' }, file });
+  assert.equal(config.MIN_BET_USDC, 3);
+  assert.equal(config.MAX_BET_USDC, 50);
+});
+
+test('invalid settings fail with where they came from', () => {
+  assert.throws(() => loadConfig({ env: { MIN_BET_USDC: 'abc' }, file: null }), /MIN_BET_USDC \(environment\)/);
+});
+
+test('diffConfig splits reloadable settings from those that need a restart', () => {
+  const prev = loadConfig({ env: {}, file: null });
+  const next = loadConfig({ env: { MAX_BET_USDC: '5', RPC_URL: 'http://localhost:8545' }, file: null });
+  const { reloadable, restartNeeded } = diffConfig(prev, next);
+  assert.ok(reloadable.includes('MAX_BET_USDC'));
+  assert.deepEqual(restartNeeded, ['RPC_URL']);
+});
+
+test('reloading .env leaves shell-exported keys alone', () => {
+  const env = { SHELL_ONLY: 'shell', SHARED: 'from shell', KEPT: 'old', REMOVED: 'gone soon' };
+  const shellKeys = new Set(['SHELL_ONLY', 'SHARED']);
+  const previous = { SHARED: 'file', KEPT: 'old', REMOVED: 'gone soon' };
+
+  applyEnvFile({ SHARED: 'edited', KEPT: 'new', ADDED: 'added' }, previous, shellKeys, env);
+  assert.deepEqual(env, { SHELL_ONLY: 'shell', SHARED: 'from shell', KEPT: 'new', ADDED: 'added' });
+});
+
+test('a rejected .env reload can be undone', () => {
+  const env = { KEPT: 'old', REMOVED: 'value' };
+  const restore = applyEnvFile({ KEPT: 'new', ADDED: 'x' }, { KEPT: 'old', REMOVED: 'value' }, new Set(), env);
+  restore();
+  assert.deepEqual(env, { KEPT: 'old', REMOVED: 'value' });
+});
+
+test('a missing .env reads as empty', () => {
+  assert.deepEqual(readEnvFile(path.join(os.tmpdir(), 'no-such-dir', '.env')), {});
+});
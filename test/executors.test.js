@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradeTracker = require('../src/tradeTracker');
+const { executeActions, SimulatedExecutor } = require('../src/executors');
+const { configureLogger } = require('../src/logger');
+
+configureLogger({ LOG_LEVEL: 'error' });
+
+const target = { key: '0xabc', label: 'whale', sizingMode: 'fixed', fixedAmount: 10, multiplier: 1, minBet: 1, maxBet: 100 };
+
+function setup(decimals) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'executors-'));
+  const tradeTracker = new TradeTracker(path.join(dir, 'trades.json'), { decimals });
+  const executor = new SimulatedExecutor({ tradeTracker, startingBalance: 100, log: () => {} });
+  const market = { slug: 'm', title: 'M', collateralToken: { decimals } };
+  return { dir, tradeTracker, executor, market };
+}
+
+for (const decimals of [6, 18]) {
+  test(`simulated fills are recorded at the collateral's ${decimals} decimals`, async (t) => {
+    const { dir, tradeTracker, executor, market } = setup(decimals);
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const unit = 10n ** BigInt(decimals);
+
+    await executor.open({ slug: 'm', market, target, outcomeIndex: 1, action: 'NEW_POSITION', price: 0.5 });
+    const [buy] = tradeTracker.store.query({ type: 'BUY' });
+    assert.equal(buy.investmentAmount, (10n * unit).toString());
+    assert.equal(buy.collateralDecimals, decimals);
+
+    await executor.markToMarket(() => 0.6);
+    assert.equal(tradeTracker.getStats().cashBalance, (90n * unit).toString());
+
+    await executor.close({ slug: 'm', market, outcomeIndex: 1, price: 0.6 });
+    const [sell] = tradeTracker.store.query({ type: 'SELL' });
+    assert.equal(sell.pnlAmount, (2n * unit).toString());
+    assert.equal(sell.collateralDecimals, decimals);
+    assert.equal(executor.balance, 102);
+  });
+}
+
+test('a failed action skips the later actions for its market', async () => {
+  const calls = [];
+  const executor = {
+    close: async (a) => { calls.push(`close ${a.slug}`); return a.slug !== 'a'; },
+    open: async (a) => { calls.push(`open ${a.slug}`); }
+  };
+  const failed = await executeActions([
+    { type: 'CLOSE', slug: 'a' },
+    { type: 'OPEN', slug: 'a' },
+    { type: 'CLOSE', slug: 'b' },
+    { type: 'OPEN', slug: 'b' }
+  ], executor);
+  assert.deepEqual(calls, ['close a', 'close b', 'open b']);
+  assert.deepEqual(failed.map(a => `${a.type} ${a.slug}`), ['CLOSE a']);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LogDetector = require('../src/logDetector');
+
+const TARGET = '0x333Afd65D93A95eE6e66415C07785B2E341Bff2d';
+const MARKET = '0x00000000000000000000000000000000000000aa';
+const CTF = '0x00000000000000000000000000000000000000cc';
+
+const detector = (marketAddresses) => new LogDetector({ provider: {}, targetWallets: [TARGET], marketAddresses, conditionalTokensAddress: CTF });
+
+test('trade logs are only watched on the known markets', () => {
+  const [trades, ...transfers] = detector([MARKET, MARKET.toUpperCase().replace('0X', '0x')]).buildFilters();
+  assert.deepEqual(trades.address, ['0x00000000000000000000000000000000000000AA']); // deduplicated, checksummed
+  assert.equal(transfers.length, 2);
+  assert.ok(transfers.every(f => f.address === CTF));
+});
+
+test('no known markets means no trade filter rather than a chain-wide one', () => {
+  const filters = detector([]).buildFilters();
+  assert.equal(filters.length, 2);
+  assert.ok(filters.every(f => f.address === CTF));
+});
+
+test('without a market list trade logs from any contract are watched', () => {
+  const [trades] = detector(null).buildFilters();
+  assert.equal(trades.address, undefined);
+});
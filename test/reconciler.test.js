@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDrift } = require('../src/reconciler');
+
+const kinds = (drift) => drift.map(d => `${d.slug} ${d.kind} ${d.outcomeIndex}`);
+
+test('the wallet matching our positions is no drift', () => {
+  const held = new Map([['a', { outcomeIndex: 1, tokens: '100' }]]);
+  assert.deepEqual(findDrift(held, new Map([['a', [0n, 100n]]])), []);
+});
+
+test('missing, mismatched and untracked tokens', () => {
+  const held = new Map([
+    ['a', { outcomeIndex: 1, tokens: '100' }],
+    ['b', { outcomeIndex: 0, tokens: '100' }]
+  ]);
+  const balances = new Map([['a', [0n, 0n]], ['b', [80n, 0n]], ['c', [5n, 20n]]]);
+  assert.deepEqual(kinds(findDrift(held, balances)), ['a MISSING 1', 'b MISMATCH 0', 'c UNTRACKED 1', 'c UNTRACKED 0']);
+});
+
+test('markets that could not be read are left alone', () => {
+  const held = new Map([['a', { outcomeIndex: 1, tokens: '100' }]]);
+  assert.deepEqual(findDrift(held, new Map()), []);
+});
+
+test('dust below the limit counts as empty, per outcome', () => {
+  const held = new Map();
+  assert.deepEqual(findDrift(held, new Map([['a', [3n, 0n]]]), { dust: 5n }), []);
+  assert.deepEqual(kinds(findDrift(held, new Map([['a', [3n, 3n]]]), { dust: [5n, 0n] })), ['a UNTRACKED 1']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RiskManager, getMarketCategory } = require('../src/riskManager');
+
+const DAY1 = Date.parse('2024-05-01T10:00:00Z');
+const DAY2 = Date.parse('2024-05-02T10:00:00Z');
+
+test('the first PnL seen is the day start and the peak', () => {
+  const risk = new RiskManager();
+  risk.updatePnL(12, DAY1);
+  assert.deepEqual(risk.toJSON(), { peakPnL: 12, day: '2024-05-01', dayStartPnL: 12 });
+});
+
+test('updates between opens move the peak and reset the day start', () => {
+  const risk = new RiskManager({ maxDrawdown: 10, dailyLossLimit: 5 });
+  risk.updatePnL(0, DAY1);
+  risk.updatePnL(20, DAY1); // marks between opens raise the peak
+  risk.updatePnL(30, DAY2); // a new day starts from the current PnL
+  assert.equal(risk.peakPnL, 30);
+  assert.equal(risk.dayStartPnL, 30);
+
+  const blocked = risk.checkOpen({ slug: 'm', amount: 1, totalPnL: 19, now: DAY2 });
+  assert.equal(blocked.allowed, false);
+  assert.match(blocked.reason, /Daily loss limit/);
+});
+
+test('drawdown is measured from the peak, not from zero', () => {
+  const risk = new RiskManager({ maxDrawdown: 10 });
+  risk.updatePnL(50, DAY1);
+  assert.equal(risk.checkOpen({ slug: 'm', amount: 1, totalPnL: 45, now: DAY1 }).allowed, true);
+  const blocked = risk.checkOpen({ slug: 'm', amount: 1, totalPnL: 40, now: DAY1 });
+  assert.equal(blocked.allowed, false);
+  assert.match(blocked.reason, /Max drawdown/);
+});
+
+test('saved state is restored', () => {
+  const risk = new RiskManager({ maxDrawdown: 10 });
+  risk.load({ peakPnL: 100, day: '2024-05-01', dayStartPnL: 90 });
+  assert.equal(risk.checkOpen({ slug: 'm', amount: 1, totalPnL: 85, now: DAY1 }).allowed, false);
+});
+
+test('exposure and position limits', () => {
+  const risk = new RiskManager({ maxTotalExposure: 50, maxMarketExposure: 20, maxCategoryExposure: 30, maxOpenPositions: 2 });
+  const positions = [{ slug: 'a', category: 'crypto', amount: 15 }, { slug: 'b', category: 'sports', amount: 10 }];
+  assert.match(risk.checkOpen({ slug: 'c', category: 'crypto', amount: 1, positions }).reason, /Max open positions/);
+  assert.match(risk.checkOpen({ slug: 'a', category: 'crypto', amount: 6, positions }).reason, /Max market exposure/);
+  assert.equal(risk.checkOpen({ slug: 'a', category: 'crypto', amount: 5, positions }).allowed, true);
+});
+
+test('market category', () => {
+  assert.equal(getMarketCategory({ categories: [{ name: 'Crypto' }] }), 'Crypto');
+  assert.equal(getMarketCategory({ category: 'Sports' }), 'Sports');
+  assert.equal(getMarketCategory({}), 'uncategorized');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeBetSize, getPortfolioValue, getTargetCost } = require('../src/sizing');
+
+const position = ({ yesCost, noCost, yesTokens = '0', noTokens = '0', price = null, decimals = 6 }) => ({
+  market: { collateralToken: { decimals } },
+  positions: { yes: { cost: yesCost }, no: { cost: noCost } },
+  tokensBalance: { yes: yesTokens, no: noTokens },
+  latestTrade: price != null ? { latestYesPrice: price, latestNoPrice: 1 - price } : undefined
+});
+
+test('proportional sizing multiplies the target cost and clamps to the bet limits', () => {
+  const limits = { mode: 'proportional', minBet: 1, maxBet: 20 };
+  assert.equal(computeBetSize({ ...limits, targetCost: 10, multiplier: 0.5 }), 5);
+  assert.equal(computeBetSize({ ...limits, targetCost: 100, multiplier: 1 }), 20);
+  assert.equal(computeBetSize({ ...limits, targetCost: 0.1, multiplier: 1 }), 1);
+  assert.equal(computeBetSize({ ...limits, targetCost: null }), 1);
+});
+
+test('fixed and bankroll sizing', () => {
+  assert.equal(computeBetSize({ mode: 'fixed', fixedAmount: 7, minBet: 1, maxBet: 100 }), 7);
+  assert.equal(computeBetSize({ mode: 'bankroll', bankroll: 200, bankrollPct: 5, minBet: 1, maxBet: 100 }), 10);
+  assert.throws(() => computeBetSize({ mode: 'kelly', minBet: 1, maxBet: 100 }), /Unknown sizing mode/);
+});
+
+test('portfolio sizing applies the target portfolio share to our bankroll', () => {
+  const size = computeBetSize({ mode: 'portfolio', targetCost: 25, targetPortfolioValue: 100, bankroll: 40, multiplier: 1, minBet: 1, maxBet: 1000 });
+  assert.equal(size, 10);
+});
+
+test('portfolio sizing caps the share at the whole portfolio', () => {
+  // An estimated trade cost above the portfolio value must not bet more than the bankroll
+  const size = computeBetSize({ mode: 'portfolio', targetCost: 300, targetPortfolioValue: 100, bankroll: 40, multiplier: 1, minBet: 1, maxBet: 1000 });
+  assert.equal(size, 40);
+});
+
+test('portfolio value estimates sides without a cost from their tokens', () => {
+  const positions = [
+    position({ yesCost: '5000000' }),
+    position({ yesTokens: '10000000', price: 0.3 }),
+    position({ noTokens: '4000000', price: 0.4 }),
+    position({ noTokens: '2000000' })
+  ];
+  // 5 costed + 10 YES at 0.3 + 4 NO at 0.6 + 2 NO without a price (their token amount, the upper bound)
+  assert.equal(getPortfolioValue(positions).toFixed(6), (5 + 3 + 2.4 + 2).toFixed(6));
+  assert.equal(getPortfolioValue([]), 0);
+});
+
+test('target cost is read at the collateral decimals', () => {
+  assert.equal(getTargetCost(position({ yesCost: (12n * 10n ** 18n).toString(), decimals: 18 }), 1), 12);
+  assert.equal(getTargetCost(position({ yesCost: '0' }), 1), null);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyChange, getHeldOutcome } = require('../src/strategy');
+
+const position = (yes, no = '0', yesCost = null) => ({
+  market: { collateralToken: { decimals: 6 } },
+  tokensBalance: { yes, no },
+  positions: { yes: { cost: yesCost }, no: { cost: null } }
+});
+
+test('the larger side is the held outcome', () => {
+  assert.deepEqual(getHeldOutcome({ yes: '5', no: '3' }), { outcomeIndex: 1, balance: 5n });
+  assert.deepEqual(getHeldOutcome({ yes: '0', no: '3' }), { outcomeIndex: 0, balance: 3n });
+  assert.equal(getHeldOutcome({ yes: '0', no: '0' }), null);
+});
+
+test('a new position opens with its cost', () => {
+  const change = classifyChange(null, position('10000000', '0', '4000000'));
+  assert.equal(change.type, 'OPEN');
+  assert.equal(change.outcomeIndex, 1);
+  assert.equal(change.targetCost, 4);
+  assert.deepEqual(change.seen, { outcomeIndex: 1, tokensBalance: '10000000', cost: 4 });
+});
+
+test('a position that is gone closes', () => {
+  const change = classifyChange({ outcomeIndex: 0, tokensBalance: '5' }, position('0', '0'));
+  assert.equal(change.type, 'CLOSE');
+  assert.equal(change.outcomeIndex, 0);
+  assert.equal(change.seen, null);
+});
+
+test('moving to the other outcome switches', () => {
+  const change = classifyChange({ outcomeIndex: 0, tokensBalance: '5000000' }, position('8000000', '0', '3000000'));
+  assert.equal(change.type, 'SWITCH');
+  assert.equal(change.previousOutcomeIndex, 0);
+});
+
+test('increases are sized from the added cost, reductions by the fraction sold', () => {
+  const last = { outcomeIndex: 1, tokensBalance: '10000000', cost: 4 };
+  const increase = classifyChange(last, position('15000000', '0', '6500000'));
+  assert.equal(increase.type, 'INCREASE');
+  assert.equal(increase.targetCost, 2.5);
+
+  const reduce = classifyChange(last, position('7500000', '0', '3000000'));
+  assert.equal(reduce.type, 'REDUCE');
+  assert.equal(reduce.fraction, 0.25);
+});
+
+test('changes within the threshold keep the old baseline', () => {
+  const last = { outcomeIndex: 1, tokensBalance: '10000000', cost: 4 };
+  const change = classifyChange(last, position('10500000', '0', '4200000'), { scaleThresholdPct: 10 });
+  assert.equal(change.type, 'NONE');
+  assert.equal(change.seen, last);
+});
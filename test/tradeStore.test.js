@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JsonTradeStore, toIso } = require('../src/tradeStore');
+
+test('toIso takes dates, ISO strings and milliseconds', () => {
+  assert.equal(toIso('2024-05-01'), '2024-05-01T00:00:00.000Z');
+  assert.equal(toIso(new Date('2024-05-01T12:00:00Z')), '2024-05-01T12:00:00.000Z');
+  assert.equal(toIso(String(Date.parse('2024-05-01T12:00:00Z'))), '2024-05-01T12:00:00.000Z');
+  assert.equal(toIso(''), null);
+  assert.throws(() => toIso('yesterday'), /Invalid date: yesterday/);
+});
+
+test('a date-only end of range takes in the whole day', () => {
+  assert.equal(toIso('2024-05-01', { endOfDay: true }), '2024-05-01T23:59:59.999Z');
+  assert.equal(toIso('2024-05-01T06:00:00Z', { endOfDay: true }), '2024-05-01T06:00:00.000Z');
+});
+
+test('queries filter by type, status, market and date range', () => {
+  const store = new JsonTradeStore('unused.json');
+  store.insert({ id: '1', type: 'BUY', status: 'OPEN', marketSlug: 'a', timestamp: '2024-04-30T23:00:00.000Z' });
+  store.insert({ id: '2', type: 'BUY', status: 'CLOSED', marketSlug: 'b', timestamp: '2024-05-01T18:30:00.000Z' });
+  store.insert({ id: '3', type: 'SELL', status: 'CLOSED', marketSlug: 'b', timestamp: '2024-05-02T00:00:00.000Z' });
+  const ids = (filter) => store.query(filter).map(t => t.id);
+
+  assert.deepEqual(ids({ from: '2024-05-01', to: '2024-05-01' }), ['2']);
+  assert.deepEqual(ids({ to: '2024-05-01' }), ['1', '2']);
+  assert.deepEqual(ids({ type: ['BUY', 'SELL'], marketSlug: 'b', order: 'desc' }), ['3', '2']);
+  assert.deepEqual(ids({ status: 'CLOSED', limit: 1, offset: 1 }), ['3']);
+  assert.equal(store.count({ type: 'BUY' }), 2);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const TxManager = require('../src/txManager');
+
+const contract = { target: '0x0000000000000000000000000000000000000002', interface: new ethers.Interface(['function sell()']) };
+
+// A wallet whose sends fail; the node reports `pendingCount` as the next free nonce
+function manager(pendingCount, sendError = new Error('socket hang up')) {
+  const provider = {
+    getTransactionCount: async () => pendingCount,
+    getFeeData: async () => ({ maxFeePerGas: 10n, maxPriorityFeePerGas: 1n })
+  };
+  const wallet = { address: '0x0000000000000000000000000000000000000001', provider, sendTransaction: async () => { throw sendError; } };
+  const txManager = new TxManager({ wallet, maxGasWei: 10n ** 18n, log: () => {} });
+  txManager.nonce = 5;
+  return txManager;
+}
+
+test('a send the node never took is unsent and gives its nonce back', async () => {
+  const txManager = manager(5);
+  await assert.rejects(txManager.send('sell', contract, 'sell', [], 21000), (err) => err.txStatus === 'unsent');
+  assert.equal(txManager.nonce, null);
+  assert.equal(txManager.pending.size, 0);
+});
+
+test('a failed send whose nonce was taken may still land', async () => {
+  const txManager = manager(6);
+  await assert.rejects(txManager.send('sell', contract, 'sell', [], 21000), (err) => err.txStatus === undefined);
+});